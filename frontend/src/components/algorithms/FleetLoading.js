@@ -0,0 +1,166 @@
+/**
+ * Fleet Loading (Bin Packing)
+ * Assigns every package to one truck of a mixed fleet so that no truck is
+ * overloaded, using as few trucks (or as little truck cost) as possible
+ * Supports First-Fit Decreasing and Best-Fit Decreasing
+ */
+
+/**
+ * Parse the fleet
+ * @param {string} fleetString - Trucks in format "capacity[:cost]", e.g. "100:250, 80:200, 60"
+ * @returns {Array} Trucks with vehicle number, capacity and cost (0 when omitted)
+ */
+export function parseFleet(fleetString) {
+  const trucks = fleetString.split(',').filter(t => t.trim()).map((truck, index) => {
+    const parts = truck.trim().split(':');
+    const capacity = parseFloat(parts[0]);
+    const cost = parts.length > 1 ? parseFloat(parts[1]) : 0;
+    
+    if (parts.length > 2 || isNaN(capacity) || capacity <= 0 || isNaN(cost) || cost < 0) {
+      throw new Error('Invalid fleet format. Use capacity[:cost] (comma-separated)');
+    }
+    
+    return { vehicle: index + 1, capacity, cost };
+  });
+  
+  if (trucks.length === 0) {
+    throw new Error('Please enter at least one truck');
+  }
+  
+  return trucks;
+}
+
+/**
+ * Pack packages into trucks
+ * Packages are placed heaviest first. Trucks are opened cheapest per kg first
+ * (largest first when no costs are given), and a new truck is only opened
+ * when no open truck has room.
+ * @param {Array} boxes - Boxes with weight (and name, profit)
+ * @param {Array} trucks - Trucks from parseFleet
+ * @param {string} strategy - 'first-fit' (first open truck with room) or 'best-fit' (tightest open truck)
+ * @returns {Object} Per-truck loads, placements in loading order and unassigned boxes
+ */
+function packDecreasing(boxes, trucks, strategy) {
+  const sortedBoxes = boxes.slice().sort((a, b) => b.weight - a.weight);
+  const openingOrder = trucks.slice().sort((a, b) =>
+    (a.cost / a.capacity) - (b.cost / b.capacity) || b.capacity - a.capacity
+  );
+  
+  const open = [];
+  const unused = openingOrder.slice();
+  const placements = [];
+  const unassigned = [];
+  
+  for (const box of sortedBoxes) {
+    let target = null;
+    
+    for (const truck of open) {
+      const remaining = truck.capacity - truck.load;
+      if (box.weight > remaining) continue;
+      
+      if (strategy === 'first-fit') {
+        target = truck;
+        break;
+      }
+      if (!target || remaining < target.capacity - target.load) {
+        target = truck;
+      }
+    }
+    
+    // Open the next truck in order that can hold the box
+    if (!target) {
+      const next = unused.findIndex(truck => truck.capacity >= box.weight);
+      if (next !== -1) {
+        target = { ...unused[next], load: 0, boxes: [] };
+        unused.splice(next, 1);
+        open.push(target);
+      }
+    }
+    
+    if (!target) {
+      unassigned.push(box);
+      continue;
+    }
+    
+    target.load += box.weight;
+    target.boxes.push(box);
+    placements.push({ box, vehicle: target.vehicle });
+  }
+  
+  return { open, placements, unassigned };
+}
+
+/**
+ * Summarize one packing
+ * @param {Object} packing - Output of packDecreasing
+ * @param {string} strategy - Strategy used
+ * @returns {Object} Trucks used, cost, fill rates and placements
+ */
+function summarizePacking(packing, strategy) {
+  const trucks = packing.open
+    .map(truck => ({
+      vehicle: truck.vehicle,
+      capacity: truck.capacity,
+      cost: truck.cost,
+      load: truck.load,
+      fillRate: ((truck.load / truck.capacity) * 100).toFixed(1),
+      packages: truck.boxes
+    }))
+    .sort((a, b) => a.vehicle - b.vehicle);
+  
+  const totalLoad = trucks.reduce((sum, t) => sum + t.load, 0);
+  const totalCapacity = trucks.reduce((sum, t) => sum + t.capacity, 0);
+  
+  return {
+    strategy,
+    strategyName: strategy === 'first-fit' ? 'First-Fit Decreasing' : 'Best-Fit Decreasing',
+    trucks,
+    trucksUsed: trucks.length,
+    totalCost: trucks.reduce((sum, t) => sum + t.cost, 0),
+    averageFillRate: totalCapacity > 0 ? ((totalLoad / totalCapacity) * 100).toFixed(1) : '0.0',
+    placements: packing.placements,
+    unassigned: packing.unassigned
+  };
+}
+
+/**
+ * Main Fleet Loading function
+ * Runs both strategies and returns the one that leaves fewer packages behind,
+ * then uses fewer trucks, then costs less
+ * @param {Array} boxes - Boxes with weight, profit and name
+ * @param {Array} trucks - Trucks from parseFleet
+ * @returns {Object} Chosen packing plus a summary of both strategies
+ */
+export function fleetLoading(boxes, trucks) {
+  const temp = boxes.map((box, index) => ({
+    index: box.index !== undefined ? box.index : index,
+    weight: parseFloat(box.weight),
+    profit: parseFloat(box.profit) || 0,
+    name: box.name || `Box ${index}`
+  }));
+  
+  const strategies = ['first-fit', 'best-fit'].map(strategy =>
+    summarizePacking(packDecreasing(temp, trucks, strategy), strategy)
+  );
+  
+  const best = strategies.slice().sort((a, b) =>
+    a.unassigned.length - b.unassigned.length || a.trucksUsed - b.trucksUsed || a.totalCost - b.totalCost
+  )[0];
+  
+  return {
+    type: 'binpacking',
+    ...best,
+    fleetSize: trucks.length,
+    totalWeight: temp.reduce((sum, box) => sum + box.weight, 0),
+    strategies: strategies.map(s => ({
+      strategy: s.strategy,
+      strategyName: s.strategyName,
+      trucksUsed: s.trucksUsed,
+      totalCost: s.totalCost,
+      averageFillRate: s.averageFillRate,
+      unassigned: s.unassigned.length
+    }))
+  };
+}
+
+export default fleetLoading;
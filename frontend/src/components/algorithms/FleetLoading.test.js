@@ -0,0 +1,91 @@
+import { parseFleet, fleetLoading } from './FleetLoading';
+import { createRandom } from './TSP';
+
+const boxesOf = (weights) => weights.map((weight, i) => ({ weight, profit: 1, name: `Box ${i}` }));
+
+const fleetOf = (count, capacity) => Array.from({ length: count }, (_, i) => ({ vehicle: i + 1, capacity, cost: 0 }));
+
+// No truck over capacity and every box either loaded once or left unassigned
+const expectValidPacking = (result, boxes) => {
+  result.trucks.forEach(truck => {
+    expect(truck.load).toBeLessThanOrEqual(truck.capacity);
+    expect(truck.load).toBe(truck.packages.reduce((sum, box) => sum + box.weight, 0));
+  });
+  const loaded = result.trucks.flatMap(truck => truck.packages.map(box => box.index));
+  const unassigned = result.unassigned.map(box => box.index);
+  expect([...loaded, ...unassigned].sort((a, b) => a - b)).toEqual(boxes.map((_, i) => i));
+};
+
+describe('fleet parsing', () => {
+  test('reads capacities and optional costs', () => {
+    expect(parseFleet('100:250, 80:200, 60')).toEqual([
+      { vehicle: 1, capacity: 100, cost: 250 },
+      { vehicle: 2, capacity: 80, cost: 200 },
+      { vehicle: 3, capacity: 60, cost: 0 }
+    ]);
+  });
+  
+  test.each(['100:1:2', 'abc', '0', '-5', '100:-1', '100:x'])('rejects "%s"', (fleet) => {
+    expect(() => parseFleet(fleet)).toThrow('Invalid fleet format. Use capacity[:cost] (comma-separated)');
+  });
+  
+  test('requires at least one truck', () => {
+    expect(() => parseFleet(' , ')).toThrow('Please enter at least one truck');
+  });
+});
+
+describe('fleet loading', () => {
+  test('packs a perfect fit into the minimum number of trucks', () => {
+    // 6+4 and 5+3+2 fill two trucks exactly
+    const boxes = boxesOf([2, 5, 4, 6, 3]);
+    const result = fleetLoading(boxes, fleetOf(4, 10));
+    
+    expectValidPacking(result, boxes);
+    expect(result.trucksUsed).toBe(2);
+    expect(result.averageFillRate).toBe('100.0');
+    result.strategies.forEach(strategy => expect(strategy.trucksUsed).toBe(2));
+  });
+  
+  test('keeps the strategy that loads every box', () => {
+    // Trucks open largest first: 9 → 15, 8 → 12, 7 → 9. First fit puts 4 in the 15 and
+    // strands the last 3; best fit fills the 12 with it and has room for both 3s.
+    const boxes = boxesOf([9, 8, 7, 4, 3, 3]);
+    const result = fleetLoading(boxes, parseFleet('12, 9, 15'));
+    const byStrategy = Object.fromEntries(result.strategies.map(s => [s.strategy, s]));
+    
+    expect(byStrategy['first-fit'].unassigned).toBe(1);
+    expect(byStrategy['best-fit'].unassigned).toBe(0);
+    expect(result.strategy).toBe('best-fit');
+    expectValidPacking(result, boxes);
+    expect(result.trucks.map(truck => truck.load)).toEqual([12, 7, 15]);
+  });
+  
+  test('opens the cheapest truck per kg first', () => {
+    const trucks = parseFleet('100:400, 100:100, 100:200');
+    const result = fleetLoading(boxesOf([30, 20]), trucks);
+    
+    expect(result.trucks.map(truck => truck.vehicle)).toEqual([2]);
+    expect(result.totalCost).toBe(100);
+  });
+  
+  test('leaves behind boxes no truck can take', () => {
+    const boxes = boxesOf([12, 8, 8, 8]);
+    const result = fleetLoading(boxes, fleetOf(2, 10));
+    
+    expectValidPacking(result, boxes);
+    expect(result.unassigned.map(box => box.weight)).toEqual([12, 8]);
+    expect(result.trucksUsed).toBe(2);
+  });
+  
+  test.each([1, 2, 3, 4, 5])('never overloads a truck on random instance %i', (seed) => {
+    const random = createRandom(seed);
+    const boxes = boxesOf(Array.from({ length: 20 }, () => 1 + Math.floor(random() * 40)));
+    const result = fleetLoading(boxes, parseFleet('60, 50, 50, 40, 40, 30, 30'));
+    
+    expectValidPacking(result, boxes);
+    // The chosen strategy is the better of the two
+    result.strategies.forEach(strategy => {
+      expect(result.unassigned.length).toBeLessThanOrEqual(strategy.unassigned);
+    });
+  });
+});
@@ -4,6 +4,15 @@
  * Supports three approaches: Weight-based, Profit-based, and Ratio-based (optimal)
  */
 
+/**
+ * Display names for the three approaches
+ */
+export const APPROACH_NAMES = {
+  1: 'Weight-based',
+  2: 'Profit-based',
+  3: 'Ratio-based'
+};
+
 /**
  * Sort boxes based on selected approach
  * @param {Array} boxes - Array of box objects
@@ -38,9 +47,10 @@ function sortBoxes(boxes, approach) {
  * @param {Array} boxes - Original boxes array with weight and profit
  * @param {number} approach - 1: Weight-based, 2: Profit-based, 3: Ratio-based (default)
  * @param {number} truckCapacity - Maximum capacity of truck
+ * @param {Array} trace - Optional array that receives one event per decision (sort, take, partial, full); returned as result.trace
  * @returns {Object} Result containing total profit, selected boxes, and efficiency
  */
-export function fractionalKnapsack(boxes, approach = 3, truckCapacity) {
+export function fractionalKnapsack(boxes, approach = 3, truckCapacity, trace = null) {
   // Create deep copy and calculate ratios
   const temp = boxes.map((box, index) => ({
     index: box.index !== undefined ? box.index : index,
@@ -53,6 +63,18 @@ export function fractionalKnapsack(boxes, approach = 3, truckCapacity) {
   // Sort based on approach
   sortBoxes(temp, approach);
   
+  if (trace) {
+    const sortKey = approach === 1 ? 'weight' : approach === 2 ? 'profit' : 'ratio';
+    temp.forEach((box, position) => {
+      trace.push({
+        type: 'sort',
+        index: box.index,
+        position,
+        message: `${box.name} sorted into position ${position + 1} (${sortKey} ${box[sortKey].toFixed(2)})`
+      });
+    });
+  }
+  
   let totalProfit = 0.0;
   let capacity = truckCapacity;
   const selectedBoxes = [];
@@ -71,6 +93,14 @@ export function fractionalKnapsack(boxes, approach = 3, truckCapacity) {
         takenWeight: w,
         takenProfit: p
       });
+      if (trace) {
+        trace.push({
+          type: 'take',
+          index: temp[i].index,
+          fraction: 1,
+          message: `${temp[i].name} taken in full (${w}kg, ${capacity}kg left)`
+        });
+      }
     } else {
       // Take fractional box
       const fraction = capacity / w;
@@ -82,10 +112,25 @@ export function fractionalKnapsack(boxes, approach = 3, truckCapacity) {
         takenWeight: capacity,
         takenProfit: fractionalProfit
       });
+      if (trace) {
+        trace.push({
+          type: 'partial',
+          index: temp[i].index,
+          fraction,
+          message: `${temp[i].name} partially taken: ${(fraction * 100).toFixed(0)}% (${capacity.toFixed(1)} of ${w}kg)`
+        });
+      }
       capacity = 0;
     }
   }
   
+  if (trace && selectedBoxes.length < temp.length) {
+    trace.push({
+      type: 'full',
+      message: `Truck full, ${temp.length - selectedBoxes.length} packages left behind`
+    });
+  }
+  
   const usedCapacity = truckCapacity - capacity;
   const efficiency = truckCapacity > 0 ? (totalProfit / usedCapacity) : 0;
   
@@ -98,8 +143,56 @@ export function fractionalKnapsack(boxes, approach = 3, truckCapacity) {
     capacity: truckCapacity,
     efficiency: efficiency.toFixed(2),
     approach: approach,
-    approachName: approach === 1 ? 'Weight-based' : approach === 2 ? 'Profit-based' : 'Ratio-based'
+    approachName: APPROACH_NAMES[approach] || APPROACH_NAMES[3],
+    ...(trace && { trace })
   };
 }
 
+/**
+ * Parse package details
+ * Volume and pallets are optional and default to 0
+ * @param {string} packageString - Packages in format "weight:value:name[:volume[:pallets]]"
+ * @returns {Array} Boxes with weight, profit, name, volume, pallets and ratio
+ */
+export function parsePackages(packageString) {
+  return packageString.split(',').map((pkg, index) => {
+    const parts = pkg.trim().split(':');
+    if (parts.length < 3 || parts.length > 5) {
+      throw new Error('Invalid format. Use weight:value:name[:volume[:pallets]]');
+    }
+    const weight = parseFloat(parts[0]);
+    const profit = parseFloat(parts[1]);
+    const name = parts[2].trim();
+    const volume = parts.length > 3 ? parseFloat(parts[3]) : 0;
+    const pallets = parts.length > 4 ? parseFloat(parts[4]) : 0;
+    
+    if (isNaN(weight) || isNaN(profit)) {
+      throw new Error('Weight and value must be numbers');
+    }
+    if (isNaN(volume) || isNaN(pallets)) {
+      throw new Error(`Volume and pallets of ${name} must be numbers`);
+    }
+    
+    return {
+      index,
+      weight,
+      profit,
+      name,
+      volume,
+      pallets,
+      ratio: profit / weight
+    };
+  });
+}
+
+/**
+ * Run all three approaches on the same boxes
+ * @param {Array} boxes - Original boxes array with weight and profit
+ * @param {number} truckCapacity - Maximum capacity of truck
+ * @returns {Array} One result per approach with its trace, in approach order
+ */
+export function compareApproaches(boxes, truckCapacity) {
+  return [1, 2, 3].map(approach => fractionalKnapsack(boxes, approach, truckCapacity, []));
+}
+
 export default fractionalKnapsack;
@@ -0,0 +1,68 @@
+import { fractionalKnapsack, parsePackages, compareApproaches } from './FractionalKnapsack';
+
+// The textbook instance plus a light, low-value box that only the weight-based approach favours
+const boxes = parsePackages('10:60:A, 20:100:B, 30:120:C, 5:10:D');
+
+describe('package parsing', () => {
+  test('reads weight, value, name and the optional volume and pallets', () => {
+    expect(parsePackages('10:60:Books, 4.5:20: Lamp :2.5:1')).toEqual([
+      { index: 0, weight: 10, profit: 60, name: 'Books', volume: 0, pallets: 0, ratio: 6 },
+      { index: 1, weight: 4.5, profit: 20, name: 'Lamp', volume: 2.5, pallets: 1, ratio: 20 / 4.5 }
+    ]);
+  });
+  
+  test.each(['10:60', '10:60:A:1:2:3', ''])('rejects "%s" as the wrong shape', (packages) => {
+    expect(() => parsePackages(packages)).toThrow('Invalid format. Use weight:value:name[:volume[:pallets]]');
+  });
+  
+  test('rejects a weight or value that is not a number', () => {
+    expect(() => parsePackages('ten:60:A')).toThrow('Weight and value must be numbers');
+    expect(() => parsePackages('10:sixty:A')).toThrow('Weight and value must be numbers');
+  });
+  
+  test('names the package whose volume or pallets are not numbers', () => {
+    expect(() => parsePackages('10:60:A:big')).toThrow('Volume and pallets of A must be numbers');
+    expect(() => parsePackages('10:60:B:1:many')).toThrow('Volume and pallets of B must be numbers');
+  });
+});
+
+describe('fractional knapsack', () => {
+  test('the ratio-based approach reaches the optimum', () => {
+    const result = fractionalKnapsack(boxes, 3, 50);
+    
+    expect(result.totalProfit).toBe('240.00');
+    expect(result.selectedBoxes.map(box => [box.name, box.fraction])).toEqual([['A', 1], ['B', 1], ['C', 20 / 30]]);
+    expect(result.usedCapacity).toBe(50);
+    expect(result.remainingCapacity).toBe(0);
+  });
+  
+  test('takes everything when the truck is large enough', () => {
+    const result = fractionalKnapsack(boxes, 3, 100);
+    
+    expect(result.totalProfit).toBe('290.00');
+    expect(result.remainingCapacity).toBe(35);
+  });
+  
+  test('compares all three approaches on the same boxes', () => {
+    const results = compareApproaches(boxes, 50);
+    
+    expect(results.map(result => result.approachName)).toEqual(['Weight-based', 'Profit-based', 'Ratio-based']);
+    expect(results.map(result => result.totalProfit)).toEqual(['230.00', '220.00', '240.00']);
+    results.forEach(result => expect(result.usedCapacity).toBe(50));
+  });
+  
+  test('traces the sort, each take and the boxes left behind', () => {
+    const { trace } = compareApproaches(boxes, 50)[1];
+    
+    expect(trace.map(event => event.type)).toEqual(['sort', 'sort', 'sort', 'sort', 'take', 'take', 'full']);
+    expect(trace.filter(event => event.type === 'take').map(event => event.index)).toEqual([2, 1]);
+    expect(trace[trace.length - 1].message).toBe('Truck full, 2 packages left behind');
+  });
+  
+  test('does not modify the input boxes', () => {
+    const before = JSON.stringify(boxes);
+    compareApproaches(boxes, 50);
+    
+    expect(JSON.stringify(boxes)).toBe(before);
+  });
+});
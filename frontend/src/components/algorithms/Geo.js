@@ -0,0 +1,202 @@
+/**
+ * Geographic Locations
+ * Great-circle (haversine) distances between latitude/longitude stops,
+ * projection onto the animation canvas, and GeoJSON import and export
+ */
+
+/**
+ * Mean Earth radius per distance unit
+ */
+export const EARTH_RADIUS = {
+  km: 6371.0088,
+  mi: 3958.7613
+};
+
+// Web Mercator is undefined at the poles; it is cut off where the map turns square
+const MERCATOR_MAX_LAT = 85.05113;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Object} a - Point with lat, lon in degrees
+ * @param {Object} b - Point with lat, lon in degrees
+ * @param {string} unit - 'km' (default) or 'mi'
+ * @returns {number} Distance in the given unit
+ */
+export function haversineDistance(a, b, unit = 'km') {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS[unit] * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Build the haversine distance matrix for all points
+ * @param {Array} points - Points with lat, lon
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {Array<Array<number>>} Distance matrix
+ */
+export function buildGeoDistanceMatrix(points, unit = 'km') {
+  return points.map((a, i) => points.map((b, j) => (i === j ? 0 : haversineDistance(a, b, unit))));
+}
+
+/**
+ * Project points onto the canvas, north up, keeping proportions
+ * @param {Array} points - Points with lat, lon
+ * @param {string} projection - 'equirectangular' (default) or 'mercator'
+ * @param {number} width - Canvas width (default: 600)
+ * @param {number} height - Canvas height (default: 300)
+ * @returns {Array} City positions with id, x, y
+ */
+export function projectPoints(points, projection = 'equirectangular', width = 600, height = 300) {
+  const meanLat = points.reduce((sum, p) => sum + p.lat, 0) / points.length;
+  
+  const planar = points.map(({ lat, lon }) => {
+    if (projection === 'mercator') {
+      const clamped = Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat));
+      return { x: toRadians(lon), y: -Math.log(Math.tan(Math.PI / 4 + toRadians(clamped) / 2)) };
+    }
+    // Equirectangular, with longitudes shrunk to their length at the mean latitude
+    return { x: toRadians(lon) * Math.cos(toRadians(meanLat)), y: -toRadians(lat) };
+  });
+  
+  const padding = 30;
+  const minX = Math.min(...planar.map(p => p.x));
+  const minY = Math.min(...planar.map(p => p.y));
+  const spanX = Math.max(...planar.map(p => p.x)) - minX;
+  const spanY = Math.max(...planar.map(p => p.y)) - minY;
+  const zoom = Math.min(
+    spanX > 0 ? (width - 2 * padding) / spanX : Infinity,
+    spanY > 0 ? (height - 2 * padding) / spanY : Infinity
+  );
+  const factor = isFinite(zoom) ? zoom : 1;
+  
+  // Center the drawing on the canvas
+  const offsetX = (width - spanX * factor) / 2;
+  const offsetY = (height - spanY * factor) / 2;
+  
+  return planar.map((p, id) => ({
+    id,
+    x: offsetX + (p.x - minX) * factor,
+    y: offsetY + (p.y - minY) * factor
+  }));
+}
+
+/**
+ * Check that a latitude/longitude pair is on the globe
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {string} label - Point description for the error message
+ */
+function assertCoordinates(lat, lon, label) {
+  if (isNaN(lat) || isNaN(lon)) {
+    throw new Error(`${label}: latitude and longitude must be numbers`);
+  }
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`${label}: latitude must be within ±90 and longitude within ±180`);
+  }
+}
+
+/**
+ * Parse geographic stops
+ * @param {string} pointsString - Stops in format "lat:lon[:name]" (comma-separated), warehouse first
+ * @returns {Array} Points with lat, lon and name
+ */
+export function parseGeoPoints(pointsString) {
+  const points = pointsString.split(',').filter(entry => entry.trim()).map((entry, index) => {
+    const parts = entry.trim().split(':');
+    if (parts.length < 2 || parts.length > 3) {
+      throw new Error(`Cannot read "${entry.trim()}" (expected lat:lon[:name])`);
+    }
+    
+    const lat = parseFloat(parts[0]);
+    const lon = parseFloat(parts[1]);
+    const name = parts.length > 2 && parts[2].trim() ? parts[2].trim() : `Stop ${index}`;
+    assertCoordinates(lat, lon, name);
+    
+    return { lat, lon, name };
+  });
+  
+  if (points.length < 2) {
+    throw new Error('Please enter at least two locations');
+  }
+  
+  return points;
+}
+
+/**
+ * Write points back in the "lat:lon:name" input format
+ * @param {Array} points - Points with lat, lon and name
+ * @returns {string} Comma-separated stops
+ */
+export function formatGeoPoints(points) {
+  return points.map(({ lat, lon, name }) => `${lat}:${lon}:${name}`).join(', ');
+}
+
+/**
+ * Read the Point features of a GeoJSON FeatureCollection (or a single Feature)
+ * Other geometries, such as an exported tour LineString, are skipped
+ * @param {string} text - GeoJSON contents
+ * @returns {Array} Points with lat, lon and name
+ */
+export function parseGeoJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  
+  const type = data && typeof data === 'object' ? data.type : null;
+  const features = type === 'FeatureCollection' ? data.features : type === 'Feature' ? [data] : null;
+  if (!Array.isArray(features)) {
+    throw new Error('Expected a GeoJSON FeatureCollection');
+  }
+  
+  const points = features
+    .filter(feature => feature && feature.geometry && feature.geometry.type === 'Point')
+    .map((feature, index) => {
+      // GeoJSON positions are [longitude, latitude]
+      const [lon, lat] = Array.isArray(feature.geometry.coordinates) ? feature.geometry.coordinates : [];
+      const properties = feature.properties || {};
+      const name = String(properties.name || properties.title || `Stop ${index}`).replace(/[,:]/g, ' ');
+      assertCoordinates(lat, lon, `Feature ${index + 1}`);
+      return { lat, lon, name };
+    });
+  
+  if (points.length < 2) {
+    throw new Error('The GeoJSON needs at least two Point features');
+  }
+  
+  return points;
+}
+
+/**
+ * Export stops and the tour as a GeoJSON FeatureCollection
+ * @param {Array} points - Points with lat, lon and name
+ * @param {Array<number>} tour - Stop indices in visiting order, returning to the start
+ * @param {number} distance - Tour length
+ * @param {string} unit - 'km' or 'mi'
+ * @returns {Object} FeatureCollection with one Point per stop and the tour LineString
+ */
+export function toGeoJson(points, tour, distance, unit = 'km') {
+  const stops = points.map((point, index) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+    properties: {
+      name: point.name,
+      index,
+      warehouse: index === 0,
+      order: tour.indexOf(index)
+    }
+  }));
+  
+  const route = {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: tour.map(index => [points[index].lon, points[index].lat]) },
+    properties: { name: 'Tour', distance, unit }
+  };
+  
+  return { type: 'FeatureCollection', features: [...stops, route] };
+}
@@ -0,0 +1,104 @@
+import { EARTH_RADIUS, haversineDistance, buildGeoDistanceMatrix, projectPoints, parseGeoPoints, parseGeoJson, toGeoJson } from './Geo';
+
+const paris = { lat: 48.8566, lon: 2.3522, name: 'Paris' };
+const london = { lat: 51.5074, lon: -0.1278, name: 'London' };
+const berlin = { lat: 52.52, lon: 13.405, name: 'Berlin' };
+const vienna = { lat: 48.2082, lon: 16.3738, name: 'Vienna' };
+
+describe('haversine distance', () => {
+  test('matches known distances between capitals', () => {
+    expect(haversineDistance(paris, london)).toBeCloseTo(343.6, 0);
+    expect(haversineDistance(berlin, vienna)).toBeCloseTo(523.5, 0);
+    expect(haversineDistance(paris, london, 'mi')).toBeCloseTo(213.5, 0);
+  });
+  
+  test('matches the exact arcs of the sphere', () => {
+    expect(haversineDistance({ lat: 0, lon: 0 }, { lat: 0, lon: 90 })).toBeCloseTo((Math.PI / 2) * EARTH_RADIUS.km, 6);
+    expect(haversineDistance({ lat: 90, lon: 0 }, { lat: -90, lon: 0 })).toBeCloseTo(Math.PI * EARTH_RADIUS.km, 6);
+    expect(haversineDistance({ lat: 0, lon: 179.5 }, { lat: 0, lon: -179.5 })).toBeCloseTo(haversineDistance({ lat: 0, lon: 0 }, { lat: 0, lon: 1 }), 6);
+  });
+  
+  test('builds a symmetric matrix with a zero diagonal', () => {
+    const matrix = buildGeoDistanceMatrix([paris, london, berlin]);
+    
+    expect(matrix.map((row, i) => row[i])).toEqual([0, 0, 0]);
+    expect(matrix[0][2]).toBe(matrix[2][0]);
+    expect(matrix[0][1]).toBe(haversineDistance(paris, london));
+  });
+});
+
+describe('projection', () => {
+  const inside = ({ x, y }) => x >= 30 && x <= 570 && y >= 30 && y <= 270;
+  
+  test('puts north at the top and fits the canvas', () => {
+    const [b, v, p, l] = projectPoints([berlin, vienna, paris, london]);
+    
+    [b, v, p, l].forEach(point => expect(inside(point)).toBe(true));
+    expect(b.y).toBeLessThan(v.y);
+    expect(l.y).toBeLessThan(p.y);
+    expect(l.x).toBeLessThan(p.x);
+    expect(p.x).toBeLessThan(b.x);
+  });
+  
+  test('shrinks longitudes to their length at the mean latitude', () => {
+    const [a, b] = projectPoints([{ lat: 60, lon: 0 }, { lat: 61, lon: 1 }]);
+    const ratio = Math.abs(b.x - a.x) / Math.abs(b.y - a.y);
+    
+    expect(ratio).toBeCloseTo(Math.cos((60.5 * Math.PI) / 180), 6);
+  });
+  
+  test('stretches latitudes away from the equator with Mercator', () => {
+    const points = [{ lat: 0, lon: 0 }, { lat: 30, lon: 0 }, { lat: 60, lon: 0 }];
+    const [low, mid, high] = projectPoints(points, 'mercator');
+    const plain = projectPoints(points, 'equirectangular');
+    
+    expect(low.y - mid.y).toBeLessThan(mid.y - high.y);
+    expect(plain[0].y - plain[1].y).toBeCloseTo(plain[1].y - plain[2].y, 6);
+  });
+  
+  test('keeps the poles on the canvas with Mercator', () => {
+    projectPoints([{ lat: 90, lon: 0 }, { lat: -90, lon: 10 }], 'mercator').forEach(point => {
+      expect(isFinite(point.y)).toBe(true);
+      expect(inside(point)).toBe(true);
+    });
+  });
+  
+  test('centers points that coincide', () => {
+    expect(projectPoints([paris, paris])).toEqual([{ id: 0, x: 300, y: 150 }, { id: 1, x: 300, y: 150 }]);
+  });
+});
+
+describe('geographic input', () => {
+  test('parses stops and names unnamed ones', () => {
+    expect(parseGeoPoints('48.8566:2.3522:Paris, 51.5074:-0.1278')).toEqual([
+      { lat: 48.8566, lon: 2.3522, name: 'Paris' },
+      { lat: 51.5074, lon: -0.1278, name: 'Stop 1' }
+    ]);
+  });
+  
+  test('rejects unreadable or impossible stops', () => {
+    expect(() => parseGeoPoints('48:2, 51')).toThrow('Cannot read "51" (expected lat:lon[:name])');
+    expect(() => parseGeoPoints('48:2, 91:0:North')).toThrow('North: latitude must be within ±90 and longitude within ±180');
+    expect(() => parseGeoPoints('48:2, a:b')).toThrow('Stop 1: latitude and longitude must be numbers');
+    expect(() => parseGeoPoints('48:2')).toThrow('Please enter at least two locations');
+  });
+  
+  test('reads back the points it exports', () => {
+    const geoJson = JSON.stringify(toGeoJson([paris, london, berlin], [0, 2, 1, 0], 1500));
+    
+    expect(parseGeoJson(geoJson)).toEqual([paris, london, berlin]);
+  });
+  
+  test.each(['null', '42', '"text"', '[]', '{"type":"Point"}'])('rejects %s as GeoJSON', (text) => {
+    expect(() => parseGeoJson(text)).toThrow('Expected a GeoJSON FeatureCollection');
+  });
+  
+  test('rejects features without usable points', () => {
+    const feature = (coordinates) => ({ type: 'Feature', geometry: { type: 'Point', coordinates } });
+    
+    expect(() => parseGeoJson('{ nope')).toThrow('The file is not valid JSON');
+    expect(() => parseGeoJson(JSON.stringify({ type: 'FeatureCollection', features: [feature([2, 48]), feature(null)] })))
+      .toThrow('Feature 2: latitude and longitude must be numbers');
+    expect(() => parseGeoJson(JSON.stringify(feature([2, 48])))).toThrow('The GeoJSON needs at least two Point features');
+  });
+});
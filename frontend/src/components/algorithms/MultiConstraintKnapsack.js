@@ -0,0 +1,263 @@
+/**
+ * Multi-Constraint Knapsack Algorithm
+ * Loads packages subject to several vehicle limits at once: weight, volume and
+ * optionally pallet count. Fractional loading is solved exactly as a linear
+ * program (simplex); 0/1 loading uses Branch and Bound.
+ */
+
+// Tolerance for floating point comparisons in the simplex and the search
+const EPSILON = 1e-9;
+
+/**
+ * Dimensions the loader knows about, in display order
+ */
+export const DIMENSIONS = [
+  { key: 'weight', label: 'Weight', unit: 'kg' },
+  { key: 'volume', label: 'Volume', unit: 'm³' },
+  { key: 'pallets', label: 'Pallets', unit: '' }
+];
+
+/**
+ * Solve max values·x subject to usage·x <= limits and 0 <= x <= 1
+ * Tableau simplex with Bland's rule; the origin is always feasible because
+ * every right-hand side is non-negative, so no phase one is needed.
+ * @param {Array<number>} values - Objective coefficient per item
+ * @param {Array<Array<number>>} usage - usage[d][j] is item j's use of dimension d
+ * @param {Array<number>} limits - Capacity per dimension
+ * @returns {Array<number>} Optimal fraction per item
+ */
+function solveLP(values, usage, limits) {
+  const n = values.length;
+  const D = limits.length;
+  const m = D + n;
+  const rhs = n + m;
+  
+  // One row per dimension limit, then one row per item bound x_j <= 1
+  const tableau = [];
+  for (let d = 0; d < D; d++) {
+    const row = Array(n + m + 1).fill(0);
+    for (let j = 0; j < n; j++) row[j] = usage[d][j];
+    row[n + d] = 1;
+    row[rhs] = limits[d];
+    tableau.push(row);
+  }
+  for (let j = 0; j < n; j++) {
+    const row = Array(n + m + 1).fill(0);
+    row[j] = 1;
+    row[n + D + j] = 1;
+    row[rhs] = 1;
+    tableau.push(row);
+  }
+  const objective = Array(n + m + 1).fill(0);
+  for (let j = 0; j < n; j++) objective[j] = -values[j];
+  
+  const basis = Array(m).fill(0).map((_, r) => n + r);
+  
+  while (true) {
+    // Bland's rule: lowest-index improving column enters
+    const entering = objective.findIndex((c, col) => col < rhs && c < -EPSILON);
+    if (entering === -1) break;
+    
+    // Ratio test, ties broken by lowest basis index
+    let leaving = -1;
+    let bestRatio = Infinity;
+    for (let r = 0; r < m; r++) {
+      const a = tableau[r][entering];
+      if (a > EPSILON) {
+        const ratio = tableau[r][rhs] / a;
+        if (ratio < bestRatio - EPSILON || (Math.abs(ratio - bestRatio) <= EPSILON && basis[r] < basis[leaving])) {
+          bestRatio = ratio;
+          leaving = r;
+        }
+      }
+    }
+    if (leaving === -1) break; // Unbounded cannot happen with x <= 1
+    
+    // Pivot
+    const pivot = tableau[leaving][entering];
+    tableau[leaving] = tableau[leaving].map(v => v / pivot);
+    for (let r = 0; r < m; r++) {
+      if (r === leaving) continue;
+      const factor = tableau[r][entering];
+      if (factor !== 0) {
+        tableau[r] = tableau[r].map((v, col) => v - factor * tableau[leaving][col]);
+      }
+    }
+    const factor = objective[entering];
+    for (let col = 0; col <= rhs; col++) {
+      objective[col] -= factor * tableau[leaving][col];
+    }
+    basis[leaving] = entering;
+  }
+  
+  const x = Array(n).fill(0);
+  basis.forEach((variable, r) => {
+    if (variable < n) x[variable] = Math.min(1, Math.max(0, tableau[r][rhs]));
+  });
+  return x;
+}
+
+/**
+ * Branch and Bound for the 0/1 multi-constraint problem
+ * The bound at each node is the smallest single-dimension fractional bound,
+ * which never underestimates what the remaining items can add.
+ * @param {Array<number>} values - Value per item
+ * @param {Array<Array<number>>} usage - usage[d][j] is item j's use of dimension d
+ * @param {Array<number>} limits - Capacity per dimension
+ * @returns {Array<number>} 0 or 1 per item
+ */
+function solveBranchAndBound(values, usage, limits) {
+  const n = values.length;
+  const D = limits.length;
+  
+  // Branch on items by value per scarcity-weighted size
+  const size = (j) => usage.reduce((sum, row, d) => sum + (limits[d] > 0 ? row[j] / limits[d] : row[j] > 0 ? Infinity : 0), 0);
+  const order = values.map((_, j) => j).sort((a, b) => values[b] / (size(b) || EPSILON) - values[a] / (size(a) || EPSILON));
+  
+  // Per dimension, items by value density in that dimension (for the bound)
+  const densityOrder = usage.map(row => order.slice().sort((a, b) => values[b] / (row[b] || EPSILON) - values[a] / (row[a] || EPSILON)));
+  const position = Array(n).fill(0);
+  order.forEach((j, k) => { position[j] = k; });
+  
+  const bound = (depth, remaining, value) => {
+    let best = Infinity;
+    for (let d = 0; d < D; d++) {
+      let total = value;
+      let capacity = remaining[d];
+      for (const j of densityOrder[d]) {
+        if (position[j] < depth) continue;
+        if (usage[d][j] <= capacity) {
+          total += values[j];
+          capacity -= usage[d][j];
+        } else {
+          total += values[j] * (capacity / usage[d][j]);
+          break;
+        }
+      }
+      best = Math.min(best, total);
+    }
+    return best;
+  };
+  
+  let bestValue = -1;
+  let bestTaken = Array(n).fill(0);
+  const taken = Array(n).fill(0);
+  
+  const search = (depth, remaining, value) => {
+    if (value > bestValue) {
+      bestValue = value;
+      bestTaken = taken.slice();
+    }
+    if (depth === n || bound(depth, remaining, value) <= bestValue + EPSILON) return;
+    
+    const j = order[depth];
+    if (usage.every((row, d) => row[j] <= remaining[d] + EPSILON)) {
+      taken[j] = 1;
+      search(depth + 1, remaining.map((r, d) => r - usage[d][j]), value + values[j]);
+      taken[j] = 0;
+    }
+    search(depth + 1, remaining, value);
+  };
+  
+  search(0, limits.slice(), 0);
+  return bestTaken;
+}
+
+/**
+ * Execute Multi-Constraint Knapsack Algorithm
+ * @param {Array} boxes - Boxes with weight, profit and optional volume and pallets
+ * @param {Object} limits - Vehicle limits { weight, volume, pallets }; omitted or null limits are ignored
+ * @param {string} mode - 'fractional' (split packages) or 'zero-one' (whole packages only)
+ * @returns {Object} Same shape as fractionalKnapsack() plus per-dimension utilization
+ */
+export function multiConstraintKnapsack(boxes, limits, mode = 'fractional') {
+  const temp = boxes.map((box, index) => ({
+    index: box.index !== undefined ? box.index : index,
+    weight: parseFloat(box.weight),
+    volume: parseFloat(box.volume) || 0,
+    pallets: parseFloat(box.pallets) || 0,
+    profit: parseFloat(box.profit),
+    name: box.name || `Box ${index}`,
+    ratio: box.weight > 0 ? parseFloat(box.profit) / parseFloat(box.weight) : 0
+  }));
+  
+  const dimensions = DIMENSIONS.filter(dim => limits[dim.key] !== null && limits[dim.key] !== undefined && !isNaN(limits[dim.key]));
+  if (dimensions.length === 0 || !dimensions.some(dim => dim.key === 'weight')) {
+    throw new Error('A weight limit is required');
+  }
+  
+  const values = temp.map(box => box.profit);
+  const usage = dimensions.map(dim => temp.map(box => box[dim.key]));
+  const capacities = dimensions.map(dim => parseFloat(limits[dim.key]));
+  
+  const fractions = mode === 'zero-one'
+    ? solveBranchAndBound(values, usage, capacities)
+    : solveLP(values, usage, capacities);
+  
+  let totalProfit = 0;
+  const selectedBoxes = [];
+  temp.forEach((box, j) => {
+    const fraction = fractions[j] > 1 - EPSILON ? 1.0 : fractions[j];
+    if (fraction <= EPSILON) return;
+    
+    totalProfit += box.profit * fraction;
+    selectedBoxes.push({
+      ...box,
+      fraction,
+      takenWeight: box.weight * fraction,
+      takenVolume: box.volume * fraction,
+      takenPallets: box.pallets * fraction,
+      takenProfit: box.profit * fraction
+    });
+  });
+  
+  // Whole packages first, then by value per kg
+  selectedBoxes.sort((a, b) => b.fraction - a.fraction || b.ratio - a.ratio);
+  
+  const utilization = dimensions.map((dim, d) => {
+    const used = temp.reduce((sum, box, j) => sum + usage[d][j] * (fractions[j] > EPSILON ? fractions[j] : 0), 0);
+    return {
+      ...dim,
+      used,
+      capacity: capacities[d],
+      utilization: capacities[d] > 0 ? ((used / capacities[d]) * 100).toFixed(1) : '0.0'
+    };
+  });
+  
+  const weightUsage = utilization.find(dim => dim.key === 'weight');
+  const usedCapacity = weightUsage.used;
+  
+  return {
+    type: 'knapsack',
+    totalProfit: totalProfit.toFixed(2),
+    selectedBoxes,
+    usedCapacity,
+    remainingCapacity: weightUsage.capacity - usedCapacity,
+    capacity: weightUsage.capacity,
+    efficiency: (usedCapacity > 0 ? totalProfit / usedCapacity : 0).toFixed(2),
+    approachName: mode === 'zero-one' ? 'Multi-constraint 0/1 (Branch and Bound)' : 'Multi-constraint Fractional (LP)',
+    method: mode === 'zero-one' ? 'branch-and-bound' : 'linear-programming',
+    dimensions: utilization
+  };
+}
+
+/**
+ * Compare fractional and 0/1 loading under the same limits
+ * @param {Array} boxes - Boxes with weight, profit and optional volume and pallets
+ * @param {Object} limits - Vehicle limits { weight, volume, pallets }
+ * @returns {Object} Both values, the absolute gap and the gap in percent
+ */
+export function multiConstraintValueGap(boxes, limits) {
+  const fractionalValue = parseFloat(multiConstraintKnapsack(boxes, limits, 'fractional').totalProfit);
+  const zeroOneValue = parseFloat(multiConstraintKnapsack(boxes, limits, 'zero-one').totalProfit);
+  const gap = fractionalValue - zeroOneValue;
+  
+  return {
+    fractionalValue: fractionalValue.toFixed(2),
+    zeroOneValue: zeroOneValue.toFixed(2),
+    gap: gap.toFixed(2),
+    gapPercent: fractionalValue > 0 ? ((gap / fractionalValue) * 100).toFixed(2) : '0.00'
+  };
+}
+
+export default multiConstraintKnapsack;
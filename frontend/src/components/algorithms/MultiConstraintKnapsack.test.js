@@ -0,0 +1,105 @@
+import { multiConstraintKnapsack, multiConstraintValueGap } from './MultiConstraintKnapsack';
+import { fractionalKnapsack } from './FractionalKnapsack';
+import { createRandom } from './TSP';
+
+const KEYS = ['weight', 'volume', 'pallets'];
+
+// Best 0/1 value over every subset of boxes that fits all limits
+const bruteForce = (boxes, limits) => {
+  let best = 0;
+  for (let mask = 0; mask < 1 << boxes.length; mask++) {
+    const chosen = boxes.filter((_, i) => mask & (1 << i));
+    const fits = KEYS.every(key => limits[key] === undefined || chosen.reduce((sum, box) => sum + box[key], 0) <= limits[key]);
+    if (fits) best = Math.max(best, chosen.reduce((sum, box) => sum + box.profit, 0));
+  }
+  return best;
+};
+
+const randomBoxes = (count, seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, (_, i) => ({
+    weight: 1 + Math.floor(random() * 30),
+    volume: 1 + Math.floor(random() * 10),
+    pallets: Math.floor(random() * 3),
+    profit: 1 + Math.floor(random() * 60),
+    name: `Box ${i}`
+  }));
+};
+
+// Every limit holds for the loaded fractions
+const expectWithinLimits = (result, limits) => {
+  KEYS.filter(key => limits[key] !== undefined).forEach(key => {
+    const used = result.selectedBoxes.reduce((sum, box) => sum + box[key] * box.fraction, 0);
+    expect(used).toBeLessThanOrEqual(limits[key] + 1e-6);
+  });
+};
+
+describe('multi-constraint knapsack', () => {
+  // Each box fills one dimension and a quarter of the other
+  const crossed = [
+    { weight: 4, volume: 1, profit: 4, name: 'Long' },
+    { weight: 1, volume: 4, profit: 4, name: 'Tall' }
+  ];
+  const crossedLimits = { weight: 4, volume: 4 };
+  
+  test('the simplex splits both boxes when each limit binds', () => {
+    const result = multiConstraintKnapsack(crossed, crossedLimits, 'fractional');
+    
+    expect(result.method).toBe('linear-programming');
+    expect(result.totalProfit).toBe('6.40');
+    result.selectedBoxes.forEach(box => expect(box.fraction).toBeCloseTo(0.8));
+    result.dimensions.forEach(dim => expect(dim.utilization).toBe('100.0'));
+  });
+  
+  test('branch and bound takes only one whole box', () => {
+    const result = multiConstraintKnapsack(crossed, crossedLimits, 'zero-one');
+    
+    expect(result.method).toBe('branch-and-bound');
+    expect(result.totalProfit).toBe('4.00');
+    expect(result.selectedBoxes).toHaveLength(1);
+    expect(result.selectedBoxes[0].fraction).toBe(1);
+  });
+  
+  test('reports the gap between the two', () => {
+    expect(multiConstraintValueGap(crossed, crossedLimits)).toEqual({
+      fractionalValue: '6.40',
+      zeroOneValue: '4.00',
+      gap: '2.40',
+      gapPercent: '37.50'
+    });
+  });
+  
+  test('the simplex matches the greedy optimum with only a weight limit', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const boxes = randomBoxes(8, seed);
+      const result = multiConstraintKnapsack(boxes, { weight: 60 }, 'fractional');
+      
+      expect(parseFloat(result.totalProfit)).toBeCloseTo(parseFloat(fractionalKnapsack(boxes, 3, 60).totalProfit));
+      expectWithinLimits(result, { weight: 60 });
+    }
+  });
+  
+  test.each([1, 2, 3, 4, 5, 6])('branch and bound matches brute force under three limits (instance %i)', (seed) => {
+    const boxes = randomBoxes(10, seed);
+    const limits = { weight: 50 + seed * 5, volume: 15 + seed, pallets: 4 };
+    const zeroOne = multiConstraintKnapsack(boxes, limits, 'zero-one');
+    const fractional = multiConstraintKnapsack(boxes, limits, 'fractional');
+    const optimum = bruteForce(boxes, limits);
+    
+    expect(parseFloat(zeroOne.totalProfit)).toBe(optimum);
+    expectWithinLimits(zeroOne, limits);
+    expectWithinLimits(fractional, limits);
+    expect(parseFloat(fractional.totalProfit)).toBeGreaterThanOrEqual(optimum - 1e-6);
+  });
+  
+  test('ignores limits that are not set', () => {
+    const result = multiConstraintKnapsack(crossed, { weight: 4, volume: null, pallets: NaN }, 'zero-one');
+    
+    expect(result.dimensions.map(dim => dim.key)).toEqual(['weight']);
+  });
+  
+  test('requires a weight limit', () => {
+    expect(() => multiConstraintKnapsack(crossed, { volume: 4 })).toThrow('A weight limit is required');
+    expect(() => multiConstraintKnapsack(crossed, {})).toThrow('A weight limit is required');
+  });
+});
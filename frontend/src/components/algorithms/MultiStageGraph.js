@@ -1,46 +1,95 @@
 /**
  * Multi-Stage Graph Algorithm
- * Based on the Python implementation using backward cost approach
+ * Based on the Python implementation using backward cost approach, cross-checked
+ * against the stage-by-stage forward cost approach
  * Finds the minimum cost path from source to destination through multiple stages
  */
 
 const INF = Infinity;
 
+/**
+ * Solving order of the vertices: source first, destination last, and every
+ * edge the solvers follow leads to a later vertex
+ * @param {number} n - Number of vertices
+ * @param {Array<number>} order - Optional vertex order, e.g. derived stages flattened (default: 0 .. n-1)
+ * @returns {Object} The order and each vertex's position in it
+ */
+function solvingOrder(n, order = null) {
+  const vertices = order || Array.from({ length: n }, (_, v) => v);
+  const position = Array(n).fill(-1);
+  vertices.forEach((v, index) => { position[v] = index; });
+  return { vertices, position };
+}
+
 /**
  * Calculate minimum cost path using backward cost approach
  * @param {Array<Array<number>>} G - Cost matrix (adjacency matrix with edge weights)
  * @param {number} n - Number of vertices
+ * @param {Array} trace - Optional array that receives one event per decision (init, candidate, update, settle, path)
+ * @param {Array<number>} order - Optional topological vertex order (default: 0 .. n-1)
  * @returns {Object} Result containing minimum cost and path
  */
-export function backwardCost(G, n) {
+export function backwardCost(G, n, trace = null, order = null) {
+  const { vertices } = solvingOrder(n, order);
+  
   // Initialize backward cost array and decision array
   const bcost = Array(n).fill(INF);
   const d = Array(n).fill(0);
   
   // Base case: cost from destination to itself is 0
   bcost[n - 1] = 0;
+  if (trace) {
+    trace.push({ type: 'init', vertex: n - 1, cost: 0, message: `bcost[${n - 1}] = 0 at the destination` });
+  }
   
-  // Calculate backward costs from n-2 to 0
-  for (let j = n - 2; j >= 0; j--) {
+  // Calculate backward costs from the vertex before the destination back to the source
+  for (let index = n - 2; index >= 0; index--) {
+    const j = vertices[index];
     let minCost = INF;
     let nextVertex = -1;
     
     // Check all possible next vertices
-    for (let r = j + 1; r < n; r++) {
+    for (const r of vertices.slice(index + 1)) {
       const edgeCost = G[j][r];
       
       if (edgeCost !== INF) {
         const total = bcost[r] + edgeCost;
         
+        if (trace) {
+          trace.push({
+            type: 'candidate',
+            vertex: j,
+            via: r,
+            cost: total,
+            message: `Vertex ${j}: via ${r} costs ${edgeCost} + ${bcost[r]} = ${total}`
+          });
+        }
+        
         if (total < minCost) {
           minCost = total;
           nextVertex = r;
+          
+          if (trace) {
+            trace.push({ type: 'update', vertex: j, via: r, cost: total, message: `bcost[${j}] updated via ${r} to ${total}` });
+          }
         }
       }
     }
     
     bcost[j] = minCost;
     d[j] = nextVertex;
+    
+    if (trace) {
+      trace.push({
+        type: 'settle',
+        vertex: j,
+        via: nextVertex,
+        cost: minCost,
+        message: nextVertex === -1
+          ? `Vertex ${j} has no way on to the destination`
+          : `bcost[${j}] = ${minCost}, d[${j}] = ${nextVertex}`
+      });
+    }
   }
   
   // Reconstruct the path
@@ -57,6 +106,9 @@ export function backwardCost(G, n) {
     }
     
     const nextNode = d[current];
+    if (trace) {
+      trace.push({ type: 'path', vertex: nextNode, via: current, message: `Follow d[${current}] = ${nextNode}` });
+    }
     p[index] = nextNode;
     current = nextNode;
     index++;
@@ -74,56 +126,500 @@ export function backwardCost(G, n) {
 }
 
 /**
- * Multi-Stage Graph with edge costs input
+ * Calculate minimum cost path using the forward cost approach
+ * cost[j] is the cheapest way from j to the destination, built from the last
+ * stage back to the source over every edge to a later vertex in stage order,
+ * so edges that skip stages are followed too
+ * @param {Array<Array<number>>} G - Cost matrix (adjacency matrix with edge weights)
+ * @param {Array<Array<number>>} stageVertices - Vertices of each stage, source stage first
+ * @returns {Object} Result containing minimum cost, path and decision table
+ */
+export function forwardCost(G, stageVertices) {
+  const n = G.length;
+  const cost = Array(n).fill(INF);
+  const d = Array(n).fill(-1);
+  
+  const lastStage = stageVertices.length - 1;
+  for (const v of stageVertices[lastStage]) {
+    cost[v] = 0;
+  }
+  
+  // Work back from the vertex before the last stage, in topological order
+  const { vertices } = solvingOrder(n, stageVertices.flat());
+  const firstOfLastStage = n - stageVertices[lastStage].length;
+  for (let index = firstOfLastStage - 1; index >= 0; index--) {
+    const j = vertices[index];
+    
+    for (const l of vertices.slice(index + 1)) {
+      const edgeCost = G[j][l];
+      
+      if (edgeCost !== INF && edgeCost + cost[l] < cost[j]) {
+        cost[j] = edgeCost + cost[l];
+        d[j] = l;
+      }
+    }
+  }
+  
+  // Follow the decisions from the source
+  const source = stageVertices[0][0];
+  const path = [source];
+  let current = source;
+  
+  while (d[current] !== -1) {
+    current = d[current];
+    path.push(current);
+  }
+  
+  return {
+    minimumCost: cost[source],
+    path: path,
+    costArray: cost,
+    decisionArray: d
+  };
+}
+
+/**
+ * Find the k cheapest paths from source to destination
+ * Same recurrence as backwardCost, but each vertex keeps its k best costs to
+ * the destination instead of one, together with the successor and which of
+ * that successor's costs it extends
+ * @param {Array<Array<number>>} G - Cost matrix (adjacency matrix with edge weights)
+ * @param {number} n - Number of vertices
+ * @param {number} k - Number of paths wanted
+ * @param {Array<number>} order - Optional topological vertex order (default: 0 .. n-1)
+ * @returns {Array} Up to k paths ranked by cost, each with rank, cost and path
+ */
+export function kShortestPaths(G, n, k, order = null) {
+  const { vertices } = solvingOrder(n, order);
+  const best = Array(n).fill(null).map(() => []);
+  best[n - 1] = [{ cost: 0, next: -1, nextRank: -1 }];
+  
+  for (let index = n - 2; index >= 0; index--) {
+    const j = vertices[index];
+    const candidates = [];
+    
+    for (const r of vertices.slice(index + 1)) {
+      const edgeCost = G[j][r];
+      if (edgeCost === INF) continue;
+      
+      best[r].forEach((entry, entryRank) => {
+        candidates.push({ cost: edgeCost + entry.cost, next: r, nextRank: entryRank });
+      });
+    }
+    
+    best[j] = candidates.sort((a, b) => a.cost - b.cost).slice(0, k);
+  }
+  
+  // Walk each of the source's entries down to the destination
+  return best[0].map((entry, rank) => {
+    const path = [0];
+    let current = entry;
+    
+    while (current.next !== -1) {
+      path.push(current.next);
+      current = best[current.next][current.nextRank];
+    }
+    
+    return { rank: rank + 1, cost: entry.cost, path };
+  });
+}
+
+/**
+ * Find every Pareto-optimal path for two criteria (cost and time)
+ * Label-setting in reverse solving order: each vertex keeps the labels to the
+ * destination that no other label beats on both cost and time
+ * @param {Array<Array<number>>} G - Cost matrix
+ * @param {Array<Array<number>>} T - Time matrix
+ * @param {number} n - Number of vertices
+ * @param {Array<number>} order - Optional topological vertex order (default: 0 .. n-1)
+ * @returns {Array} Non-dominated paths sorted by cost, each with cost, time and path
+ */
+export function paretoPaths(G, T, n, order = null) {
+  const { vertices } = solvingOrder(n, order);
+  const labels = Array(n).fill(null).map(() => []);
+  labels[n - 1] = [{ cost: 0, time: 0, next: -1, nextLabel: -1 }];
+  
+  for (let index = n - 2; index >= 0; index--) {
+    const j = vertices[index];
+    const candidates = [];
+    
+    for (const r of vertices.slice(index + 1)) {
+      if (G[j][r] === INF) continue;
+      
+      labels[r].forEach((label, labelIndex) => {
+        candidates.push({ cost: G[j][r] + label.cost, time: T[j][r] + label.time, next: r, nextLabel: labelIndex });
+      });
+    }
+    
+    // Cheapest first; keep a label only if it is faster than every cheaper one
+    candidates.sort((a, b) => a.cost - b.cost || a.time - b.time);
+    let fastest = INF;
+    for (const label of candidates) {
+      if (label.time < fastest) {
+        labels[j].push(label);
+        fastest = label.time;
+      }
+    }
+  }
+  
+  return labels[0].map(label => {
+    const path = [0];
+    let current = label;
+    
+    while (current.next !== -1) {
+      path.push(current.next);
+      current = labels[current.next][current.nextLabel];
+    }
+    
+    return { cost: label.cost, time: label.time, path };
+  });
+}
+
+/**
+ * Cross-check the backward and forward formulations
+ * On a well-formed multistage graph both give the same minimum cost; a
+ * mismatch means some edge runs against the stage order
+ * @param {Object} backward - Result of backwardCost
+ * @param {Object} forward - Result of forwardCost
+ * @returns {Object} Agreement flag, both costs and a message when they differ
+ */
+export function crossCheckCosts(backward, forward) {
+  const agree = backward.minimumCost === forward.minimumCost ||
+    Math.abs(backward.minimumCost - forward.minimumCost) < 1e-9;
+  
+  return {
+    agree,
+    backwardCost: backward.minimumCost,
+    forwardCost: forward.minimumCost,
+    message: agree
+      ? null
+      : `Backward cost ${backward.minimumCost} and forward cost ${forward.minimumCost} disagree: the graph is malformed (check for edges that point backwards)`
+  };
+}
+
+/**
+ * Parse an explicit stage layout
+ * @param {string} stageSizesString - Vertices per stage, e.g. "1,3,2,4,1"
+ * @returns {Array<number>} Vertex count of each stage
+ */
+export function parseStageSizes(stageSizesString) {
+  const sizes = stageSizesString.split(',').filter(s => s.trim()).map(s => Number(s.trim()));
+  
+  if (sizes.some(size => !Number.isInteger(size) || size < 1)) {
+    throw new Error('Stage sizes must be positive whole numbers (comma-separated)');
+  }
+  if (sizes.length < 2) {
+    throw new Error('At least 2 stages are required');
+  }
+  if (sizes[0] !== 1 || sizes[sizes.length - 1] !== 1) {
+    throw new Error('The first and last stage must each have exactly 1 vertex (source and destination)');
+  }
+  
+  return sizes;
+}
+
+/**
+ * Parse edge costs
+ * Shared with the general shortest path solver; costs may be negative. An
+ * optional second criterion (transit time) follows the cost after a slash
+ * @param {string} edgeCostsString - Edge costs in format "0-1:2, 0-2:3, 1-3:4" or "0-1:2/5, 0-2:3/1"
+ * @returns {Object} Parsed edges with from, to, cost (and time), plus the entries that could not be read
+ */
+export function parseEdges(edgeCostsString) {
+  const edges = [];
+  const invalid = [];
+  
+  if (edgeCostsString && edgeCostsString.trim()) {
+    for (const edge of edgeCostsString.split(',')) {
+      if (!edge.trim()) continue;
+      
+      const match = edge.trim().match(/^(\d+)\s*-\s*(\d+)\s*:\s*(-?\d*\.?\d+)(?:\s*\/\s*(\d*\.?\d+))?$/);
+      
+      if (match) {
+        const parsed = { from: parseInt(match[1]), to: parseInt(match[2]), cost: parseFloat(match[3]) };
+        if (match[4] !== undefined) {
+          parsed.time = parseFloat(match[4]);
+        }
+        edges.push(parsed);
+      } else {
+        invalid.push(edge.trim());
+      }
+    }
+  }
+  
+  return { edges, invalid };
+}
+
+/**
+ * Derive stages from the edges by topological layering
+ * Each vertex goes one stage after its furthest predecessor (longest path from
+ * the source), so every edge points to a later stage; the destination gets
+ * the last stage to itself
+ * @param {Array<Array<number>>} G - Cost matrix
+ * @param {number} n - Number of vertices (source 0, destination n - 1)
+ * @returns {Array<Array<number>>} Vertices of each stage
+ */
+export function layerStages(G, n) {
+  const inDegree = Array(n).fill(0);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (G[i][j] !== INF) inDegree[j]++;
+    }
+  }
+  
+  // Kahn's algorithm, tracking the longest path to each vertex
+  const layer = Array(n).fill(0);
+  const queue = [];
+  for (let v = 0; v < n; v++) {
+    if (inDegree[v] === 0) queue.push(v);
+    if (v !== 0) layer[v] = 1;
+  }
+  
+  let processed = 0;
+  while (queue.length > 0) {
+    const u = queue.shift();
+    processed++;
+    
+    for (let v = 0; v < n; v++) {
+      if (G[u][v] === INF) continue;
+      layer[v] = Math.max(layer[v], layer[u] + 1);
+      if (--inDegree[v] === 0) queue.push(v);
+    }
+  }
+  
+  if (processed < n) {
+    throw new Error('Edges contain a cycle, so stages cannot be derived');
+  }
+  if (n > 1 && layer[0] !== 0) {
+    throw new Error('Vertex 0 must be the source, but it has incoming edges');
+  }
+  
+  const lastStage = Math.max(...layer.filter((_, v) => v !== n - 1), 0) + 1;
+  layer[n - 1] = Math.max(layer[n - 1], lastStage);
+  
+  const stageVertices = Array(layer[n - 1] + 1).fill(null).map(() => []);
+  for (let v = 0; v < n; v++) {
+    stageVertices[layer[v]].push(v);
+  }
+  
+  // A destination with outgoing edges leaves its own layer empty when it moves last
+  return stageVertices.filter(stage => stage.length > 0);
+}
+
+/**
+ * Validate a staged graph
+ * Every edge should lead from one stage to the next, every vertex should lie
+ * on some source-to-destination route, and at least one such route must exist
+ * @param {Array} edges - Parsed edges with from, to and cost
+ * @param {Array<Array<number>>} stageVertices - Vertices of each stage
+ * @param {number} n - Number of vertices (source 0, destination n - 1)
+ * @returns {Array} Diagnostics with code, severity ('error' or 'warning'), message and the edge or vertex involved
+ */
+export function validateMultiStageGraph(edges, stageVertices, n) {
+  const diagnostics = [];
+  const stageOf = Array(n).fill(-1);
+  stageVertices.forEach((stageNodes, stage) => {
+    for (const v of stageNodes) stageOf[v] = stage;
+  });
+  
+  // The solvers visit the stages in order and only follow edges to a later vertex
+  const { position } = solvingOrder(n, stageVertices.flat());
+  const successors = Array(n).fill(null).map(() => []);
+  const predecessors = Array(n).fill(null).map(() => []);
+  
+  for (const edge of edges) {
+    const { from, to } = edge;
+    const label = `${from}-${to}`;
+    
+    if (from >= n || to >= n) {
+      diagnostics.push({
+        code: 'out-of-range',
+        severity: 'error',
+        message: `Edge ${label} uses a vertex outside 0-${n - 1}`,
+        edge
+      });
+      continue;
+    }
+    
+    const gap = stageOf[to] - stageOf[from];
+    if (gap === 0) {
+      diagnostics.push({
+        code: 'same-stage',
+        severity: 'warning',
+        message: `Edge ${label} stays within stage ${stageOf[from]}`,
+        edge
+      });
+    } else if (gap < 0) {
+      diagnostics.push({
+        code: 'backward-edge',
+        severity: 'warning',
+        message: `Edge ${label} points backward (stage ${stageOf[from]} to ${stageOf[to]})`,
+        edge
+      });
+    } else if (gap > 1) {
+      diagnostics.push({
+        code: 'skips-stage',
+        severity: 'warning',
+        message: `Edge ${label} skips from stage ${stageOf[from]} to ${stageOf[to]}`,
+        edge
+      });
+    }
+    
+    if (position[to] > position[from]) {
+      successors[from].push(to);
+      predecessors[to].push(from);
+    }
+  }
+  
+  const search = (start, neighbours) => {
+    const seen = Array(n).fill(false);
+    const stack = [start];
+    seen[start] = true;
+    while (stack.length > 0) {
+      for (const next of neighbours[stack.pop()]) {
+        if (!seen[next]) {
+          seen[next] = true;
+          stack.push(next);
+        }
+      }
+    }
+    return seen;
+  };
+  
+  const fromSource = search(0, successors);
+  const toDestination = search(n - 1, predecessors);
+  
+  for (let v = 1; v < n - 1; v++) {
+    if (!fromSource[v]) {
+      diagnostics.push({
+        code: 'unreachable',
+        severity: 'warning',
+        message: `Vertex ${v} cannot be reached from the source`,
+        vertex: v
+      });
+    } else if (!toDestination[v]) {
+      diagnostics.push({
+        code: 'dead-end',
+        severity: 'warning',
+        message: `Vertex ${v} is a dead end (no route on to the destination)`,
+        vertex: v
+      });
+    }
+  }
+  
+  if (!fromSource[n - 1]) {
+    diagnostics.push({
+      code: 'no-path',
+      severity: 'error',
+      message: `There is no path from the source (0) to the destination (${n - 1})`
+    });
+  }
+  
+  return diagnostics;
+}
+
+/**
+ * Build the cost matrix and stage layout without solving
  * @param {number} numStages - Number of stages
- * @param {number} nodesPerStage - Number of nodes per stage
+ * @param {number} nodesPerStage - Number of nodes per intermediate stage
  * @param {string} edgeCostsString - Edge costs in format "0-1:2, 0-2:3, 1-3:4"
- * @returns {Object} Result containing cost, path, and graph structure
+ * @param {Object} options - Uneven layouts
+ * @param {Array<number>} options.stageSizes - Vertex count of every stage (overrides numStages and nodesPerStage)
+ * @param {boolean} options.deriveStages - Derive the stages from the edges by topological layering
+ * @returns {Object} Cost matrix, time matrix (null without times), stage vertices, vertex count and diagnostics
  */
-export function multiStageGraphWithEdges(numStages, nodesPerStage, edgeCostsString) {
-  const stages = parseInt(numStages);
-  const nodes = parseInt(nodesPerStage);
+export function buildMultiStageGraph(numStages, nodesPerStage, edgeCostsString, options = {}) {
+  const { stageSizes = null, deriveStages = false } = options;
+  const { edges, invalid } = parseEdges(edgeCostsString);
   
   // Calculate total number of vertices
-  const n = 1 + (stages - 2) * nodes + 1;
+  let sizes;
+  let n;
+  if (deriveStages) {
+    n = edges.length > 0 ? Math.max(...edges.map(e => Math.max(e.from, e.to))) + 1 : 1;
+  } else if (stageSizes) {
+    sizes = stageSizes;
+    n = sizes.reduce((sum, size) => sum + size, 0);
+  } else {
+    const stageCount = parseInt(numStages);
+    const nodes = parseInt(nodesPerStage);
+    if (isNaN(stageCount) || stageCount < 2 || isNaN(nodes) || nodes < 1) {
+      throw new Error('At least 2 stages and 1 node per stage are required');
+    }
+    sizes = [1, ...Array(stageCount - 2).fill(nodes), 1];
+    n = sizes.reduce((sum, size) => sum + size, 0);
+  }
   
-  // Create cost matrix initialized with INF
-  const costMatrix = Array(n).fill(null).map(() => Array(n).fill(INF));
+  if (n < 2) {
+    throw new Error('The graph needs at least a source and a destination');
+  }
   
-  // Parse edge costs
-  if (edgeCostsString && edgeCostsString.trim()) {
-    const edges = edgeCostsString.split(',');
-    for (const edge of edges) {
-      const parts = edge.trim().split(/[-:]/);
-      if (parts.length === 3) {
-        const from = parseInt(parts[0]);
-        const to = parseInt(parts[1]);
-        const cost = parseFloat(parts[2]);
-        
-        if (!isNaN(from) && !isNaN(to) && !isNaN(cost) && from < n && to < n) {
-          costMatrix[from][to] = cost;
-        }
+  // Create cost matrix initialized with INF, and a time matrix when edges carry times
+  const hasTimes = edges.some(edge => edge.time !== undefined);
+  const costMatrix = Array(n).fill(null).map(() => Array(n).fill(INF));
+  const timeMatrix = hasTimes ? Array(n).fill(null).map(() => Array(n).fill(INF)) : null;
+  for (const { from, to, cost, time } of edges) {
+    if (from < n && to < n) {
+      costMatrix[from][to] = cost;
+      if (hasTimes) {
+        timeMatrix[from][to] = time === undefined ? INF : time;
       }
     }
   }
   
   // Build stage structure for visualization
-  const stageVertices = [];
-  stageVertices[0] = [0]; // Source vertex
-  
-  let vertexIndex = 1;
-  for (let stage = 1; stage < stages - 1; stage++) {
-    stageVertices[stage] = [];
-    for (let i = 0; i < nodes; i++) {
-      stageVertices[stage].push(vertexIndex);
-      vertexIndex++;
+  let stageVertices;
+  if (deriveStages) {
+    stageVertices = layerStages(costMatrix, n);
+  } else {
+    stageVertices = [];
+    let vertexIndex = 0;
+    for (const size of sizes) {
+      stageVertices.push(Array.from({ length: size }, (_, i) => vertexIndex + i));
+      vertexIndex += size;
     }
   }
   
-  stageVertices[stages - 1] = [n - 1]; // Destination vertex
+  const diagnostics = [
+    ...invalid.map(entry => ({
+      code: 'invalid-entry',
+      severity: 'error',
+      message: `Cannot read "${entry}" (expected source-destination:cost)`
+    })),
+    ...(hasTimes ? edges.filter(edge => edge.time === undefined) : []).map(edge => ({
+      code: 'missing-time',
+      severity: 'error',
+      message: `Edge ${edge.from}-${edge.to} has no transit time (expected cost/time like the other edges)`,
+      edge
+    })),
+    ...validateMultiStageGraph(edges, stageVertices, n)
+  ];
+  
+  return { costMatrix, timeMatrix, stageVertices, n, diagnostics };
+}
+
+/**
+ * Multi-Stage Graph with edge costs input
+ * @param {number} numStages - Number of stages
+ * @param {number} nodesPerStage - Number of nodes per intermediate stage
+ * @param {string} edgeCostsString - Edge costs in format "0-1:2, 0-2:3, 1-3:4"
+ * @param {Object} options - Uneven layouts (see buildMultiStageGraph)
+ * @param {number} options.alternatives - Number of ranked paths to return (default 3)
+ * @returns {Object} Result containing cost, path, graph structure and diagnostics
+ */
+export function multiStageGraphWithEdges(numStages, nodesPerStage, edgeCostsString, options = {}) {
+  const { costMatrix, timeMatrix, stageVertices, n, diagnostics } = buildMultiStageGraph(numStages, nodesPerStage, edgeCostsString, options);
+  const stages = stageVertices.length;
   
-  // Run backward cost algorithm
-  const result = backwardCost(costMatrix, n);
+  // Run both formulations and make sure they agree, solving the vertices
+  // in stage order, which only differs from 0 .. n-1 for derived stages
+  const order = stageVertices.flat();
+  const trace = [];
+  const result = backwardCost(costMatrix, n, trace, order);
+  const forward = forwardCost(costMatrix, stageVertices);
+  const costCheck = crossCheckCosts(result, forward);
+  const alternatives = kShortestPaths(costMatrix, n, options.alternatives || 3, order);
+  const paretoFront = timeMatrix ? paretoPaths(costMatrix, timeMatrix, n, order) : null;
   
   // Convert path to 1-indexed for display
   const displayPath = result.path.map(v => v + 1);
@@ -135,12 +631,20 @@ export function multiStageGraphWithEdges(numStages, nodesPerStage, edgeCostsStri
     path: result.path,
     displayPath: displayPath,
     stages: stages,
-    nodesPerStage: nodes,
+    nodesPerStage: Math.max(...stageVertices.slice(1, -1).map(stage => stage.length), 0),
+    stageSizes: stageVertices.map(stage => stage.length),
     totalVertices: n,
     costMatrix: costMatrix,
     stageVertices: stageVertices,
     bcostArray: result.bcostArray,
-    decisionArray: result.decisionArray
+    decisionArray: result.decisionArray,
+    forward: forward,
+    costCheck: costCheck,
+    alternatives: alternatives,
+    timeMatrix: timeMatrix,
+    paretoFront: paretoFront,
+    diagnostics: diagnostics,
+    trace: trace
   };
 }
 
@@ -0,0 +1,261 @@
+import {
+  forwardCost,
+  parseEdges,
+  layerStages,
+  validateMultiStageGraph,
+  buildMultiStageGraph,
+  kShortestPaths,
+  paretoPaths,
+  multiStageGraphWithEdges
+} from './MultiStageGraph';
+
+const INF = Infinity;
+
+// Every source-to-destination path of an acyclic cost matrix, with its cost and time
+const allPaths = (G, T) => {
+  const n = G.length;
+  const paths = [];
+  const walk = (path, cost, time) => {
+    const v = path[path.length - 1];
+    if (v === n - 1) {
+      paths.push({ cost, time, path });
+      return;
+    }
+    G[v].forEach((edgeCost, next) => {
+      if (edgeCost !== INF) walk([...path, next], cost + edgeCost, time + T[v][next]);
+    });
+  };
+  walk([0], 0, 0);
+  return paths;
+};
+
+// Cost matrix from [from, to, cost] triples
+const matrixOf = (n, edges) => {
+  const G = Array(n).fill(null).map(() => Array(n).fill(INF));
+  edges.forEach(([from, to, cost]) => { G[from][to] = cost; });
+  return G;
+};
+
+describe('forward cost', () => {
+  test('follows edges that skip a stage', () => {
+    // 1 → 3 jumps over stage 2 and is the cheapest way on from 1
+    const G = matrixOf(4, [[0, 1, 1], [1, 2, 1], [0, 2, 5], [2, 3, 1], [1, 3, 1]]);
+    const forward = forwardCost(G, [[0], [1], [2], [3]]);
+    
+    expect(forward.minimumCost).toBe(2);
+    expect(forward.path).toEqual([0, 1, 3]);
+    expect(forward.costArray).toEqual([2, 1, 1, 0]);
+  });
+  
+  test('agrees with the backward cost on derived stages with skip edges', () => {
+    const result = multiStageGraphWithEdges(0, 0, '0-1:1, 1-2:1, 0-2:5, 2-4:1, 1-4:1, 0-3:2, 3-4:3', { deriveStages: true });
+    
+    expect(result.costCheck.agree).toBe(true);
+    expect(result.cost).toBe(2);
+    expect(result.forward.path).toEqual(result.path);
+    expect(result.stageVertices).toEqual([[0], [1, 3], [2], [4]]);
+    expect(result.diagnostics.map(d => `${d.code} ${d.edge.from}-${d.edge.to}`)).toEqual([
+      'skips-stage 0-2',
+      'skips-stage 1-4',
+      'skips-stage 3-4'
+    ]);
+  });
+  
+  test('matches the backward cost on an evenly staged graph', () => {
+    const result = multiStageGraphWithEdges(4, 2, '0-1:2, 0-2:1, 1-3:2, 1-4:3, 2-3:6, 2-4:2, 3-5:4, 4-5:1');
+    
+    expect(result.costCheck.agree).toBe(true);
+    expect(result.cost).toBe(4);
+    expect(result.path).toEqual([0, 2, 4, 5]);
+    expect(result.forward.costArray).toEqual(result.bcostArray);
+  });
+});
+
+describe('edge parsing', () => {
+  test('reads costs, optional times and spacing', () => {
+    expect(parseEdges('0-1:2, 1 - 2 : -1.5, 2-3:4/30,, 3-4:.5/ 2')).toEqual({
+      edges: [
+        { from: 0, to: 1, cost: 2 },
+        { from: 1, to: 2, cost: -1.5 },
+        { from: 2, to: 3, cost: 4, time: 30 },
+        { from: 3, to: 4, cost: 0.5, time: 2 }
+      ],
+      invalid: []
+    });
+  });
+  
+  test('collects entries it cannot read instead of throwing', () => {
+    expect(parseEdges('0-1:2, 1-2, a-b:3, 2-3:1/-4')).toEqual({
+      edges: [{ from: 0, to: 1, cost: 2 }],
+      invalid: ['1-2', 'a-b:3', '2-3:1/-4']
+    });
+  });
+  
+  test('returns nothing for empty input', () => {
+    expect(parseEdges('')).toEqual({ edges: [], invalid: [] });
+    expect(parseEdges(null)).toEqual({ edges: [], invalid: [] });
+  });
+});
+
+describe('stage layering', () => {
+  test('puts each vertex one stage after its furthest predecessor', () => {
+    const G = matrixOf(5, [[0, 1, 1], [0, 2, 1], [1, 2, 1], [2, 4, 1], [0, 3, 1], [3, 4, 1]]);
+    
+    expect(layerStages(G, 5)).toEqual([[0], [1, 3], [2], [4]]);
+  });
+  
+  test('gives the destination the last stage to itself', () => {
+    const G = matrixOf(4, [[0, 3, 1], [0, 1, 1], [1, 2, 1]]);
+    
+    expect(layerStages(G, 4)).toEqual([[0], [1], [2], [3]]);
+  });
+  
+  test('detects a cycle', () => {
+    const G = matrixOf(4, [[0, 1, 1], [1, 2, 1], [2, 1, 1], [2, 3, 1]]);
+    
+    expect(() => layerStages(G, 4)).toThrow('Edges contain a cycle, so stages cannot be derived');
+  });
+  
+  test('requires vertex 0 to be the source', () => {
+    const G = matrixOf(3, [[1, 0, 1], [0, 2, 1]]);
+    
+    expect(() => layerStages(G, 3)).toThrow('Vertex 0 must be the source, but it has incoming edges');
+  });
+});
+
+describe('graph validation', () => {
+  const stages = [[0], [1, 2], [3, 4], [5]];
+  const codes = (diagnostics) => diagnostics.map(d => d.code);
+  
+  test('accepts a well-formed graph', () => {
+    const { edges } = parseEdges('0-1:1, 0-2:1, 1-3:1, 2-4:1, 3-5:1, 4-5:1');
+    
+    expect(validateMultiStageGraph(edges, stages, 6)).toEqual([]);
+  });
+  
+  test('flags edges that stay, skip or point backward', () => {
+    const { edges } = parseEdges('0-1:1, 0-2:1, 1-2:1, 1-5:1, 3-1:1, 1-3:1, 2-4:1, 3-5:1, 4-5:1');
+    const diagnostics = validateMultiStageGraph(edges, stages, 6);
+    
+    expect(codes(diagnostics)).toEqual(['same-stage', 'skips-stage', 'backward-edge']);
+    expect(diagnostics.map(d => d.message)).toEqual([
+      'Edge 1-2 stays within stage 1',
+      'Edge 1-5 skips from stage 1 to 3',
+      'Edge 3-1 points backward (stage 2 to 1)'
+    ]);
+    diagnostics.forEach(d => expect(d.severity).toBe('warning'));
+  });
+  
+  test('reports vertices off every route', () => {
+    const { edges } = parseEdges('0-1:1, 1-3:1, 3-5:1, 2-4:1, 0-2:1');
+    const diagnostics = validateMultiStageGraph(edges, stages, 6);
+    
+    expect(diagnostics).toEqual([
+      { code: 'dead-end', severity: 'warning', message: 'Vertex 2 is a dead end (no route on to the destination)', vertex: 2 },
+      { code: 'dead-end', severity: 'warning', message: 'Vertex 4 is a dead end (no route on to the destination)', vertex: 4 }
+    ]);
+    expect(codes(validateMultiStageGraph(parseEdges('0-1:1, 1-3:1, 3-5:1, 2-4:1, 4-5:1').edges, stages, 6)))
+      .toEqual(['unreachable', 'unreachable']);
+  });
+  
+  test('reports a missing route and out-of-range vertices as errors', () => {
+    const { edges } = parseEdges('0-1:1, 1-3:1, 2-4:1, 4-5:1, 3-9:1');
+    const diagnostics = validateMultiStageGraph(edges, stages, 6);
+    const errors = diagnostics.filter(d => d.severity === 'error');
+    
+    expect(codes(errors)).toEqual(['out-of-range', 'no-path']);
+    expect(errors[0].message).toBe('Edge 3-9 uses a vertex outside 0-5');
+    expect(errors[1].message).toBe('There is no path from the source (0) to the destination (5)');
+  });
+  
+  test('surfaces unreadable entries and missing times when building', () => {
+    const { diagnostics } = buildMultiStageGraph(3, 1, '0-1:1/2, 1-2:1, 1-2');
+    
+    expect(diagnostics.map(d => d.message)).toEqual([
+      'Cannot read "1-2" (expected source-destination:cost)',
+      'Edge 1-2 has no transit time (expected cost/time like the other edges)'
+    ]);
+  });
+});
+
+describe('Pareto paths', () => {
+  // Cost and time per edge: [from, to, cost, time]
+  const edges = [
+    [0, 1, 1, 9], [0, 2, 4, 2], [0, 3, 2, 5],
+    [1, 4, 1, 6], [1, 5, 5, 1], [2, 4, 2, 2], [2, 5, 1, 7], [3, 4, 3, 1], [3, 5, 2, 2],
+    [4, 6, 2, 2], [5, 6, 1, 3], [1, 6, 9, 1]
+  ];
+  const G = matrixOf(7, edges.map(([from, to, cost]) => [from, to, cost]));
+  const T = matrixOf(7, edges.map(([from, to, , time]) => [from, to, time]));
+  const dominates = (a, b) => a.cost <= b.cost && a.time <= b.time && (a.cost < b.cost || a.time < b.time);
+  
+  test('keeps exactly the paths no other path beats on both cost and time', () => {
+    const paths = allPaths(G, T);
+    const expected = paths
+      .filter(p => !paths.some(q => dominates(q, p)))
+      .sort((a, b) => a.cost - b.cost || a.time - b.time);
+    const front = paretoPaths(G, T, 7);
+    
+    expect(front.map(({ cost, time }) => [cost, time])).toEqual(expected.map(({ cost, time }) => [cost, time]));
+    front.forEach(label => {
+      const match = paths.find(p => p.path.join() === label.path.join());
+      expect(match).toMatchObject({ cost: label.cost, time: label.time });
+    });
+  });
+  
+  test('orders the front from cheapest to fastest', () => {
+    const front = paretoPaths(G, T, 7);
+    
+    expect(front.length).toBeGreaterThan(2);
+    front.slice(1).forEach((label, i) => {
+      expect(label.cost).toBeGreaterThan(front[i].cost);
+      expect(label.time).toBeLessThan(front[i].time);
+    });
+  });
+  
+  test('collapses to one path when it is cheapest and fastest', () => {
+    const time = matrixOf(7, edges.map(([from, to, cost]) => [from, to, cost]));
+    
+    expect(paretoPaths(G, time, 7)).toEqual([{ cost: 4, time: 4, path: [0, 1, 4, 6] }]);
+  });
+});
+
+describe('k shortest paths', () => {
+  // Two stages of two vertices each, plus a skip edge 1 → 6
+  const G = matrixOf(7, [
+    [0, 1, 1], [0, 2, 4], [0, 3, 2],
+    [1, 4, 1], [1, 5, 5], [2, 4, 2], [2, 5, 1], [3, 4, 3], [3, 5, 2],
+    [4, 6, 2], [5, 6, 1], [1, 6, 9]
+  ]);
+  const pathCost = (path) => path.slice(1).reduce((sum, v, i) => sum + G[path[i]][v], 0);
+  const everyCost = allPaths(G, G).map(p => p.cost).sort((a, b) => a - b);
+  
+  test('ranks the cheapest paths in order of cost', () => {
+    const routes = kShortestPaths(G, 7, 4);
+    
+    expect(routes.map(route => route.rank)).toEqual([1, 2, 3, 4]);
+    expect(routes.map(route => route.cost)).toEqual(everyCost.slice(0, 4));
+    routes.forEach(route => {
+      expect(route.path[0]).toBe(0);
+      expect(route.path[route.path.length - 1]).toBe(6);
+      expect(pathCost(route.path)).toBe(route.cost);
+    });
+  });
+  
+  test('never returns the same path twice', () => {
+    const routes = kShortestPaths(G, 7, 20);
+    
+    expect(routes).toHaveLength(everyCost.length);
+    expect(routes.map(route => route.cost)).toEqual(everyCost);
+    expect(new Set(routes.map(route => route.path.join('-'))).size).toBe(routes.length);
+  });
+  
+  test('keeps paths that tie on cost as separate routes', () => {
+    // 0 → 1 → 3 and 0 → 2 → 3 both cost 2
+    const tied = matrixOf(4, [[0, 1, 1], [0, 2, 1], [1, 3, 1], [2, 3, 1]]);
+    const routes = kShortestPaths(tied, 4, 3);
+    
+    expect(routes.map(route => route.cost)).toEqual([2, 2]);
+    expect(routes.map(route => route.path).sort()).toEqual([[0, 1, 3], [0, 2, 3]]);
+  });
+});
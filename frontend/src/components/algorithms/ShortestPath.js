@@ -0,0 +1,266 @@
+/**
+ * General Shortest Path
+ * Point-to-point routing on arbitrary directed road graphs, cycles allowed
+ * Uses Dijkstra for non-negative costs and Bellman-Ford when some costs are negative
+ */
+
+import { parseEdges } from './MultiStageGraph';
+
+const INF = Infinity;
+
+// Vertex ids size every per-vertex array and the quadratic layout, so they are capped
+export const MAX_VERTICES = 200;
+
+/**
+ * Dijkstra's algorithm
+ * @param {number} n - Number of vertices
+ * @param {Array} edges - Edges with from, to and non-negative cost
+ * @param {number} source - Start vertex
+ * @returns {Object} Distance and predecessor of every vertex, plus the order vertices were settled in
+ */
+export function dijkstra(n, edges, source) {
+  const adjacency = Array(n).fill(null).map(() => []);
+  for (const edge of edges) {
+    adjacency[edge.from].push(edge);
+  }
+  
+  const distances = Array(n).fill(INF);
+  const previous = Array(n).fill(-1);
+  const settled = Array(n).fill(false);
+  const order = [];
+  distances[source] = 0;
+  
+  for (let i = 0; i < n; i++) {
+    // Closest vertex not settled yet
+    let u = -1;
+    for (let v = 0; v < n; v++) {
+      if (!settled[v] && distances[v] !== INF && (u === -1 || distances[v] < distances[u])) {
+        u = v;
+      }
+    }
+    if (u === -1) break;
+    
+    settled[u] = true;
+    order.push(u);
+    
+    for (const { to, cost } of adjacency[u]) {
+      if (distances[u] + cost < distances[to]) {
+        distances[to] = distances[u] + cost;
+        previous[to] = u;
+      }
+    }
+  }
+  
+  return { distances, previous, order };
+}
+
+/**
+ * Bellman-Ford algorithm with negative cycle detection
+ * @param {number} n - Number of vertices
+ * @param {Array} edges - Edges with from, to and cost (may be negative)
+ * @param {number} source - Start vertex
+ * @returns {Object} Distance and predecessor of every vertex, and a negative cycle reachable from the source (or null)
+ */
+export function bellmanFord(n, edges, source) {
+  const distances = Array(n).fill(INF);
+  const previous = Array(n).fill(-1);
+  distances[source] = 0;
+  
+  for (let i = 0; i < n - 1; i++) {
+    let changed = false;
+    
+    for (const { from, to, cost } of edges) {
+      if (distances[from] !== INF && distances[from] + cost < distances[to]) {
+        distances[to] = distances[from] + cost;
+        previous[to] = from;
+        changed = true;
+      }
+    }
+    
+    if (!changed) break;
+  }
+  
+  // Any further improvement means a negative cycle
+  let negativeCycle = null;
+  const relaxed = edges.find(({ from, to, cost }) =>
+    distances[from] !== INF && distances[from] + cost < distances[to]
+  );
+  
+  if (relaxed) {
+    previous[relaxed.to] = relaxed.from;
+    
+    // Step back n times to be sure to land on the cycle itself
+    let v = relaxed.to;
+    for (let i = 0; i < n; i++) {
+      v = previous[v];
+    }
+    
+    negativeCycle = [v];
+    for (let u = previous[v]; u !== v; u = previous[u]) {
+      negativeCycle.push(u);
+    }
+    negativeCycle.push(v);
+    negativeCycle.reverse();
+  }
+  
+  return { distances, previous, negativeCycle };
+}
+
+/**
+ * Follow predecessors back from the target
+ * @param {Array<number>} previous - Predecessor of every vertex (-1 for none)
+ * @param {number} target - End vertex
+ * @returns {Array<number>} Path from the source to the target
+ */
+function reconstructPath(previous, target) {
+  const path = [target];
+  
+  while (previous[path[0]] !== -1) {
+    path.unshift(previous[path[0]]);
+  }
+  
+  return path;
+}
+
+/**
+ * Force-directed layout (Fruchterman-Reingold)
+ * Starts from a circle so the layout is the same on every run
+ * @param {number} n - Number of vertices
+ * @param {Array} edges - Edges with from and to
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} iterations - Number of layout steps
+ * @returns {Array} Vertex positions {x, y}
+ */
+export function forceDirectedLayout(n, edges, width = 600, height = 400, iterations = 200) {
+  const padding = 40;
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(width, height) / 2 - padding;
+  
+  const positions = Array.from({ length: n }, (_, i) => ({
+    x: centerX + radius * Math.cos((2 * Math.PI * i) / n),
+    y: centerY + radius * Math.sin((2 * Math.PI * i) / n)
+  }));
+  
+  if (n < 2) return positions;
+  
+  const k = Math.sqrt(((width - 2 * padding) * (height - 2 * padding)) / n);
+  let temperature = width / 10;
+  
+  for (let iter = 0; iter < iterations; iter++) {
+    const shift = positions.map(() => ({ x: 0, y: 0 }));
+    
+    // Every pair of vertices repels
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const dx = positions[i].x - positions[j].x;
+        const dy = positions[i].y - positions[j].y;
+        const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+        const force = (k * k) / dist;
+        
+        shift[i].x += (dx / dist) * force;
+        shift[i].y += (dy / dist) * force;
+        shift[j].x -= (dx / dist) * force;
+        shift[j].y -= (dy / dist) * force;
+      }
+    }
+    
+    // Connected vertices attract
+    for (const { from, to } of edges) {
+      if (from === to) continue;
+      
+      const dx = positions[from].x - positions[to].x;
+      const dy = positions[from].y - positions[to].y;
+      const dist = Math.max(Math.sqrt(dx * dx + dy * dy), 0.01);
+      const force = (dist * dist) / k;
+      
+      shift[from].x -= (dx / dist) * force;
+      shift[from].y -= (dy / dist) * force;
+      shift[to].x += (dx / dist) * force;
+      shift[to].y += (dy / dist) * force;
+    }
+    
+    // Move at most the current temperature and stay on the canvas
+    positions.forEach((pos, i) => {
+      const length = Math.max(Math.sqrt(shift[i].x ** 2 + shift[i].y ** 2), 0.01);
+      pos.x = Math.min(width - padding, Math.max(padding, pos.x + (shift[i].x / length) * Math.min(length, temperature)));
+      pos.y = Math.min(height - padding, Math.max(padding, pos.y + (shift[i].y / length) * Math.min(length, temperature)));
+    });
+    
+    temperature *= 0.97;
+  }
+  
+  return positions;
+}
+
+/**
+ * Main Shortest Path function
+ * @param {string} edgeCostsString - Edge costs in format "0-1:4, 1-2:-2, 2-0:3"
+ * @param {number} source - Start vertex
+ * @param {number} target - End vertex
+ * @param {string} method - 'auto' (Dijkstra unless a cost is negative), 'dijkstra' or 'bellman-ford'
+ * @returns {Object} Result containing cost, path, all distances and a layout for visualization
+ */
+export function shortestPath(edgeCostsString, source, target, method = 'auto') {
+  const { edges, invalid } = parseEdges(edgeCostsString);
+  
+  if (invalid.length > 0) {
+    throw new Error(`Cannot read ${invalid.map(entry => `"${entry}"`).join(', ')} (expected from-to:cost)`);
+  }
+  if (edges.length === 0) {
+    throw new Error('Please enter at least one edge');
+  }
+  
+  const largestId = Math.max(...edges.map(e => Math.max(e.from, e.to)));
+  if (largestId >= MAX_VERTICES) {
+    throw new Error(`Vertex ${largestId} is too large; use vertex ids between 0 and ${MAX_VERTICES - 1}`);
+  }
+  
+  const n = largestId + 1;
+  const start = parseInt(source);
+  const end = parseInt(target);
+  
+  if (isNaN(start) || isNaN(end) || start < 0 || end < 0 || start >= n || end >= n) {
+    throw new Error(`Source and destination must be vertices between 0 and ${n - 1}`);
+  }
+  
+  const hasNegative = edges.some(e => e.cost < 0);
+  const useDijkstra = method === 'dijkstra' || (method === 'auto' && !hasNegative);
+  
+  if (useDijkstra && hasNegative) {
+    throw new Error('Dijkstra needs non-negative costs; use Bellman-Ford for negative edges');
+  }
+  
+  let search;
+  if (useDijkstra) {
+    search = dijkstra(n, edges, start);
+  } else {
+    search = bellmanFord(n, edges, start);
+    if (search.negativeCycle) {
+      throw new Error(`Negative cycle detected: ${search.negativeCycle.join(' → ')}`);
+    }
+  }
+  
+  if (search.distances[end] === INF) {
+    throw new Error(`Vertex ${end} cannot be reached from ${start}`);
+  }
+  
+  const path = reconstructPath(search.previous, end);
+  
+  return {
+    type: 'shortest-path',
+    method: useDijkstra ? 'dijkstra' : 'bellman-ford',
+    methodName: useDijkstra ? 'Dijkstra' : 'Bellman-Ford',
+    cost: search.distances[end],
+    path: path,
+    distances: search.distances,
+    source: start,
+    target: end,
+    numVertices: n,
+    edges: edges,
+    positions: forceDirectedLayout(n, edges)
+  };
+}
+
+export default shortestPath;
@@ -0,0 +1,118 @@
+import { dijkstra, bellmanFord, forceDirectedLayout, shortestPath, MAX_VERTICES } from './ShortestPath';
+
+const edge = (from, to, cost) => ({ from, to, cost });
+
+// Total cost of following a path edge by edge (cheapest parallel edge)
+const pathCost = (path, edges) => path.slice(1).reduce((sum, v, i) => {
+  const costs = edges.filter(e => e.from === path[i] && e.to === v).map(e => e.cost);
+  expect(costs.length).toBeGreaterThan(0);
+  return sum + Math.min(...costs);
+}, 0);
+
+describe('Dijkstra', () => {
+  const roads = [edge(0, 1, 4), edge(0, 2, 1), edge(2, 1, 2), edge(1, 3, 1), edge(2, 3, 5), edge(3, 4, 3)];
+  
+  test('finds the cheapest cost to every vertex', () => {
+    const { distances, previous, order } = dijkstra(5, roads, 0);
+    
+    expect(distances).toEqual([0, 3, 1, 4, 7]);
+    expect(previous).toEqual([-1, 2, 0, 1, 3]);
+    expect(order).toEqual([0, 2, 1, 3, 4]);
+  });
+  
+  test('leaves unreachable vertices at infinity', () => {
+    const { distances, order } = dijkstra(4, [edge(0, 1, 1), edge(2, 3, 1)], 0);
+    
+    expect(distances).toEqual([0, 1, Infinity, Infinity]);
+    expect(order).toEqual([0, 1]);
+  });
+});
+
+describe('Bellman-Ford', () => {
+  test('handles negative costs without a cycle', () => {
+    const { distances, negativeCycle } = bellmanFord(4, [edge(0, 1, 4), edge(0, 2, 5), edge(2, 1, -3), edge(1, 3, 2)], 0);
+    
+    expect(distances).toEqual([0, 2, 5, 4]);
+    expect(negativeCycle).toBeNull();
+  });
+  
+  test.each([
+    ['a two-vertex cycle', 4, [edge(0, 1, 1), edge(1, 2, -3), edge(2, 1, 1), edge(2, 3, 1)]],
+    ['a cycle behind a tail', 6, [edge(0, 1, 1), edge(1, 2, 1), edge(2, 3, 2), edge(3, 4, -2), edge(4, 2, -1), edge(4, 5, 1)]],
+    ['a cycle through the source', 3, [edge(0, 1, -1), edge(1, 2, -1), edge(2, 0, -1)]]
+  ])('extracts %s', (_, n, edges) => {
+    const { negativeCycle } = bellmanFord(n, edges, 0);
+    
+    expect(negativeCycle[0]).toBe(negativeCycle[negativeCycle.length - 1]);
+    expect(new Set(negativeCycle).size).toBe(negativeCycle.length - 1);
+    expect(pathCost(negativeCycle, edges)).toBeLessThan(0);
+  });
+  
+  test('ignores a negative cycle the source cannot reach', () => {
+    const { distances, negativeCycle } = bellmanFord(4, [edge(0, 1, 2), edge(2, 3, -1), edge(3, 2, -1)], 0);
+    
+    expect(negativeCycle).toBeNull();
+    expect(distances).toEqual([0, 2, Infinity, Infinity]);
+  });
+});
+
+describe('force-directed layout', () => {
+  const edges = [edge(0, 1, 1), edge(1, 2, 1), edge(2, 3, 1), edge(3, 0, 1), edge(0, 4, 1), edge(4, 4, 1)];
+  
+  test('keeps every vertex on the canvas', () => {
+    const positions = forceDirectedLayout(5, edges, 600, 400);
+    
+    expect(positions).toHaveLength(5);
+    positions.forEach(({ x, y }) => {
+      expect(x).toBeGreaterThanOrEqual(40);
+      expect(x).toBeLessThanOrEqual(560);
+      expect(y).toBeGreaterThanOrEqual(40);
+      expect(y).toBeLessThanOrEqual(360);
+    });
+  });
+  
+  test('is the same on every run', () => {
+    expect(forceDirectedLayout(5, edges)).toEqual(forceDirectedLayout(5, edges));
+  });
+  
+  test('places a single vertex on the circle', () => {
+    expect(forceDirectedLayout(1, [], 600, 400)).toEqual([{ x: 460, y: 200 }]);
+  });
+});
+
+describe('shortest path', () => {
+  test('picks Dijkstra for non-negative costs', () => {
+    const result = shortestPath('0-1:4, 0-2:1, 2-1:2, 1-3:1, 2-3:5', 0, 3);
+    
+    expect(result.method).toBe('dijkstra');
+    expect(result.cost).toBe(4);
+    expect(result.path).toEqual([0, 2, 1, 3]);
+    expect(result.positions).toHaveLength(4);
+  });
+  
+  test('picks Bellman-Ford when a cost is negative', () => {
+    const result = shortestPath('0-1:4, 0-2:5, 2-1:-3, 1-3:2', '0', '3');
+    
+    expect(result.method).toBe('bellman-ford');
+    expect(result.cost).toBe(4);
+    expect(result.path).toEqual([0, 2, 1, 3]);
+  });
+  
+  test('reports a negative cycle', () => {
+    expect(() => shortestPath('0-1:1, 1-2:-3, 2-1:1, 2-3:1', 0, 3)).toThrow('Negative cycle detected: 2 → 1 → 2');
+  });
+  
+  test('rejects input it cannot solve', () => {
+    expect(() => shortestPath('0-1:4, 1-2', 0, 2)).toThrow('Cannot read "1-2" (expected from-to:cost)');
+    expect(() => shortestPath(' ', 0, 1)).toThrow('Please enter at least one edge');
+    expect(() => shortestPath('0-1:1', 0, 5)).toThrow('Source and destination must be vertices between 0 and 1');
+    expect(() => shortestPath('0-1:-1', 0, 1, 'dijkstra')).toThrow('Dijkstra needs non-negative costs');
+    expect(() => shortestPath('0-1:1, 2-1:1', 0, 2)).toThrow('Vertex 2 cannot be reached from 0');
+  });
+  
+  test('caps the vertex ids', () => {
+    expect(shortestPath(`0-${MAX_VERTICES - 1}:1`, 0, MAX_VERTICES - 1).numVertices).toBe(MAX_VERTICES);
+    expect(() => shortestPath('0-1:1, 1-999999999:1', 0, 1))
+      .toThrow(`Vertex 999999999 is too large; use vertex ids between 0 and ${MAX_VERTICES - 1}`);
+  });
+});
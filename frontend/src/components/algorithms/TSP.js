@@ -2,8 +2,44 @@
  * Traveling Salesman Problem (TSP) Algorithm
  * Finds shortest route visiting all cities exactly once and returning to start
  * Uses Nearest Neighbor Heuristic with validation
+ * Held-Karp dynamic programming gives the exact optimum for small instances
+ * 2-opt and Or-opt local search improve any starting tour
+ * Simulated annealing and a genetic algorithm handle larger instances
+ * Distance matrices may be asymmetric (one-way legs); all solvers honor direction
  */
 
+/**
+ * Largest instance Held-Karp is allowed to solve (matches the dashboard input cap)
+ */
+export const HELD_KARP_MAX_CITIES = 15;
+
+/**
+ * Largest instance whose nearest neighbor decisions are traced for replay
+ * (the trace grows with the square of the number of cities)
+ */
+export const TRACE_MAX_CITIES = 30;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * Falls back to Math.random when no seed is given
+ * @param {number|null} seed - Integer seed
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+export function createRandom(seed = null) {
+  if (seed === null || seed === undefined || isNaN(seed)) {
+    return Math.random;
+  }
+  
+  let state = parseInt(seed) >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Calculate Euclidean distance between two cities
  * @param {Object} city1 - City with x, y coordinates
@@ -21,7 +57,7 @@ function calculateDistance(city1, city2) {
  * @param {Array} cityPositions - Array of city objects with x, y coordinates
  * @returns {Array<Array<number>>} Distance matrix
  */
-function buildDistanceMatrix(cityPositions) {
+export function buildDistanceMatrix(cityPositions) {
   const n = cityPositions.length;
   const distances = Array(n).fill(0).map(() => Array(n).fill(0));
   
@@ -43,15 +79,21 @@ function buildDistanceMatrix(cityPositions) {
  * Starts from city 0, always visits nearest unvisited city
  * @param {Array<Array<number>>} distances - Distance matrix
  * @param {number} startCity - Starting city index (default: 0)
+ * @param {Array} trace - Optional array that receives one event per decision (start, candidate, visit, return)
  * @returns {Object} Tour and total distance
  */
-function nearestNeighbor(distances, startCity = 0) {
+function nearestNeighbor(distances, startCity = 0, trace = null) {
   const n = distances.length;
   const visited = Array(n).fill(false);
   const tour = [startCity];
   visited[startCity] = true;
   let totalDistance = 0;
   let currentCity = startCity;
+  const format = (d) => (d === Infinity ? '∞' : d.toFixed(2));
+  
+  if (trace) {
+    trace.push({ type: 'start', from: startCity, city: startCity, distance: 0, message: `Start at city ${startCity}` });
+  }
   
   // Visit n-1 cities (excluding start)
   for (let step = 0; step < n - 1; step++) {
@@ -60,6 +102,16 @@ function nearestNeighbor(distances, startCity = 0) {
     
     // Find nearest unvisited city
     for (let city = 0; city < n; city++) {
+      if (!visited[city] && trace) {
+        const distance = distances[currentCity][city];
+        trace.push({
+          type: 'candidate',
+          from: currentCity,
+          city,
+          distance,
+          message: `Candidate city ${city} at distance ${format(distance)}${distance < minDistance ? ' (nearest so far)' : ''}`
+        });
+      }
       if (!visited[city] && distances[currentCity][city] < minDistance) {
         minDistance = distances[currentCity][city];
         nearestCity = city;
@@ -68,6 +120,15 @@ function nearestNeighbor(distances, startCity = 0) {
     
     // Visit the nearest city
     if (nearestCity !== -1) {
+      if (trace) {
+        trace.push({
+          type: 'visit',
+          from: currentCity,
+          city: nearestCity,
+          distance: minDistance,
+          message: `Move to city ${nearestCity}, the nearest at ${format(minDistance)}`
+        });
+      }
       tour.push(nearestCity);
       visited[nearestCity] = true;
       totalDistance += minDistance;
@@ -78,6 +139,15 @@ function nearestNeighbor(distances, startCity = 0) {
   // Return to starting city
   const returnDistance = distances[currentCity][startCity];
   totalDistance += returnDistance;
+  if (trace) {
+    trace.push({
+      type: 'return',
+      from: currentCity,
+      city: startCity,
+      distance: returnDistance,
+      message: `Return to city ${startCity} (${format(returnDistance)})`
+    });
+  }
   tour.push(startCity); // Complete the cycle
   
   // Validate all cities were visited
@@ -91,76 +161,857 @@ function nearestNeighbor(distances, startCity = 0) {
   };
 }
 
+/**
+ * Held-Karp Dynamic Programming for TSP
+ * cost[mask][j] is the cheapest path that starts at startCity, visits exactly
+ * the cities in mask and ends at city j. Runs in O(2^n * n^2) time.
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {number} startCity - Starting city index (default: 0)
+ * @returns {Object} Optimal tour and total distance
+ */
+function heldKarp(distances, startCity = 0) {
+  const n = distances.length;
+  
+  if (n > HELD_KARP_MAX_CITIES) {
+    throw new Error(`Held-Karp supports at most ${HELD_KARP_MAX_CITIES} locations`);
+  }
+  
+  if (n === 1) {
+    return { tour: [startCity, startCity], totalDistance: 0, allVisited: true, numCitiesVisited: 1 };
+  }
+  
+  const fullMask = (1 << n) - 1;
+  const cost = new Float64Array((1 << n) * n).fill(Infinity);
+  const parent = new Int8Array((1 << n) * n).fill(-1);
+  
+  // Base case: path containing only the start city
+  cost[(1 << startCity) * n + startCity] = 0;
+  
+  for (let mask = 1; mask <= fullMask; mask++) {
+    // Every partial path must contain the start city
+    if (!(mask & (1 << startCity))) continue;
+    
+    for (let last = 0; last < n; last++) {
+      const current = cost[mask * n + last];
+      if (!(mask & (1 << last)) || current === Infinity) continue;
+      
+      // Extend the path to each city not yet in mask
+      for (let next = 0; next < n; next++) {
+        if (mask & (1 << next)) continue;
+        
+        const nextMask = mask | (1 << next);
+        const total = current + distances[last][next];
+        
+        if (total < cost[nextMask * n + next]) {
+          cost[nextMask * n + next] = total;
+          parent[nextMask * n + next] = last;
+        }
+      }
+    }
+  }
+  
+  // Close the cycle back to the start city
+  let totalDistance = Infinity;
+  let lastCity = -1;
+  for (let city = 0; city < n; city++) {
+    if (city === startCity) continue;
+    
+    const total = cost[fullMask * n + city] + distances[city][startCity];
+    if (total < totalDistance) {
+      totalDistance = total;
+      lastCity = city;
+    }
+  }
+  
+  // No Hamiltonian cycle exists (missing distances)
+  if (lastCity === -1) {
+    return { tour: [startCity, startCity], totalDistance: Infinity, allVisited: false, numCitiesVisited: 1 };
+  }
+  
+  // Reconstruct the tour by walking the parent table backwards
+  const tour = [startCity];
+  let mask = fullMask;
+  let city = lastCity;
+  while (city !== startCity) {
+    tour.push(city);
+    const prev = parent[mask * n + city];
+    mask ^= (1 << city);
+    city = prev;
+  }
+  tour.push(startCity);
+  tour.reverse();
+  
+  return {
+    tour,
+    totalDistance,
+    allVisited: true,
+    numCitiesVisited: n
+  };
+}
+
+/**
+ * Total length of a closed tour
+ * @param {Array<number>} tour - Closed tour (first city repeated at the end)
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @returns {number} Sum of leg distances
+ */
+export function tourDistance(tour, distances) {
+  let total = 0;
+  for (let i = 0; i < tour.length - 1; i++) {
+    total += distances[tour[i]][tour[i + 1]];
+  }
+  return total;
+}
+
+/**
+ * Extra length from reversing route[start..end] on an asymmetric matrix
+ * Symmetric matrices return 0 since inner legs cost the same both ways
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Array<number>} route - Open route (no repeated start city)
+ * @param {number} start - First index of the segment
+ * @param {number} end - Last index of the segment
+ * @returns {number} Reversed inner length minus forward inner length
+ */
+function innerReversalDelta(distances, route, start, end) {
+  let delta = 0;
+  for (let k = start; k < end; k++) {
+    delta += distances[route[k + 1]][route[k]] - distances[route[k]][route[k + 1]];
+  }
+  return isNaN(delta) ? Infinity : delta;
+}
+
+/**
+ * Check whether every leg costs the same in both directions
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @returns {boolean} True when distances[i][j] === distances[j][i] for all pairs
+ */
+export function isSymmetric(distances) {
+  for (let i = 0; i < distances.length; i++) {
+    for (let j = i + 1; j < distances.length; j++) {
+      if (distances[i][j] !== distances[j][i]) return false;
+    }
+  }
+  return true;
+}
+
+// Moves must save more than this to count, so rounding noise can't cause endless loops
+const IMPROVEMENT_EPSILON = 1e-9;
+
+/**
+ * 2-opt local search
+ * Removes two edges (a,b) and (c,e) and reconnects them as (a,c) and (b,e) by
+ * reversing the segment b..c. Applies the first improving move until none is left.
+ * On asymmetric matrices the reversed legs inside b..c are priced in their new direction.
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Array<number>} tour - Closed starting tour
+ * @returns {Object} Improved tour, total distance and the list of applied moves (replay them with tourAfterMoves)
+ */
+export function twoOpt(distances, tour) {
+  const route = tour.slice(0, -1);
+  const n = route.length;
+  const symmetric = isSymmetric(distances);
+  const moves = [];
+  let improved = true;
+  
+  while (improved) {
+    improved = false;
+    
+    for (let i = 0; i < n - 2 && !improved; i++) {
+      for (let j = i + 2; j < n && !improved; j++) {
+        // Edges sharing a city cannot be exchanged
+        if (i === 0 && j === n - 1) continue;
+        
+        const a = route[i];
+        const b = route[i + 1];
+        const c = route[j];
+        const e = route[(j + 1) % n];
+        let delta = distances[a][c] + distances[b][e] - distances[a][b] - distances[c][e];
+        if (!symmetric) delta += innerReversalDelta(distances, route, i + 1, j);
+        
+        if (delta < -IMPROVEMENT_EPSILON) {
+          const segment = route.slice(i + 1, j + 1);
+          route.splice(i + 1, segment.length, ...segment.reverse());
+          
+          // Only the move itself is kept; a tour copy per move grows quadratically
+          moves.push({
+            type: '2-opt',
+            start: i + 1,
+            end: j,
+            removedEdges: [[a, b], [c, e]],
+            addedEdges: [[a, c], [b, e]],
+            saved: -delta,
+            distance: tourDistance([...route, route[0]], distances)
+          });
+          improved = true;
+        }
+      }
+    }
+  }
+  
+  const finalTour = [...route, route[0]];
+  return {
+    tour: finalTour,
+    totalDistance: tourDistance(finalTour, distances),
+    moves
+  };
+}
+
+/**
+ * Or-opt local search
+ * Relocates a chain of 1 to 3 consecutive cities to another position in the
+ * tour, optionally reversed. The start city is never moved.
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Array<number>} tour - Closed starting tour
+ * @returns {Object} Improved tour, total distance and the list of applied moves (replay them with tourAfterMoves)
+ */
+export function orOpt(distances, tour) {
+  const route = tour.slice(0, -1);
+  const n = route.length;
+  const moves = [];
+  let improved = true;
+  
+  while (improved) {
+    improved = false;
+    
+    for (let segLength = 1; segLength <= 3 && !improved; segLength++) {
+      // Segment occupies route[i .. i + segLength - 1] and never includes index 0
+      for (let i = 1; i + segLength <= n && !improved; i++) {
+        const segment = route.slice(i, i + segLength);
+        const first = segment[0];
+        const last = segment[segLength - 1];
+        const prev = route[i - 1];
+        const next = route[(i + segLength) % n];
+        
+        // Cost saved by splicing the segment out
+        const removeGain = distances[prev][first] + distances[last][next] - distances[prev][next];
+        const rest = [...route.slice(0, i), ...route.slice(i + segLength)];
+        
+        for (let k = 0; k < rest.length && !improved; k++) {
+          const x = rest[k];
+          const y = rest[(k + 1) % rest.length];
+          
+          // Reinserting where it came from is not a move
+          if (x === prev) continue;
+          
+          const forwardCost = distances[x][first] + distances[last][y] - distances[x][y];
+          const reversedCost = distances[x][last] + distances[first][y] - distances[x][y]
+            + innerReversalDelta(distances, route, i, i + segLength - 1);
+          const reversed = reversedCost < forwardCost;
+          const delta = Math.min(forwardCost, reversedCost) - removeGain;
+          
+          if (delta < -IMPROVEMENT_EPSILON) {
+            const inserted = reversed ? segment.slice().reverse() : segment;
+            route.splice(0, n, ...rest.slice(0, k + 1), ...inserted, ...rest.slice(k + 1));
+            
+            moves.push({
+              type: 'or-opt',
+              start: i,
+              insertAfter: k,
+              reversed,
+              removedEdges: [[prev, first], [last, next], [x, y]],
+              addedEdges: [[prev, next], [x, inserted[0]], [inserted[segLength - 1], y]],
+              segment: inserted,
+              saved: -delta,
+              distance: tourDistance([...route, route[0]], distances)
+            });
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+  
+  const finalTour = [...route, route[0]];
+  return {
+    tour: finalTour,
+    totalDistance: tourDistance(finalTour, distances),
+    moves
+  };
+}
+
+/**
+ * Rebuild the tour after the first count local search moves
+ * @param {Array<number>} tour - Closed tour the moves started from
+ * @param {Array} moves - Moves from twoOpt, orOpt or improveTour, in order
+ * @param {number} count - Number of moves to apply (default: all)
+ * @returns {Array<number>} Closed tour after those moves
+ */
+export function tourAfterMoves(tour, moves, count = moves.length) {
+  const route = tour.slice(0, -1);
+  
+  for (const move of moves.slice(0, count)) {
+    if (move.type === '2-opt') {
+      const segment = route.slice(move.start, move.end + 1).reverse();
+      route.splice(move.start, segment.length, ...segment);
+    } else {
+      const segment = route.splice(move.start, move.segment.length);
+      const inserted = move.reversed ? segment.reverse() : segment;
+      route.splice(move.insertAfter + 1, 0, ...inserted);
+    }
+  }
+  
+  return [...route, route[0]];
+}
+
+/**
+ * Alternate 2-opt and Or-opt until neither finds an improving move
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Array<number>} tour - Closed starting tour
+ * @returns {Object} Improved tour, total distance and all moves in order
+ */
+export function improveTour(distances, tour) {
+  let current = tour;
+  const moves = [];
+  
+  while (true) {
+    const twoOptResult = twoOpt(distances, current);
+    const orOptResult = orOpt(distances, twoOptResult.tour);
+    moves.push(...twoOptResult.moves, ...orOptResult.moves);
+    current = orOptResult.tour;
+    
+    if (orOptResult.moves.length === 0) break;
+  }
+  
+  return {
+    tour: current,
+    totalDistance: tourDistance(current, distances),
+    initialDistance: tourDistance(tour, distances),
+    moves
+  };
+}
+
+/**
+ * Average of all finite off-diagonal distances, used to scale the annealing temperature
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @returns {number} Mean edge length
+ */
+function averageDistance(distances) {
+  let total = 0;
+  let count = 0;
+  for (let i = 0; i < distances.length; i++) {
+    for (let j = 0; j < distances.length; j++) {
+      if (i !== j && isFinite(distances[i][j])) {
+        total += distances[i][j];
+        count++;
+      }
+    }
+  }
+  return count > 0 ? total / count : 1;
+}
+
+/**
+ * Simulated Annealing for TSP
+ * Starts from the nearest neighbor tour and proposes random segment reversals
+ * (2-opt moves). Worse tours are accepted with probability exp(-delta / T),
+ * and T is multiplied by coolingRate after every iteration.
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Object} options - Solver parameters
+ * @param {number} options.seed - Seed for the random number generator
+ * @param {number} options.iterations - Number of proposed moves (default: 10000)
+ * @param {number} options.initialTemperature - Starting temperature (default: mean edge length)
+ * @param {number} options.coolingRate - Geometric cooling factor per iteration (default: 0.999)
+ * @param {number} options.startCity - Starting city index (default: 0)
+ * @returns {Object} Best tour, total distance and per-iteration history
+ */
+export function simulatedAnnealing(distances, options = {}) {
+  const {
+    seed = null,
+    iterations = 10000,
+    initialTemperature = null,
+    coolingRate = 0.999,
+    startCity = 0
+  } = options;
+  
+  const random = createRandom(seed);
+  const start = nearestNeighbor(distances, startCity);
+  const route = start.tour.slice(0, -1);
+  const n = route.length;
+  const symmetric = isSymmetric(distances);
+  
+  let currentDistance = start.totalDistance;
+  let bestDistance = currentDistance;
+  let bestRoute = route.slice();
+  let temperature = initialTemperature || averageDistance(distances);
+  const history = [];
+  
+  for (let iteration = 1; iteration <= iterations; iteration++) {
+    // Pick a segment route[i..j] that never includes the start city
+    let i = 1 + Math.floor(random() * (n - 1));
+    let j = 1 + Math.floor(random() * (n - 1));
+    if (i > j) [i, j] = [j, i];
+    
+    if (i < j) {
+      const a = route[i - 1];
+      const b = route[i];
+      const c = route[j];
+      const e = route[(j + 1) % n];
+      let delta = distances[a][c] + distances[b][e] - distances[a][b] - distances[c][e];
+      if (!symmetric) delta += innerReversalDelta(distances, route, i, j);
+      
+      if (delta < 0 || random() < Math.exp(-delta / temperature)) {
+        const segment = route.slice(i, j + 1).reverse();
+        route.splice(i, segment.length, ...segment);
+        
+        // Recompute when a missing (infinite) leg makes the running total unusable
+        currentDistance = isFinite(currentDistance) && isFinite(delta)
+          ? currentDistance + delta
+          : tourDistance([...route, route[0]], distances);
+        
+        if (currentDistance < bestDistance - IMPROVEMENT_EPSILON) {
+          bestDistance = currentDistance;
+          bestRoute = route.slice();
+        }
+      }
+    }
+    
+    temperature *= coolingRate;
+    history.push({ iteration, bestDistance, currentDistance, temperature });
+  }
+  
+  const tour = [...bestRoute, bestRoute[0]];
+  return {
+    tour,
+    totalDistance: tourDistance(tour, distances),
+    allVisited: true,
+    numCitiesVisited: n,
+    history
+  };
+}
+
+/**
+ * Order crossover (OX1)
+ * Copies a random slice from the first parent and fills the remaining
+ * positions with the missing cities in the order they appear in the second.
+ * @param {Array<number>} parent1 - Gene sequence (cities excluding start)
+ * @param {Array<number>} parent2 - Gene sequence (cities excluding start)
+ * @param {Function} random - Random number generator
+ * @returns {Array<number>} Child gene sequence
+ */
+function orderCrossover(parent1, parent2, random) {
+  const m = parent1.length;
+  let cut1 = Math.floor(random() * m);
+  let cut2 = Math.floor(random() * m);
+  if (cut1 > cut2) [cut1, cut2] = [cut2, cut1];
+  
+  const child = Array(m).fill(-1);
+  const used = new Set();
+  for (let i = cut1; i <= cut2; i++) {
+    child[i] = parent1[i];
+    used.add(parent1[i]);
+  }
+  
+  let position = (cut2 + 1) % m;
+  for (let k = 0; k < m; k++) {
+    const city = parent2[(cut2 + 1 + k) % m];
+    if (!used.has(city)) {
+      child[position] = city;
+      position = (position + 1) % m;
+    }
+  }
+  
+  return child;
+}
+
+/**
+ * Genetic Algorithm for TSP
+ * Individuals are permutations of the cities after the start city. Uses
+ * tournament selection, order crossover, swap mutation and elitism. One
+ * individual is seeded with the nearest neighbor tour.
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Object} options - Solver parameters
+ * @param {number} options.seed - Seed for the random number generator
+ * @param {number} options.populationSize - Individuals per generation (default: 50)
+ * @param {number} options.generations - Number of generations (default: 300)
+ * @param {number} options.mutationRate - Probability that a child gets a random swap (default: 0.1)
+ * @param {number} options.tournamentSize - Individuals compared per selection (default: 3)
+ * @param {number} options.eliteCount - Best individuals copied unchanged (default: 2)
+ * @param {number} options.startCity - Starting city index (default: 0)
+ * @returns {Object} Best tour, total distance and per-generation history
+ */
+export function geneticAlgorithm(distances, options = {}) {
+  const {
+    seed = null,
+    populationSize = 50,
+    generations = 300,
+    mutationRate = 0.1,
+    tournamentSize = 3,
+    eliteCount = 2,
+    startCity = 0
+  } = options;
+  
+  const random = createRandom(seed);
+  const n = distances.length;
+  const toTour = (genes) => [startCity, ...genes, startCity];
+  const evaluate = (genes) => ({ genes, distance: tourDistance(toTour(genes), distances) });
+  
+  // Initial population: nearest neighbor tour plus random shuffles
+  const baseGenes = [];
+  for (let city = 0; city < n; city++) {
+    if (city !== startCity) baseGenes.push(city);
+  }
+  
+  let population = [evaluate(nearestNeighbor(distances, startCity).tour.slice(1, -1))];
+  while (population.length < populationSize) {
+    const genes = baseGenes.slice();
+    for (let i = genes.length - 1; i > 0; i--) {
+      const k = Math.floor(random() * (i + 1));
+      [genes[i], genes[k]] = [genes[k], genes[i]];
+    }
+    population.push(evaluate(genes));
+  }
+  
+  const tournament = () => {
+    let winner = population[Math.floor(random() * population.length)];
+    for (let t = 1; t < tournamentSize; t++) {
+      const rival = population[Math.floor(random() * population.length)];
+      if (rival.distance < winner.distance) winner = rival;
+    }
+    return winner.genes;
+  };
+  
+  const history = [];
+  
+  for (let generation = 1; generation <= generations; generation++) {
+    population.sort((a, b) => a.distance - b.distance);
+    const next = population.slice(0, Math.min(eliteCount, population.length));
+    
+    while (next.length < populationSize) {
+      const child = baseGenes.length > 1
+        ? orderCrossover(tournament(), tournament(), random)
+        : tournament().slice();
+      
+      // Swap mutation
+      if (child.length > 1 && random() < mutationRate) {
+        const i = Math.floor(random() * child.length);
+        const k = Math.floor(random() * child.length);
+        [child[i], child[k]] = [child[k], child[i]];
+      }
+      
+      next.push(evaluate(child));
+    }
+    
+    population = next;
+    
+    const meanDistance = population.reduce((sum, ind) => sum + ind.distance, 0) / population.length;
+    const best = population.reduce((min, ind) => (ind.distance < min.distance ? ind : min));
+    history.push({ iteration: generation, bestDistance: best.distance, averageDistance: meanDistance });
+  }
+  
+  const best = population.reduce((min, ind) => (ind.distance < min.distance ? ind : min));
+  const tour = toTour(best.genes);
+  return {
+    tour,
+    totalDistance: best.distance,
+    allVisited: true,
+    numCitiesVisited: n,
+    history
+  };
+}
+
+/**
+ * Calculate tour segments for animation
+ * @param {Array<number>} tour - Closed tour (first city repeated at the end)
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @returns {Array} Segments with from, to and formatted distance
+ */
+export function buildTourSegments(tour, distances) {
+  const tourSegments = [];
+  for (let i = 0; i < tour.length - 1; i++) {
+    const from = tour[i];
+    const to = tour[i + 1];
+    tourSegments.push({
+      from,
+      to,
+      distance: distances[from][to].toFixed(2)
+    });
+  }
+  return tourSegments;
+}
+
+/**
+ * List every ordered pair of distinct locations without a finite distance
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @returns {Array<Array<number>>} Pairs [from, to] whose distance is missing
+ */
+export function findMissingPairs(distances) {
+  const missing = [];
+  for (let i = 0; i < distances.length; i++) {
+    for (let j = 0; j < distances.length; j++) {
+      if (i !== j && !isFinite(distances[i][j])) missing.push([i, j]);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Describe why no finite tour could be built
+ * Names the missing legs of the tour when there is one, otherwise the missing pairs
+ * @param {Array<number>} tour - Tour returned by the solver
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @returns {string} Error message
+ */
+function infeasibilityMessage(tour, distances) {
+  const missingLegs = [];
+  for (let i = 0; i < tour.length - 1; i++) {
+    if (!isFinite(distances[tour[i]][tour[i + 1]])) missingLegs.push([tour[i], tour[i + 1]]);
+  }
+  
+  const pairs = missingLegs.length > 0 ? missingLegs : findMissingPairs(distances);
+  const shown = pairs.slice(0, 5).map(([from, to]) => `${from}→${to}`).join(', ');
+  const more = pairs.length > 5 ? ` and ${pairs.length - 5} more` : '';
+  
+  return `Infeasible tour: no distance given for ${shown}${more}`;
+}
+
+/**
+ * Reject matrices with missing pairs before running a metaheuristic
+ * Annealing and the genetic algorithm explore arbitrary permutations, so every
+ * pair of locations needs a distance
+ * @param {Array<Array<number>>} distances - Distance matrix
+ */
+function assertNoMissingPairs(distances) {
+  if (findMissingPairs(distances).length > 0) {
+    throw new Error(infeasibilityMessage([], distances));
+  }
+}
+
+/**
+ * Assemble the result object shared by all TSP solvers
+ * @param {Object} result - Solver output with tour, totalDistance, allVisited, numCitiesVisited
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Array} cityPositions - City positions for the animation
+ * @param {number} cities - Number of cities
+ * @param {Object} extra - Solver-specific fields merged into the result
+ * @returns {Object} Result containing tour, distance, and city positions
+ */
+function buildTspResult(result, distances, cityPositions, cities, extra = {}) {
+  if (!isFinite(result.totalDistance)) {
+    throw new Error(infeasibilityMessage(result.tour, distances));
+  }
+  
+  return {
+    type: 'tsp',
+    tour: result.tour,
+    distance: result.totalDistance.toFixed(2),
+    cityPositions,
+    numCities: cities,
+    allVisited: result.allVisited,
+    numCitiesVisited: result.numCitiesVisited,
+    distanceMatrix: distances,
+    tourSegments: buildTourSegments(result.tour, distances),
+    averageSegmentDistance: (result.totalDistance / (result.tour.length - 1)).toFixed(2),
+    ...extra
+  };
+}
+
 /**
  * Generate random city positions
  * @param {number} numCities - Number of cities to generate
  * @param {number} width - Canvas width (default: 600)
  * @param {number} height - Canvas height (default: 400)
+ * @param {number|null} seed - Optional seed for reproducible positions
  * @returns {Array} Array of city objects with x, y coordinates
  */
-export function generateCityPositions(numCities, width = 600, height = 400) {
+export function generateCityPositions(numCities, width = 600, height = 400, seed = null) {
   const cities = [];
   const margin = 50;
+  const random = createRandom(seed);
   
   for (let i = 0; i < numCities; i++) {
     cities.push({
       id: i,
-      x: Math.random() * (width - 2 * margin) + margin,
-      y: Math.random() * (height - 2 * margin) + margin
+      x: random() * (width - 2 * margin) + margin,
+      y: random() * (height - 2 * margin) + margin
     });
   }
   
   return cities;
 }
 
+/**
+ * Parse a distance string into a matrix
+ * Unlisted pairs stay at Infinity so infeasible tours can be reported; entries
+ * that cannot be read are rejected rather than skipped.
+ * @param {string} distanceMatrixString - Distances in format "0-1:10, 0-2:15, 1-2:35"
+ * @param {number} numLocations - Number of locations
+ * @param {boolean} asymmetric - When true "a-b:d" only sets the leg from a to b
+ * @returns {Array<Array<number>>} Distance matrix
+ */
+export function parseDistanceMatrix(distanceMatrixString, numLocations, asymmetric = false) {
+  const n = parseInt(numLocations);
+  const distances = Array(n).fill(null).map(() => Array(n).fill(Infinity));
+  
+  // Set diagonal to 0
+  for (let i = 0; i < n; i++) {
+    distances[i][i] = 0;
+  }
+  
+  const invalid = [];
+  const edges = distanceMatrixString.split(',');
+  edges.forEach(edge => {
+    if (!edge.trim()) return;
+    
+    const match = edge.trim().match(/^(\d+)\s*-\s*(\d+)\s*:\s*(\d*\.?\d+)$/);
+    if (!match) {
+      invalid.push(edge.trim());
+      return;
+    }
+    
+    const from = parseInt(match[1]);
+    const to = parseInt(match[2]);
+    const dist = parseFloat(match[3]);
+    
+    if (from >= n || to >= n) {
+      throw new Error(`Location ${from >= n ? from : to} is out of range (0-${n - 1})`);
+    }
+    
+    distances[from][to] = dist;
+    if (!asymmetric) {
+      distances[to][from] = dist; // Symmetric
+    }
+  });
+  
+  if (invalid.length > 0) {
+    throw new Error(`Cannot read ${invalid.map(entry => `"${entry}"`).join(', ')} (expected location1-location2:distance)`);
+  }
+  
+  return distances;
+}
+
 /**
  * Main TSP function
  * @param {number} numCities - Number of cities to visit
  * @param {Array} customCityPositions - Optional custom city positions
  * @param {Array} customDistanceMatrix - Optional custom distance matrix
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.localSearch - Improve the tour with 2-opt and Or-opt
+ * @param {number} options.seed - Seed for generated city positions
  * @returns {Object} Result containing tour, distance, and city positions
  */
-export function tsp(numCities, customCityPositions = null, customDistanceMatrix = null) {
+export function tsp(numCities, customCityPositions = null, customDistanceMatrix = null, options = {}) {
   const cities = parseInt(numCities);
   
   // Generate or use provided city positions
-  const cityPositions = customCityPositions || generateCityPositions(cities);
+  const cityPositions = customCityPositions || generateCityPositions(cities, 600, 400, options.seed);
   
   // Build or use provided distance matrix
   const distances = customDistanceMatrix || buildDistanceMatrix(cityPositions);
   
-  // Run nearest neighbor algorithm
-  const result = nearestNeighbor(distances, 0);
+  // Run nearest neighbor algorithm, recording its decisions for the animation on small instances
+  const trace = cities <= TRACE_MAX_CITIES ? [] : null;
+  const result = nearestNeighbor(distances, 0, trace);
   
-  // Validate solution
+  // Nearest neighbor gets stuck when every unvisited city is out of reach
   if (!result.allVisited) {
-    console.error('TSP Error: Not all cities were visited!');
+    throw new Error(infeasibilityMessage(result.tour, distances));
   }
   
-  // Calculate tour segments for animation
-  const tourSegments = [];
-  for (let i = 0; i < result.tour.length - 1; i++) {
-    const from = result.tour[i];
-    const to = result.tour[i + 1];
-    tourSegments.push({
-      from,
-      to,
-      distance: distances[from][to].toFixed(2)
-    });
+  // Optionally improve the base tour, keeping it for the animation
+  let improvement = null;
+  if (options.localSearch) {
+    improvement = improveTour(distances, result.tour);
+    result.baseTour = result.tour;
+    result.baseDistance = result.totalDistance;
+    result.tour = improvement.tour;
+    result.totalDistance = improvement.totalDistance;
   }
   
-  return {
-    type: 'tsp',
-    tour: result.tour,
-    distance: result.totalDistance.toFixed(2),
-    cityPositions,
-    numCities: cities,
-    allVisited: result.allVisited,
-    numCitiesVisited: result.numCitiesVisited,
-    distanceMatrix: distances,
-    tourSegments,
-    averageSegmentDistance: (result.totalDistance / (result.tour.length - 1)).toFixed(2)
-  };
+  return buildTspResult(result, distances, cityPositions, cities, {
+    method: improvement ? 'nearest-neighbor+local-search' : 'nearest-neighbor',
+    methodName: improvement ? 'Nearest Neighbor + 2-opt/Or-opt' : 'Nearest Neighbor',
+    ...(trace && { trace }),
+    ...(improvement && {
+      baseTour: result.baseTour,
+      baseDistance: result.baseDistance.toFixed(2),
+      improvementMoves: improvement.moves,
+      distanceSaved: (result.baseDistance - result.totalDistance).toFixed(2)
+    })
+  });
+}
+
+/**
+ * Exact TSP function using Held-Karp
+ * Also runs nearest neighbor on the same matrix to report its optimality gap
+ * @param {number} numCities - Number of cities to visit (at most HELD_KARP_MAX_CITIES)
+ * @param {Array} customCityPositions - Optional custom city positions
+ * @param {Array} customDistanceMatrix - Optional custom distance matrix
+ * @param {Object} options - Optional settings
+ * @param {number} options.seed - Seed for generated city positions
+ * @returns {Object} Same shape as tsp() plus heuristicDistance and optimalityGap (%)
+ */
+export function tspExact(numCities, customCityPositions = null, customDistanceMatrix = null, options = {}) {
+  const cities = parseInt(numCities);
+  
+  const cityPositions = customCityPositions || generateCityPositions(cities, 600, 400, options.seed);
+  const distances = customDistanceMatrix || buildDistanceMatrix(cityPositions);
+  
+  const result = heldKarp(distances, 0);
+  const heuristic = nearestNeighbor(distances, 0);
+  
+  // Gap of the nearest neighbor tour relative to the optimum, in percent
+  // (null when nearest neighbor runs into a missing leg)
+  const optimalityGap = !isFinite(heuristic.totalDistance) ? null
+    : result.totalDistance > 0
+      ? ((heuristic.totalDistance - result.totalDistance) / result.totalDistance) * 100
+      : 0;
+  
+  return buildTspResult(result, distances, cityPositions, cities, {
+    method: 'held-karp',
+    methodName: 'Held-Karp (Exact)',
+    heuristicTour: heuristic.tour,
+    heuristicDistance: heuristic.totalDistance.toFixed(2),
+    optimalityGap: optimalityGap === null ? null : optimalityGap.toFixed(2)
+  });
+}
+
+/**
+ * TSP function using simulated annealing
+ * @param {number} numCities - Number of cities to visit
+ * @param {Array} customCityPositions - Optional custom city positions
+ * @param {Array} customDistanceMatrix - Optional custom distance matrix
+ * @param {Object} options - Parameters for simulatedAnnealing; options.seed also seeds city positions
+ * @returns {Object} Same shape as tsp() plus per-iteration history
+ */
+export function tspAnnealing(numCities, customCityPositions = null, customDistanceMatrix = null, options = {}) {
+  const cities = parseInt(numCities);
+  
+  const cityPositions = customCityPositions || generateCityPositions(cities, 600, 400, options.seed);
+  const distances = customDistanceMatrix || buildDistanceMatrix(cityPositions);
+  
+  assertNoMissingPairs(distances);
+  const result = simulatedAnnealing(distances, options);
+  
+  return buildTspResult(result, distances, cityPositions, cities, {
+    method: 'simulated-annealing',
+    methodName: 'Simulated Annealing',
+    seed: options.seed,
+    history: result.history
+  });
+}
+
+/**
+ * TSP function using the genetic algorithm
+ * @param {number} numCities - Number of cities to visit
+ * @param {Array} customCityPositions - Optional custom city positions
+ * @param {Array} customDistanceMatrix - Optional custom distance matrix
+ * @param {Object} options - Parameters for geneticAlgorithm; options.seed also seeds city positions
+ * @returns {Object} Same shape as tsp() plus per-generation history
+ */
+export function tspGenetic(numCities, customCityPositions = null, customDistanceMatrix = null, options = {}) {
+  const cities = parseInt(numCities);
+  
+  const cityPositions = customCityPositions || generateCityPositions(cities, 600, 400, options.seed);
+  const distances = customDistanceMatrix || buildDistanceMatrix(cityPositions);
+  
+  assertNoMissingPairs(distances);
+  const result = geneticAlgorithm(distances, options);
+  
+  return buildTspResult(result, distances, cityPositions, cities, {
+    method: 'genetic',
+    methodName: 'Genetic Algorithm',
+    seed: options.seed,
+    history: result.history
+  });
 }
 
 export default tsp;
@@ -0,0 +1,238 @@
+import {
+  createRandom,
+  generateCityPositions,
+  buildDistanceMatrix,
+  simulatedAnnealing,
+  geneticAlgorithm,
+  tsp,
+  tspExact,
+  tspAnnealing,
+  tspGenetic,
+  twoOpt,
+  orOpt,
+  improveTour,
+  tourAfterMoves,
+  parseDistanceMatrix
+} from './TSP';
+
+const length = (tour, distances) => tour.slice(1).reduce((sum, city, i) => sum + distances[tour[i]][city], 0);
+
+// A closed tour from city 0 that visits every city exactly once
+const expectValidTour = (tour, n) => {
+  expect(tour[0]).toBe(0);
+  expect(tour[tour.length - 1]).toBe(0);
+  expect(tour.slice(0, -1).sort((a, b) => a - b)).toEqual(Array.from({ length: n }, (_, i) => i));
+};
+
+// Random asymmetric matrix with integer distances 1..99
+const randomMatrix = (n, seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 0 : 1 + Math.floor(random() * 99))));
+};
+
+// Shortest closed tour from city 0 by trying every permutation
+const bruteForce = (distances) => {
+  let best = Infinity;
+  const visit = (route, remaining) => {
+    if (remaining.length === 0) {
+      best = Math.min(best, length([...route, 0], distances));
+      return;
+    }
+    remaining.forEach((city, k) => visit([...route, city], remaining.filter((_, r) => r !== k)));
+  };
+  visit([0], Array.from({ length: distances.length - 1 }, (_, i) => i + 1));
+  return best;
+};
+
+// Tour that visits the cities in a shuffled order
+const randomTour = (n, seed) => {
+  const random = createRandom(seed);
+  const cities = Array.from({ length: n - 1 }, (_, i) => i + 1);
+  for (let i = cities.length - 1; i > 0; i--) {
+    const k = Math.floor(random() * (i + 1));
+    [cities[i], cities[k]] = [cities[k], cities[i]];
+  }
+  return [0, ...cities, 0];
+};
+
+describe('Held-Karp', () => {
+  test.each([3, 5, 6, 8])('matches brute force on %i symmetric cities', (n) => {
+    const distances = buildDistanceMatrix(generateCityPositions(n, 600, 400, n));
+    const result = tspExact(n, null, distances);
+    
+    expectValidTour(result.tour, n);
+    expect(parseFloat(result.distance)).toBeCloseTo(bruteForce(distances), 2);
+  });
+  
+  test.each([4, 7, 8])('matches brute force on %i asymmetric cities', (n) => {
+    const distances = randomMatrix(n, 100 + n);
+    const result = tspExact(n, null, distances);
+    
+    expectValidTour(result.tour, n);
+    expect(parseFloat(result.distance)).toBe(bruteForce(distances));
+    expect(length(result.tour, distances)).toBe(bruteForce(distances));
+  });
+  
+  test('is never worse than nearest neighbor', () => {
+    const distances = randomMatrix(8, 3);
+    const result = tspExact(8, null, distances);
+    
+    expect(parseFloat(result.optimalityGap)).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('local search', () => {
+  const cases = [
+    ['symmetric', buildDistanceMatrix(generateCityPositions(15, 600, 400, 9))],
+    ['asymmetric', randomMatrix(15, 9)]
+  ];
+  
+  test.each(cases)('2-opt never lengthens a tour on a %s matrix', (_, distances) => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const start = randomTour(15, seed);
+      const result = twoOpt(distances, start);
+      
+      expectValidTour(result.tour, 15);
+      expect(result.totalDistance).toBeLessThanOrEqual(length(start, distances) + 1e-9);
+      result.moves.forEach(move => expect(move.saved).toBeGreaterThan(0));
+    }
+  });
+  
+  test.each(cases)('Or-opt never lengthens a tour on a %s matrix', (_, distances) => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const start = randomTour(15, seed);
+      const result = orOpt(distances, start);
+      
+      expectValidTour(result.tour, 15);
+      expect(result.totalDistance).toBeLessThanOrEqual(length(start, distances) + 1e-9);
+    }
+  });
+  
+  test.each(cases)('replaying the moves rebuilds every intermediate tour on a %s matrix', (_, distances) => {
+    const start = randomTour(15, 6);
+    const result = improveTour(distances, start);
+    
+    expect(result.moves.length).toBeGreaterThan(0);
+    expect(tourAfterMoves(start, result.moves)).toEqual(result.tour);
+    expect(tourAfterMoves(start, result.moves, 0)).toEqual(start);
+    result.moves.forEach((move, i) => {
+      const tour = tourAfterMoves(start, result.moves, i + 1);
+      expectValidTour(tour, 15);
+      expect(length(tour, distances)).toBeCloseTo(move.distance);
+      move.addedEdges.forEach(([from, to]) => {
+        expect(tour.some((city, k) => city === from && tour[k + 1] === to)).toBe(true);
+      });
+    });
+  });
+  
+  test.each(cases)('improveTour adds up the savings of its moves on a %s matrix', (_, distances) => {
+    const start = randomTour(15, 4);
+    const result = improveTour(distances, start);
+    const saved = result.moves.reduce((sum, move) => sum + move.saved, 0);
+    
+    expect(result.initialDistance).toBeCloseTo(length(start, distances));
+    expect(result.initialDistance - result.totalDistance).toBeCloseTo(saved);
+  });
+});
+
+describe('distance matrix input', () => {
+  test('parses symmetric and asymmetric distances', () => {
+    expect(parseDistanceMatrix('0-1:10, 1-2:5.5', 3)).toEqual([
+      [0, 10, Infinity],
+      [10, 0, 5.5],
+      [Infinity, 5.5, 0]
+    ]);
+    expect(parseDistanceMatrix('0-1:10, 1-0:4', 2, true)).toEqual([[0, 10], [4, 0]]);
+  });
+  
+  test('rejects entries it cannot read', () => {
+    expect(() => parseDistanceMatrix('0-1:10, 1-2', 3)).toThrow('Cannot read "1-2" (expected location1-location2:distance)');
+    expect(() => parseDistanceMatrix('0-1:-4', 2)).toThrow('Cannot read "0-1:-4"');
+    expect(() => parseDistanceMatrix('0-5:1', 3)).toThrow('Location 5 is out of range (0-2)');
+  });
+  
+  test('reports missing pairs as infeasible in every solver', () => {
+    const distances = () => parseDistanceMatrix('0-1:10', 3);
+    const message = 'Infeasible tour: no distance given for 0→2';
+    
+    expect(() => tsp(3, null, distances())).toThrow(message);
+    expect(() => tspExact(3, null, distances())).toThrow(message);
+    expect(() => tspAnnealing(3, null, distances(), { seed: 1 })).toThrow(message);
+    expect(() => tspGenetic(3, null, distances(), { seed: 1 })).toThrow(message);
+  });
+  
+  test('solves a sparse matrix that still has a tour', () => {
+    const distances = parseDistanceMatrix('0-1:1, 1-2:1, 2-3:1, 3-0:1, 0-2:9', 4);
+    const result = tspExact(4, null, distances);
+    
+    expect(result.distance).toBe('4.00');
+  });
+});
+
+describe('seeded TSP solvers', () => {
+  const n = 12;
+  const cityPositions = generateCityPositions(n, 600, 400, 7);
+  const distances = buildDistanceMatrix(cityPositions);
+  // Both metaheuristics start from the nearest neighbor tour
+  const nearestNeighborDistance = length(tsp(n, cityPositions, distances).tour, distances);
+  
+  test('createRandom repeats its sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const first = Array.from({ length: 5 }, () => a());
+    
+    expect(Array.from({ length: 5 }, () => b())).toEqual(first);
+    expect(Array.from({ length: 5 }, () => c())).not.toEqual(first);
+    first.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+  
+  test('generateCityPositions is reproducible with a seed', () => {
+    expect(generateCityPositions(n, 600, 400, 7)).toEqual(cityPositions);
+  });
+  
+  test('Held-Karp generates the same cities for the same seed', () => {
+    const first = tspExact(8, null, null, { seed: 7 });
+    
+    expect(first.cityPositions).toEqual(generateCityPositions(8, 600, 400, 7));
+    expect(tspExact(8, null, null, { seed: 7 }).tour).toEqual(first.tour);
+  });
+  
+  test('simulated annealing gives the same tour for the same seed', () => {
+    const options = { seed: 5, iterations: 2000 };
+    const first = tspAnnealing(n, null, null, options);
+    const second = tspAnnealing(n, null, null, options);
+    
+    expect(second.tour).toEqual(first.tour);
+    expect(second.distance).toBe(first.distance);
+    expect(second.history).toEqual(first.history);
+  });
+  
+  test('the genetic algorithm gives the same tour for the same seed', () => {
+    const options = { seed: 5, generations: 40, populationSize: 20 };
+    const first = tspGenetic(n, null, null, options);
+    const second = tspGenetic(n, null, null, options);
+    
+    expect(second.tour).toEqual(first.tour);
+    expect(second.distance).toBe(first.distance);
+  });
+  
+  test('simulated annealing returns a valid tour no worse than its start', () => {
+    const result = simulatedAnnealing(distances, { seed: 11, iterations: 3000 });
+    
+    expectValidTour(result.tour, n);
+    expect(result.totalDistance).toBeCloseTo(length(result.tour, distances));
+    expect(result.totalDistance).toBeLessThanOrEqual(nearestNeighborDistance + 1e-9);
+  });
+  
+  test('the genetic algorithm returns a valid tour no worse than its start', () => {
+    const result = geneticAlgorithm(distances, { seed: 11, generations: 60, populationSize: 30 });
+    
+    expectValidTour(result.tour, n);
+    expect(result.totalDistance).toBeCloseTo(length(result.tour, distances));
+    expect(result.totalDistance).toBeLessThanOrEqual(nearestNeighborDistance + 1e-9);
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * TSPLIB Instances
+ * Reads benchmark .tsp files and their .opt.tour optimal tours so the TSP
+ * solvers can be checked against known optima. Distances follow the TSPLIB
+ * rounding rules, which makes tour lengths comparable with published values
+ */
+
+const SUPPORTED_COORD_TYPES = ['EUC_2D', 'GEO', 'ATT'];
+const SUPPORTED_FORMATS = ['FULL_MATRIX', 'UPPER_ROW', 'LOWER_DIAG_ROW'];
+
+/**
+ * Round to the nearest integer as TSPLIB's nint does
+ * @param {number} x - Value to round
+ * @returns {number} Nearest integer
+ */
+function nint(x) {
+  return Math.floor(x + 0.5);
+}
+
+/**
+ * Convert a TSPLIB GEO coordinate (DDD.MM degrees and minutes) to radians
+ * @param {number} value - Coordinate in DDD.MM format
+ * @returns {number} Angle in radians
+ */
+function geoToRadians(value) {
+  const PI = 3.141592;
+  const degrees = Math.trunc(value);
+  const minutes = value - degrees;
+  return (PI * (degrees + (5.0 * minutes) / 3.0)) / 180.0;
+}
+
+/**
+ * Distance between two nodes for a coordinate-based edge weight type
+ * @param {Object} a - Node with x, y
+ * @param {Object} b - Node with x, y
+ * @param {string} type - 'EUC_2D', 'GEO' or 'ATT'
+ * @returns {number} Integer TSPLIB distance
+ */
+function coordinateDistance(a, b, type) {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  
+  if (type === 'ATT') {
+    // Pseudo-Euclidean distance, always rounded up
+    const r = Math.sqrt((dx * dx + dy * dy) / 10.0);
+    const t = nint(r);
+    return t < r ? t + 1 : t;
+  }
+  
+  if (type === 'GEO') {
+    // x is latitude and y longitude on an idealized sphere (km)
+    const RRR = 6378.388;
+    const latA = geoToRadians(a.x);
+    const lonA = geoToRadians(a.y);
+    const latB = geoToRadians(b.x);
+    const lonB = geoToRadians(b.y);
+    const q1 = Math.cos(lonA - lonB);
+    const q2 = Math.cos(latA - latB);
+    const q3 = Math.cos(latA + latB);
+    return Math.trunc(RRR * Math.acos(0.5 * ((1.0 + q1) * q2 - (1.0 - q1) * q3)) + 1.0);
+  }
+  
+  return nint(Math.sqrt(dx * dx + dy * dy));
+}
+
+/**
+ * Fill a distance matrix from EDGE_WEIGHT_SECTION numbers
+ * @param {Array<number>} weights - Numbers in file order
+ * @param {number} n - Dimension
+ * @param {string} format - 'FULL_MATRIX', 'UPPER_ROW' or 'LOWER_DIAG_ROW'
+ * @returns {Array<Array<number>>} Distance matrix
+ */
+function explicitMatrix(weights, n, format) {
+  const expected = format === 'FULL_MATRIX' ? n * n : format === 'UPPER_ROW' ? (n * (n - 1)) / 2 : (n * (n + 1)) / 2;
+  if (weights.length < expected) {
+    throw new Error(`EDGE_WEIGHT_SECTION has ${weights.length} values, ${format} needs ${expected} for dimension ${n}`);
+  }
+  
+  const distances = Array(n).fill(null).map(() => Array(n).fill(0));
+  let k = 0;
+  
+  for (let i = 0; i < n; i++) {
+    if (format === 'FULL_MATRIX') {
+      for (let j = 0; j < n; j++) {
+        distances[i][j] = weights[k++];
+      }
+    } else if (format === 'UPPER_ROW') {
+      // Row i lists the distances to i+1 .. n-1
+      for (let j = i + 1; j < n; j++) {
+        distances[i][j] = distances[j][i] = weights[k++];
+      }
+    } else {
+      // Row i lists the distances to 0 .. i, ending on the diagonal
+      for (let j = 0; j <= i; j++) {
+        distances[i][j] = distances[j][i] = weights[k++];
+      }
+    }
+  }
+  
+  return distances;
+}
+
+/**
+ * Split a TSPLIB file into header fields and data sections
+ * @param {string} text - File contents
+ * @returns {Object} Header values by keyword, and the lines of each section
+ */
+function readSections(text) {
+  const header = {};
+  const sections = {};
+  let current = null;
+  
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line === 'EOF') continue;
+    
+    const field = line.match(/^([A-Z_]+)\s*:\s*(.*)$/);
+    if (field) {
+      header[field[1]] = field[2].trim();
+      current = null;
+    } else if (/^[A-Z_]+_SECTION$/.test(line)) {
+      current = line;
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+  
+  return { header, sections };
+}
+
+/**
+ * Parse a TSPLIB .tsp file
+ * Supports NODE_COORD_SECTION with EUC_2D, GEO and ATT distances and
+ * EDGE_WEIGHT_SECTION with FULL_MATRIX, UPPER_ROW and LOWER_DIAG_ROW
+ * @param {string} text - File contents
+ * @returns {Object} Instance name, dimension, edge weight type, node coordinates (or null) and the distance matrix
+ */
+export function parseTsplib(text) {
+  const { header, sections } = readSections(text);
+  
+  if (header.TYPE && !['TSP', 'ATSP'].includes(header.TYPE)) {
+    throw new Error(`TYPE ${header.TYPE} is not a TSP instance`);
+  }
+  
+  const n = parseInt(header.DIMENSION);
+  if (isNaN(n) || n < 2) {
+    throw new Error('DIMENSION is missing or smaller than 2');
+  }
+  
+  const type = header.EDGE_WEIGHT_TYPE;
+  
+  // Node coordinates, 1-based in the file
+  const readCoordinates = (lines) => {
+    const coordinates = Array(n).fill(null);
+    for (const line of lines) {
+      const [id, x, y] = line.split(/\s+/).map(Number);
+      if (isNaN(id) || isNaN(x) || isNaN(y) || id < 1 || id > n) {
+        throw new Error(`Cannot read node "${line}"`);
+      }
+      coordinates[id - 1] = { x, y };
+    }
+    const missing = coordinates.findIndex(c => c === null);
+    if (missing !== -1) {
+      throw new Error(`Node ${missing + 1} has no coordinates`);
+    }
+    return coordinates;
+  };
+  
+  let coordinates = null;
+  let distances;
+  
+  if (type === 'EXPLICIT') {
+    const format = header.EDGE_WEIGHT_FORMAT;
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw new Error(`EDGE_WEIGHT_FORMAT ${format || '(missing)'} is not supported (use ${SUPPORTED_FORMATS.join(', ')})`);
+    }
+    if (!sections.EDGE_WEIGHT_SECTION) {
+      throw new Error('EDGE_WEIGHT_SECTION is missing');
+    }
+    
+    const weights = sections.EDGE_WEIGHT_SECTION.join(' ').split(/\s+/).filter(Boolean).map(Number);
+    if (weights.some(isNaN)) {
+      throw new Error('EDGE_WEIGHT_SECTION contains values that are not numbers');
+    }
+    
+    distances = explicitMatrix(weights, n, format);
+    if (sections.DISPLAY_DATA_SECTION) {
+      coordinates = readCoordinates(sections.DISPLAY_DATA_SECTION);
+    }
+  } else if (SUPPORTED_COORD_TYPES.includes(type)) {
+    if (!sections.NODE_COORD_SECTION) {
+      throw new Error('NODE_COORD_SECTION is missing');
+    }
+    
+    coordinates = readCoordinates(sections.NODE_COORD_SECTION);
+    distances = coordinates.map((a, i) => coordinates.map((b, j) => (i === j ? 0 : coordinateDistance(a, b, type))));
+  } else {
+    throw new Error(`EDGE_WEIGHT_TYPE ${type || '(missing)'} is not supported (use ${[...SUPPORTED_COORD_TYPES, 'EXPLICIT'].join(', ')})`);
+  }
+  
+  return {
+    name: header.NAME || 'unnamed',
+    comment: header.COMMENT || '',
+    dimension: n,
+    edgeWeightType: type === 'EXPLICIT' ? `EXPLICIT ${header.EDGE_WEIGHT_FORMAT}` : type,
+    coordinates,
+    distances
+  };
+}
+
+/**
+ * Parse a TSPLIB .opt.tour file
+ * @param {string} text - File contents
+ * @param {number} dimension - Dimension of the loaded instance, to check the tour against
+ * @returns {Object} Tour name and the closed tour as 0-based locations starting from location 0
+ */
+export function parseTour(text, dimension) {
+  const { header, sections } = readSections(text);
+  
+  if (!sections.TOUR_SECTION) {
+    throw new Error('TOUR_SECTION is missing');
+  }
+  
+  const nodes = [];
+  for (const value of sections.TOUR_SECTION.join(' ').split(/\s+/).filter(Boolean).map(Number)) {
+    if (value === -1) break;
+    if (!Number.isInteger(value) || value < 1 || value > dimension) {
+      throw new Error(`Tour node ${value} is not between 1 and ${dimension}`);
+    }
+    nodes.push(value - 1);
+  }
+  
+  if (nodes.length !== dimension || new Set(nodes).size !== dimension) {
+    throw new Error(`The tour must visit each of the ${dimension} nodes exactly once`);
+  }
+  
+  // Rotate so the tour starts and ends at the warehouse like the solvers' tours
+  const start = nodes.indexOf(0);
+  const tour = [...nodes.slice(start), ...nodes.slice(0, start), 0];
+  
+  return { name: header.NAME || 'optimal tour', tour };
+}
+
+/**
+ * Scale node coordinates onto the animation canvas, keeping proportions
+ * GEO coordinates are latitude/longitude, so they are drawn north up
+ * @param {Array} coordinates - Node coordinates with x, y
+ * @param {string} edgeWeightType - Edge weight type of the instance
+ * @param {number} width - Canvas width (default: 600)
+ * @param {number} height - Canvas height (default: 300)
+ * @returns {Array} City positions with id, x, y
+ */
+export function tsplibCityPositions(coordinates, edgeWeightType, width = 600, height = 300) {
+  const planar = edgeWeightType === 'GEO'
+    ? coordinates.map(c => ({ x: c.y, y: -c.x }))
+    : coordinates.map(c => ({ x: c.x, y: -c.y }));
+  
+  const padding = 30;
+  const minX = Math.min(...planar.map(p => p.x));
+  const minY = Math.min(...planar.map(p => p.y));
+  const spanX = Math.max(...planar.map(p => p.x)) - minX || 1;
+  const spanY = Math.max(...planar.map(p => p.y)) - minY || 1;
+  const zoom = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+  
+  return planar.map((p, id) => ({
+    id,
+    x: padding + (p.x - minX) * zoom,
+    y: padding + (p.y - minY) * zoom
+  }));
+}
+
+export default parseTsplib;
@@ -0,0 +1,126 @@
+import { parseTsplib, parseTour, tsplibCityPositions } from './TSPLIB';
+import { tourDistance, tspExact } from './TSP';
+
+// Coordinate instance with one line per node
+const coordinateFile = (type, nodes) => [
+  'NAME : sample',
+  'TYPE : TSP',
+  `DIMENSION : ${nodes.length}`,
+  `EDGE_WEIGHT_TYPE : ${type}`,
+  'NODE_COORD_SECTION',
+  ...nodes.map(([x, y], i) => `${i + 1} ${x} ${y}`),
+  'EOF'
+].join('\n');
+
+// Explicit instance with the given weight lines
+const explicitFile = (format, lines, dimension = 4) => [
+  'NAME : tiny4',
+  'TYPE : TSP',
+  `DIMENSION : ${dimension}`,
+  'EDGE_WEIGHT_TYPE : EXPLICIT',
+  `EDGE_WEIGHT_FORMAT : ${format}`,
+  'EDGE_WEIGHT_SECTION',
+  ...lines,
+  'EOF'
+].join('\n');
+
+// Symmetric 4-node instance whose optimal tour 1-2-4-3 has length 18
+const tiny = [
+  [0, 2, 9, 10],
+  [2, 0, 6, 4],
+  [9, 6, 0, 3],
+  [10, 4, 3, 0]
+];
+
+describe('coordinate distances', () => {
+  test('rounds EUC_2D distances to the nearest integer', () => {
+    const { distances } = parseTsplib(coordinateFile('EUC_2D', [[0, 0], [3, 4], [1, 1], [2, 3]]));
+    
+    expect(distances[0]).toEqual([0, 5, 1, 4]);
+  });
+  
+  test('always rounds ATT distances up', () => {
+    // sqrt(10 * 10 / 10) = 3.16 rounds up to 4; sqrt((9 + 1) / 10) = 1 stays 1
+    const { distances } = parseTsplib(coordinateFile('ATT', [[0, 0], [10, 0], [3, 1]]));
+    
+    expect(distances[0]).toEqual([0, 4, 1]);
+  });
+  
+  test('reads GEO coordinates as degrees and minutes', () => {
+    // 0.30 is 30 minutes, half a degree of latitude: 55.66 km, truncated after adding 1
+    const { distances, edgeWeightType } = parseTsplib(coordinateFile('GEO', [[0, 0], [0.3, 0], [1, 0]]));
+    
+    expect(edgeWeightType).toBe('GEO');
+    expect(distances[0]).toEqual([0, 56, 112]);
+    expect(distances[1][2]).toBe(56);
+  });
+  
+  test('matches the published optimum of burma14', () => {
+    const burma14 = [
+      [16.47, 96.10], [16.47, 94.44], [20.09, 92.54], [22.39, 93.37], [25.23, 97.24], [22.00, 96.05], [20.47, 97.02],
+      [17.20, 96.29], [16.30, 97.38], [14.05, 98.12], [16.53, 97.38], [21.52, 95.59], [19.41, 97.13], [20.09, 94.55]
+    ];
+    const { distances } = parseTsplib(coordinateFile('GEO', burma14));
+    
+    expect(tspExact(14, null, distances).distance).toBe('3323.00');
+  });
+});
+
+describe('explicit matrices', () => {
+  test.each([
+    ['FULL_MATRIX', ['0 2 9 10', '2 0 6 4', '9 6 0 3', '10 4 3 0']],
+    ['UPPER_ROW', ['2 9 10', '6 4', '3']],
+    ['LOWER_DIAG_ROW', ['0', '2 0', '9 6 0', '10 4 3 0']],
+    ['UPPER_ROW', ['2 9 10 6 4 3']]
+  ])('reads %s', (format, lines) => {
+    const instance = parseTsplib(explicitFile(format, lines));
+    
+    expect(instance).toMatchObject({ name: 'tiny4', dimension: 4, edgeWeightType: `EXPLICIT ${format}`, coordinates: null });
+    expect(instance.distances).toEqual(tiny);
+  });
+  
+  test('scores the optimal tour like the exact solver', () => {
+    const { distances } = parseTsplib(explicitFile('UPPER_ROW', ['2 9 10', '6 4', '3']));
+    const { tour } = parseTour('NAME : tiny4.opt.tour\nTYPE : TOUR\nTOUR_SECTION\n3 1 2 4\n-1\nEOF', 4);
+    
+    expect(tour).toEqual([0, 1, 3, 2, 0]);
+    expect(tourDistance(tour, distances)).toBe(18);
+    expect(tspExact(4, null, distances).distance).toBe('18.00');
+  });
+  
+  test('reports a section that is too short or unreadable', () => {
+    expect(() => parseTsplib(explicitFile('UPPER_ROW', ['2 9 10', '6 4'])))
+      .toThrow('EDGE_WEIGHT_SECTION has 5 values, UPPER_ROW needs 6 for dimension 4');
+    expect(() => parseTsplib(explicitFile('LOWER_DIAG_ROW', ['0', '2 0', 'x 6 0', '10 4 3 0'])))
+      .toThrow('EDGE_WEIGHT_SECTION contains values that are not numbers');
+    expect(() => parseTsplib(explicitFile('UPPER_DIAG_ROW', ['0'])))
+      .toThrow('EDGE_WEIGHT_FORMAT UPPER_DIAG_ROW is not supported (use FULL_MATRIX, UPPER_ROW, LOWER_DIAG_ROW)');
+  });
+});
+
+describe('file checks', () => {
+  test('rejects files that are not supported TSP instances', () => {
+    expect(() => parseTsplib('TYPE : CVRP\nDIMENSION : 3')).toThrow('TYPE CVRP is not a TSP instance');
+    expect(() => parseTsplib('TYPE : TSP\nDIMENSION : 1')).toThrow('DIMENSION is missing or smaller than 2');
+    expect(() => parseTsplib('TYPE : TSP\nDIMENSION : 3\nEDGE_WEIGHT_TYPE : MAN_2D')).toThrow('EDGE_WEIGHT_TYPE MAN_2D is not supported');
+    expect(() => parseTsplib('TYPE : TSP\nDIMENSION : 3\nEDGE_WEIGHT_TYPE : EUC_2D')).toThrow('NODE_COORD_SECTION is missing');
+  });
+  
+  test('rejects missing or unreadable nodes', () => {
+    expect(() => parseTsplib(coordinateFile('EUC_2D', [[0, 0], [1, 1]]).replace('2 1 1', '3 1 1'))).toThrow('Cannot read node "3 1 1"');
+    expect(() => parseTsplib(coordinateFile('EUC_2D', [[0, 0], [1, 1]]).replace('2 1 1', '1 1 1'))).toThrow('Node 2 has no coordinates');
+  });
+  
+  test('rejects tours that do not visit every node once', () => {
+    expect(() => parseTour('TOUR_SECTION\n1 2 5\n-1', 4)).toThrow('Tour node 5 is not between 1 and 4');
+    expect(() => parseTour('TOUR_SECTION\n1 2 2 3\n-1', 4)).toThrow('The tour must visit each of the 4 nodes exactly once');
+    expect(() => parseTour('NAME : t', 4)).toThrow('TOUR_SECTION is missing');
+  });
+  
+  test('draws GEO instances north up on the canvas', () => {
+    const [south, north] = tsplibCityPositions([{ x: 10, y: 20 }, { x: 30, y: 25 }], 'GEO');
+    
+    expect(north.y).toBeLessThan(south.y);
+    expect(north.x).toBeGreaterThan(south.x);
+  });
+});
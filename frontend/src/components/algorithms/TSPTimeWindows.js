@@ -0,0 +1,302 @@
+/**
+ * TSP with Time Windows (TSPTW)
+ * Every location has an [earliest, latest] window for the start of service and
+ * a service duration. Arriving early means waiting; starting after latest is a
+ * violated window. Times are in minutes, distances in km and speed in km/h.
+ * Builds a tour greedily, then improves it with relocation and 2-opt moves that
+ * minimize total lateness first and total distance second.
+ */
+
+import { buildTourSegments, buildDistanceMatrix, generateCityPositions } from './TSP';
+
+/**
+ * Parse time windows and service times
+ * @param {string} windowString - Entries in format "location:earliest-latest:service", e.g. "1:60-120:10"
+ * @param {number} numLocations - Number of locations
+ * @returns {Object} windows ([earliest, latest] per location) and serviceTimes
+ */
+export function parseTimeWindows(windowString, numLocations) {
+  const n = parseInt(numLocations);
+  const windows = Array(n).fill(null).map(() => [0, Infinity]);
+  const serviceTimes = Array(n).fill(0);
+  
+  windowString.split(',').forEach(entry => {
+    if (!entry.trim()) return;
+    
+    const parts = entry.trim().split(':');
+    const location = parseInt(parts[0]);
+    const range = (parts[1] || '').split('-');
+    const earliest = parseFloat(range[0]);
+    const latest = parseFloat(range[1]);
+    const service = parts.length > 2 ? parseFloat(parts[2]) : 0;
+    
+    if (parts.length < 2 || parts.length > 3 || range.length !== 2 || isNaN(location) || isNaN(earliest) || isNaN(latest) || isNaN(service)) {
+      throw new Error('Invalid time window format. Use location:earliest-latest:service');
+    }
+    if (location < 0 || location >= n) {
+      throw new Error(`Location ${location} is out of range (0-${n - 1})`);
+    }
+    if (earliest > latest) {
+      throw new Error(`Time window of location ${location} ends before it starts`);
+    }
+    
+    windows[location] = [earliest, latest];
+    serviceTimes[location] = service;
+  });
+  
+  return { windows, serviceTimes };
+}
+
+/**
+ * Simulate driving a tour and compute the timing of every stop
+ * The vehicle leaves the depot at the opening of the depot's window. A leg
+ * with no distance is counted as missing and driven in no time, so the rest
+ * of the schedule stays comparable between tours.
+ * @param {Array<number>} tour - Closed tour (depot repeated at the end)
+ * @param {Array<Array<number>>} distances - Distance matrix (km)
+ * @param {Array<Array<number>>} windows - [earliest, latest] per location (minutes)
+ * @param {Array<number>} serviceTimes - Service duration per location (minutes)
+ * @param {number} speed - Travel speed (km/h)
+ * @returns {Object} Stops with arrival, wait, departure and lateness, plus totals and missing legs
+ */
+export function scheduleTour(tour, distances, windows, serviceTimes, speed) {
+  const stops = [];
+  let time = windows[tour[0]][0];
+  let totalDistance = 0;
+  let totalWait = 0;
+  let totalLateness = 0;
+  const missingLegs = [];
+  
+  stops.push({
+    location: tour[0],
+    arrival: time,
+    wait: 0,
+    serviceStart: time,
+    departure: time,
+    earliest: windows[tour[0]][0],
+    latest: windows[tour[0]][1],
+    lateness: 0,
+    violated: false
+  });
+  
+  for (let i = 1; i < tour.length; i++) {
+    const from = tour[i - 1];
+    const to = tour[i];
+    const legDistance = distances[from][to];
+    const [earliest, latest] = windows[to];
+    const isReturn = i === tour.length - 1;
+    
+    if (!isFinite(legDistance)) {
+      missingLegs.push([from, to]);
+    } else {
+      totalDistance += legDistance;
+    }
+    const arrival = isFinite(legDistance) ? time + (legDistance / speed) * 60 : time;
+    
+    // Returning to the depot ends the tour: no waiting or service
+    const wait = isReturn ? 0 : Math.max(0, earliest - arrival);
+    const serviceStart = arrival + wait;
+    const lateness = Math.max(0, serviceStart - latest);
+    const departure = isReturn ? arrival : serviceStart + serviceTimes[to];
+    
+    totalWait += wait;
+    totalLateness += lateness;
+    time = departure;
+    
+    stops.push({
+      location: to,
+      arrival,
+      wait,
+      serviceStart,
+      departure,
+      earliest,
+      latest,
+      lateness,
+      violated: lateness > 0
+    });
+  }
+  
+  return {
+    stops,
+    totalDistance,
+    totalWait,
+    totalLateness,
+    violations: stops.filter(stop => stop.violated).length,
+    missingLegs,
+    startTime: stops[0].departure,
+    endTime: time
+  };
+}
+
+/**
+ * Lexicographic comparison: fewer missing legs win, then less lateness, then shorter distance
+ * @param {Object} a - Schedule from scheduleTour
+ * @param {Object} b - Schedule from scheduleTour
+ * @returns {boolean} True when a is strictly better than b
+ */
+function isBetterSchedule(a, b) {
+  const epsilon = 1e-9;
+  if (a.missingLegs.length !== b.missingLegs.length) return a.missingLegs.length < b.missingLegs.length;
+  if (a.totalLateness < b.totalLateness - epsilon) return true;
+  if (a.totalLateness > b.totalLateness + epsilon) return false;
+  return a.totalDistance < b.totalDistance - epsilon;
+}
+
+/**
+ * Time Window Heuristic for TSP
+ * Greedy construction: from the current stop, go to the unvisited location
+ * that can be served on time soonest (or, if none can, the one with the least
+ * lateness). Then apply relocation and 2-opt moves until neither improves.
+ * @param {Array<Array<number>>} distances - Distance matrix (km)
+ * @param {Array<Array<number>>} windows - [earliest, latest] per location (minutes)
+ * @param {Array<number>} serviceTimes - Service duration per location (minutes)
+ * @param {number} speed - Travel speed (km/h)
+ * @param {number} depot - Depot index (default: 0)
+ * @returns {Object} Tour and its schedule
+ */
+export function timeWindowTour(distances, windows, serviceTimes, speed, depot = 0) {
+  const n = distances.length;
+  const visited = Array(n).fill(false);
+  const route = [depot];
+  visited[depot] = true;
+  let time = windows[depot][0];
+  let current = depot;
+  
+  for (let step = 0; step < n - 1; step++) {
+    let best = -1;
+    let bestKey = null;
+    
+    for (let city = 0; city < n; city++) {
+      if (visited[city] || !isFinite(distances[current][city])) continue;
+      
+      const arrival = time + (distances[current][city] / speed) * 60;
+      const start = Math.max(arrival, windows[city][0]);
+      const lateness = Math.max(0, start - windows[city][1]);
+      const key = lateness > 0 ? [1, lateness, start] : [0, start, distances[current][city]];
+      
+      if (!bestKey || key[0] < bestKey[0] || (key[0] === bestKey[0] && (key[1] < bestKey[1] || (key[1] === bestKey[1] && key[2] < bestKey[2])))) {
+        best = city;
+        bestKey = key;
+      }
+    }
+    
+    if (best === -1) break;
+    
+    const start = Math.max(time + (distances[current][best] / speed) * 60, windows[best][0]);
+    time = start + serviceTimes[best];
+    visited[best] = true;
+    route.push(best);
+    current = best;
+  }
+  
+  // Locations unreachable by the greedy walk still get appended so the tour is complete
+  for (let city = 0; city < n; city++) {
+    if (!visited[city]) route.push(city);
+  }
+  
+  const evaluate = (r) => scheduleTour([...r, depot], distances, windows, serviceTimes, speed);
+  let bestRoute = route;
+  let bestSchedule = evaluate(bestRoute);
+  let improved = true;
+  
+  while (improved) {
+    improved = false;
+    
+    // Relocation: move one location to another position
+    for (let i = 1; i < n && !improved; i++) {
+      for (let k = 1; k < n && !improved; k++) {
+        if (k === i) continue;
+        
+        const candidate = bestRoute.slice();
+        const [city] = candidate.splice(i, 1);
+        candidate.splice(k, 0, city);
+        
+        const schedule = evaluate(candidate);
+        if (isBetterSchedule(schedule, bestSchedule)) {
+          bestRoute = candidate;
+          bestSchedule = schedule;
+          improved = true;
+        }
+      }
+    }
+    
+    // 2-opt: reverse a segment
+    for (let i = 1; i < n - 1 && !improved; i++) {
+      for (let j = i + 1; j < n && !improved; j++) {
+        const candidate = [
+          ...bestRoute.slice(0, i),
+          ...bestRoute.slice(i, j + 1).reverse(),
+          ...bestRoute.slice(j + 1)
+        ];
+        
+        const schedule = evaluate(candidate);
+        if (isBetterSchedule(schedule, bestSchedule)) {
+          bestRoute = candidate;
+          bestSchedule = schedule;
+          improved = true;
+        }
+      }
+    }
+  }
+  
+  return {
+    tour: [...bestRoute, depot],
+    schedule: bestSchedule
+  };
+}
+
+/**
+ * Main TSP with Time Windows function
+ * @param {number} numCities - Number of locations
+ * @param {Array<Array<number>>} windows - [earliest, latest] per location (minutes)
+ * @param {Array<number>} serviceTimes - Service duration per location (minutes)
+ * @param {number} speed - Travel speed (km/h)
+ * @param {Array} customCityPositions - Optional custom city positions
+ * @param {Array} customDistanceMatrix - Optional custom distance matrix
+ * @param {Object} options - Optional settings
+ * @param {number} options.seed - Seed for generated city positions
+ * @returns {Object} Same shape as tsp() plus per-stop schedule and violations
+ */
+export function tspTimeWindows(numCities, windows, serviceTimes, speed, customCityPositions = null, customDistanceMatrix = null, options = {}) {
+  const cities = parseInt(numCities);
+  const travelSpeed = parseFloat(speed);
+  
+  if (isNaN(travelSpeed) || travelSpeed <= 0) {
+    throw new Error('Travel speed must be a positive number');
+  }
+  
+  const cityPositions = customCityPositions || generateCityPositions(cities, 600, 400, options.seed);
+  const distances = customDistanceMatrix || buildDistanceMatrix(cityPositions);
+  
+  const result = timeWindowTour(distances, windows, serviceTimes, travelSpeed, 0);
+  const { schedule } = result;
+  
+  if (schedule.missingLegs.length > 0) {
+    const missing = schedule.missingLegs.map(([from, to]) => `${from}→${to}`);
+    throw new Error(`Infeasible tour: no distance given for ${missing.join(', ')}`);
+  }
+  
+  return {
+    type: 'tsp',
+    tour: result.tour,
+    distance: schedule.totalDistance.toFixed(2),
+    cityPositions,
+    numCities: cities,
+    allVisited: true,
+    numCitiesVisited: cities,
+    distanceMatrix: distances,
+    tourSegments: buildTourSegments(result.tour, distances),
+    averageSegmentDistance: (schedule.totalDistance / (result.tour.length - 1)).toFixed(2),
+    method: 'time-windows',
+    methodName: 'Time Windows',
+    speed: travelSpeed,
+    schedule: schedule.stops,
+    totalWait: schedule.totalWait.toFixed(1),
+    totalLateness: schedule.totalLateness.toFixed(1),
+    violations: schedule.violations,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime
+  };
+}
+
+export default tspTimeWindows;
@@ -0,0 +1,103 @@
+import { parseTimeWindows, scheduleTour, timeWindowTour, tspTimeWindows } from './TSPTimeWindows';
+import { parseDistanceMatrix } from './TSP';
+
+// 30 km legs out to 1 and on to 2, 60 km back; at 60 km/h a km takes a minute
+const distances = [
+  [0, 30, 60],
+  [30, 0, 30],
+  [60, 30, 0]
+];
+
+describe('time window parsing', () => {
+  test('reads windows and service times, leaving other locations open', () => {
+    expect(parseTimeWindows('1:60-90:10, 2:0-80', 4)).toEqual({
+      windows: [[0, Infinity], [60, 90], [0, 80], [0, Infinity]],
+      serviceTimes: [0, 10, 0, 0]
+    });
+  });
+  
+  test('rejects bad windows', () => {
+    expect(() => parseTimeWindows('1:60', 3)).toThrow('Invalid time window format');
+    expect(() => parseTimeWindows('1:60-90:x', 3)).toThrow('Invalid time window format');
+    expect(() => parseTimeWindows('5:0-10', 3)).toThrow('Location 5 is out of range (0-2)');
+    expect(() => parseTimeWindows('1:90-60', 3)).toThrow('Time window of location 1 ends before it starts');
+  });
+});
+
+describe('schedule', () => {
+  const serviceTimes = [0, 10, 5];
+  
+  test('waits for a window to open and records lateness', () => {
+    const schedule = scheduleTour([0, 1, 2, 0], distances, [[0, 600], [60, 90], [0, 80]], serviceTimes, 60);
+    const [depot, first, second] = schedule.stops;
+    
+    expect(depot).toMatchObject({ arrival: 0, departure: 0 });
+    expect(first).toMatchObject({ arrival: 30, wait: 30, serviceStart: 60, departure: 70, lateness: 0, violated: false });
+    expect(second).toMatchObject({ arrival: 100, wait: 0, serviceStart: 100, departure: 105, lateness: 20, violated: true });
+    expect(schedule).toMatchObject({ totalDistance: 120, totalWait: 30, totalLateness: 20, violations: 1, missingLegs: [] });
+  });
+  
+  test('ends at the depot without waiting or service', () => {
+    const schedule = scheduleTour([0, 1, 2, 0], distances, [[100, 150], [0, 500], [0, 500]], serviceTimes, 60);
+    const back = schedule.stops[3];
+    
+    // Leaves at 100, so it is back at 100 + 30 + 10 + 30 + 5 + 60
+    expect(back).toMatchObject({ arrival: 235, wait: 0, departure: 235, lateness: 85, violated: true });
+    expect(schedule.startTime).toBe(100);
+    expect(schedule.endTime).toBe(235);
+  });
+  
+  test('counts legs with no distance instead of driving them', () => {
+    const sparse = parseDistanceMatrix('0-1:30, 1-2:30', 3);
+    const schedule = scheduleTour([0, 1, 2, 0], sparse, [[0, 600], [0, 600], [0, 600]], [0, 0, 0], 60);
+    
+    expect(schedule.missingLegs).toEqual([[2, 0]]);
+    expect(schedule.totalDistance).toBe(60);
+    expect(schedule.endTime).toBe(60);
+  });
+});
+
+describe('time window tour', () => {
+  const open = (n) => Array(n).fill(null).map(() => [0, Infinity]);
+  
+  test('visits the locations in the order their windows allow', () => {
+    const result = timeWindowTour(distances, [[0, 600], [100, 120], [0, 70]], [0, 0, 0], 60);
+    
+    expect(result.tour).toEqual([0, 2, 1, 0]);
+    expect(result.schedule.totalLateness).toBe(0);
+  });
+  
+  test('prefers a tour without missing legs', () => {
+    // The greedy walk 0 → 2 → 1 strands 3, since 1-3 has no distance
+    const sparse = parseDistanceMatrix('0-1:1, 1-2:1, 2-3:1, 3-0:1, 0-2:0.5', 4);
+    const result = timeWindowTour(sparse, open(4), [0, 0, 0, 0], 60);
+    
+    expect(result.schedule.missingLegs).toEqual([]);
+    expect(result.schedule.totalDistance).toBe(4);
+  });
+  
+  test('still prefers fewer missing legs when every tour has some', () => {
+    const sparse = parseDistanceMatrix('0-1:1, 1-2:1, 2-3:1', 4);
+    const result = timeWindowTour(sparse, open(4), [0, 0, 0, 0], 60);
+    
+    expect(result.schedule.missingLegs).toHaveLength(1);
+  });
+  
+  test('reports the missing legs of the best tour', () => {
+    const sparse = parseDistanceMatrix('0-1:1, 1-2:1, 2-3:1', 4);
+    
+    expect(() => tspTimeWindows(4, open(4), [0, 0, 0, 0], 60, null, sparse)).toThrow('Infeasible tour: no distance given for 3→0');
+  });
+  
+  test('generates the same cities for the same seed', () => {
+    const first = tspTimeWindows(6, open(6), Array(6).fill(0), 60, null, null, { seed: 3 });
+    const second = tspTimeWindows(6, open(6), Array(6).fill(0), 60, null, null, { seed: 3 });
+    
+    expect(second.cityPositions).toEqual(first.cityPositions);
+    expect(second.tour).toEqual(first.tour);
+  });
+  
+  test('rejects a non-positive speed', () => {
+    expect(() => tspTimeWindows(3, open(3), [0, 0, 0], 0, null, distances)).toThrow('Travel speed must be a positive number');
+  });
+});
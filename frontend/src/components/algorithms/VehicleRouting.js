@@ -0,0 +1,241 @@
+/**
+ * Capacitated Vehicle Routing Problem (CVRP)
+ * Plans one depot-to-depot route per truck so that every location's demand is
+ * delivered without exceeding any truck's capacity
+ * Uses Clarke-Wright savings followed by 2-opt on each route
+ */
+
+import { twoOpt, isSymmetric, buildTourSegments, buildDistanceMatrix, generateCityPositions } from './TSP';
+
+/**
+ * Parse location demands
+ * @param {string} demandString - Demands in format "1:10, 2:15, 3:20"
+ * @param {number} numLocations - Number of locations including the depot
+ * @param {number} depot - Depot index, whose demand is always 0 (default: 0)
+ * @returns {Array<number>} Demand per location
+ */
+export function parseDemands(demandString, numLocations, depot = 0) {
+  const n = parseInt(numLocations);
+  const demands = Array(n).fill(0);
+  
+  demandString.split(',').forEach(entry => {
+    if (!entry.trim()) return;
+    
+    const parts = entry.trim().split(':');
+    const location = parseInt(parts[0]);
+    const demand = parseFloat(parts[1]);
+    
+    if (parts.length !== 2 || isNaN(location) || isNaN(demand)) {
+      throw new Error('Invalid demand format. Use location:demand');
+    }
+    if (location < 0 || location >= n) {
+      throw new Error(`Location ${location} is out of range (0-${n - 1})`);
+    }
+    if (demand < 0) {
+      throw new Error(`Demand of location ${location} cannot be negative`);
+    }
+    if (location !== depot) {
+      demands[location] = demand;
+    }
+  });
+  
+  return demands;
+}
+
+/**
+ * Parse truck capacities
+ * @param {string} capacityString - Capacities in format "40, 40, 30"
+ * @returns {Array<number>} Capacity per truck
+ */
+export function parseCapacities(capacityString) {
+  const capacities = capacityString.split(',').filter(c => c.trim()).map(c => parseFloat(c));
+  
+  if (capacities.length === 0 || capacities.some(c => isNaN(c) || c <= 0)) {
+    throw new Error('Truck capacities must be positive numbers (comma-separated)');
+  }
+  
+  return capacities;
+}
+
+/**
+ * Check that routes can go to distinct trucks, heaviest route on the largest truck
+ * Only the heaviest routes are matched when there are more routes than trucks,
+ * since further merges can still bring the rest together
+ * @param {Array<number>} loads - Load of every route
+ * @param {Array<number>} capacities - Truck capacities, largest first
+ * @returns {boolean} True when every matched route fits its truck
+ */
+function fitsFleet(loads, capacities) {
+  const sorted = loads.slice().sort((a, b) => b - a);
+  const count = Math.min(sorted.length, capacities.length);
+  for (let k = 0; k < count; k++) {
+    if (sorted[k] > capacities[k]) return false;
+  }
+  return true;
+}
+
+/**
+ * Clarke-Wright Savings Algorithm
+ * Starts with one route per location and repeatedly joins the two routes with
+ * the largest saving s(i, j) = d[i][depot] + d[depot][j] - d[i][j], as long as
+ * i ends one route, j starts the other and the routes still fit the fleet
+ * afterwards (see fitsFleet), so a merge never takes the truck another route needs.
+ * On symmetric matrices routes may also be reversed to make i and j meet.
+ * @param {Array<Array<number>>} distances - Distance matrix
+ * @param {Array<number>} demands - Demand per location
+ * @param {Array<number>} vehicleCapacities - Capacity per truck
+ * @param {number} depot - Depot index (default: 0)
+ * @returns {Object} Routes (without depot) and the number of merges applied
+ */
+export function clarkeWright(distances, demands, vehicleCapacities, depot = 0) {
+  const n = distances.length;
+  const symmetric = isSymmetric(distances);
+  const capacities = vehicleCapacities.slice().sort((a, b) => b - a);
+  const maxCapacity = capacities[0];
+  
+  // One route per customer
+  const routes = [];
+  const routeOf = Array(n).fill(-1);
+  for (let city = 0; city < n; city++) {
+    if (city === depot) continue;
+    
+    if (demands[city] > maxCapacity) {
+      throw new Error(`Demand of location ${city} (${demands[city]}) exceeds the largest truck capacity (${maxCapacity})`);
+    }
+    routeOf[city] = routes.length;
+    routes.push({ stops: [city], load: demands[city] });
+  }
+  
+  // Savings for every ordered pair (symmetric matrices only need i < j)
+  const savings = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if (i === depot || j === depot || i === j) continue;
+      if (symmetric && j < i) continue;
+      
+      const saving = distances[i][depot] + distances[depot][j] - distances[i][j];
+      if (isFinite(saving)) {
+        savings.push({ i, j, saving });
+      }
+    }
+  }
+  savings.sort((a, b) => b.saving - a.saving);
+  
+  let merges = 0;
+  for (const { i, j } of savings) {
+    const ri = routeOf[i];
+    const rj = routeOf[j];
+    if (ri === rj) continue;
+    
+    const routeI = routes[ri];
+    const routeJ = routes[rj];
+    const loads = routes.filter(route => route && route !== routeI && route !== routeJ).map(route => route.load);
+    if (!fitsFleet([...loads, routeI.load + routeJ.load], capacities)) continue;
+    
+    const iFirst = routeI.stops[0] === i;
+    const iLast = routeI.stops[routeI.stops.length - 1] === i;
+    const jFirst = routeJ.stops[0] === j;
+    const jLast = routeJ.stops[routeJ.stops.length - 1] === j;
+    
+    let merged = null;
+    if (iLast && jFirst) {
+      merged = [...routeI.stops, ...routeJ.stops];
+    } else if (symmetric && iFirst && jFirst) {
+      merged = [...routeI.stops.slice().reverse(), ...routeJ.stops];
+    } else if (symmetric && iLast && jLast) {
+      merged = [...routeI.stops, ...routeJ.stops.slice().reverse()];
+    } else if (symmetric && iFirst && jLast) {
+      merged = [...routeJ.stops, ...routeI.stops];
+    }
+    
+    if (!merged) continue;
+    
+    // Keep the merged route in slot ri and retire slot rj
+    routes[ri] = { stops: merged, load: routeI.load + routeJ.load };
+    routes[rj] = null;
+    routeJ.stops.forEach(city => { routeOf[city] = ri; });
+    merges++;
+  }
+  
+  return {
+    routes: routes.filter(route => route !== null),
+    merges
+  };
+}
+
+/**
+ * Main Vehicle Routing function
+ * Builds routes with Clarke-Wright, improves each with 2-opt and assigns the
+ * heaviest routes to the largest trucks
+ * @param {number} numLocations - Number of locations including the depot
+ * @param {Array<number>} demands - Demand per location
+ * @param {Array<number>} vehicleCapacities - Capacity per truck
+ * @param {Array} customCityPositions - Optional custom city positions
+ * @param {Array} customDistanceMatrix - Optional custom distance matrix
+ * @returns {Object} Result containing per-truck routes with load and distance
+ */
+export function vehicleRouting(numLocations, demands, vehicleCapacities, customCityPositions = null, customDistanceMatrix = null) {
+  const cities = parseInt(numLocations);
+  const depot = 0;
+  
+  const cityPositions = customCityPositions || generateCityPositions(cities);
+  const distances = customDistanceMatrix || buildDistanceMatrix(cityPositions);
+  
+  const savingsResult = clarkeWright(distances, demands, vehicleCapacities, depot);
+  
+  // Improve each route independently
+  const improvedRoutes = savingsResult.routes.map(route => {
+    const improved = twoOpt(distances, [depot, ...route.stops, depot]);
+    return { tour: improved.tour, load: route.load, totalDistance: improved.totalDistance };
+  });
+  
+  // Largest loads go to largest trucks
+  const trucks = vehicleCapacities
+    .map((capacity, index) => ({ vehicle: index + 1, capacity }))
+    .sort((a, b) => b.capacity - a.capacity);
+  improvedRoutes.sort((a, b) => b.load - a.load);
+  
+  if (improvedRoutes.length > trucks.length) {
+    throw new Error(`${improvedRoutes.length} routes are needed but the fleet size is ${trucks.length}`);
+  }
+  // Only the unmerged single-stop routes can still be out of reach of their truck
+  if (!fitsFleet(improvedRoutes.map(route => route.load), trucks.map(truck => truck.capacity))) {
+    throw new Error('The demands cannot be split over the fleet without overloading a truck');
+  }
+  
+  const routes = improvedRoutes.map((route, index) => {
+    const truck = trucks[index];
+    if (!isFinite(route.totalDistance)) {
+      throw new Error(`Infeasible route for truck ${truck.vehicle}: missing distances along ${route.tour.join('→')}`);
+    }
+    
+    return {
+      vehicle: truck.vehicle,
+      capacity: truck.capacity,
+      tour: route.tour,
+      load: route.load,
+      utilization: ((route.load / truck.capacity) * 100).toFixed(1),
+      distance: route.totalDistance.toFixed(2),
+      tourSegments: buildTourSegments(route.tour, distances)
+    };
+  }).sort((a, b) => a.vehicle - b.vehicle);
+  
+  const totalDistance = routes.reduce((sum, route) => sum + parseFloat(route.distance), 0);
+  const totalDemand = demands.reduce((sum, d) => sum + d, 0);
+  
+  return {
+    type: 'vrp',
+    routes,
+    distance: totalDistance.toFixed(2),
+    totalDemand,
+    vehiclesUsed: routes.length,
+    fleetSize: vehicleCapacities.length,
+    savingsMerges: savingsResult.merges,
+    cityPositions,
+    numCities: cities,
+    demands,
+    distanceMatrix: distances
+  };
+}
+
+export default vehicleRouting;
@@ -0,0 +1,125 @@
+import { parseDemands, parseCapacities, clarkeWright, vehicleRouting } from './VehicleRouting';
+import { generateCityPositions } from './TSP';
+
+// Every customer on exactly one route, each route starting and ending at the depot
+const expectCoversCustomers = (routes, n) => {
+  routes.forEach(route => {
+    expect(route.tour[0]).toBe(0);
+    expect(route.tour[route.tour.length - 1]).toBe(0);
+  });
+  const visited = routes.flatMap(route => route.tour.slice(1, -1)).sort((a, b) => a - b);
+  expect(visited).toEqual(Array.from({ length: n - 1 }, (_, i) => i + 1));
+};
+
+describe('input parsing', () => {
+  test('reads demands and ignores the depot', () => {
+    expect(parseDemands('1:10, 2:15, 0:99', 4)).toEqual([0, 10, 15, 0]);
+  });
+  
+  test('rejects bad demands', () => {
+    expect(() => parseDemands('1-10', 3)).toThrow('Invalid demand format');
+    expect(() => parseDemands('5:10', 3)).toThrow('Location 5 is out of range (0-2)');
+    expect(() => parseDemands('1:-2', 3)).toThrow('cannot be negative');
+  });
+  
+  test('reads truck capacities', () => {
+    expect(parseCapacities('40, 40, 30')).toEqual([40, 40, 30]);
+    expect(() => parseCapacities('40, 0')).toThrow('positive numbers');
+    expect(() => parseCapacities('')).toThrow('positive numbers');
+  });
+});
+
+describe('Clarke-Wright savings', () => {
+  // Customers 1 and 2 sit close together, far from the depot
+  const line = [
+    [0, 10, 11],
+    [10, 0, 1],
+    [11, 1, 0]
+  ];
+  
+  test('merges routes on a symmetric matrix', () => {
+    const { routes, merges } = clarkeWright(line, [0, 5, 5], [20]);
+    
+    expect(merges).toBe(1);
+    expect(routes).toHaveLength(1);
+    expect(routes[0].load).toBe(10);
+  });
+  
+  test('only joins the end of one route to the start of another on an asymmetric matrix', () => {
+    // 2 → 1 is cheap, 1 → 2 is not, so the merged route must visit 2 first
+    const oneWay = [
+      [0, 10, 10],
+      [10, 0, 50],
+      [10, 1, 0]
+    ];
+    const { routes } = clarkeWright(oneWay, [0, 5, 5], [20]);
+    
+    expect(routes).toEqual([{ stops: [2, 1], load: 10 }]);
+  });
+  
+  test('keeps routes apart when the merged load fits no truck', () => {
+    const { routes, merges } = clarkeWright(line, [0, 15, 15], [20, 20]);
+    
+    expect(merges).toBe(0);
+    expect(routes).toHaveLength(2);
+  });
+  
+  test('does not merge into a load the rest of the fleet can no longer carry', () => {
+    // Joining 1 and 2 (load 14) takes the large truck and leaves 3 (load 6) for the small one
+    const distances = [
+      [0, 10, 10, 10],
+      [10, 0, 1, 30],
+      [10, 1, 0, 2],
+      [10, 30, 2, 0]
+    ];
+    const { routes } = clarkeWright(distances, [0, 10, 4, 6], [20, 5]);
+    
+    expect(routes.map(route => route.load).sort((a, b) => b - a)).toEqual([16, 4]);
+  });
+  
+  test('rejects a demand larger than every truck', () => {
+    expect(() => clarkeWright(line, [0, 25, 5], [20, 10])).toThrow('Demand of location 1 (25) exceeds the largest truck capacity (20)');
+  });
+});
+
+describe('vehicle routing', () => {
+  const cityPositions = generateCityPositions(6, 600, 400, 3);
+  
+  test('respects every truck capacity', () => {
+    const demands = [0, 10, 15, 20, 5, 12];
+    const result = vehicleRouting(6, demands, [30, 25, 20], cityPositions);
+    
+    expectCoversCustomers(result.routes, 6);
+    result.routes.forEach(route => {
+      const load = route.tour.slice(1, -1).reduce((sum, city) => sum + demands[city], 0);
+      expect(route.load).toBe(load);
+      expect(route.load).toBeLessThanOrEqual(route.capacity);
+    });
+    expect(result.totalDemand).toBe(62);
+  });
+  
+  test('finds a plan for a mixed fleet', () => {
+    const result = vehicleRouting(4, [0, 10, 6, 4], [5, 20], generateCityPositions(4, 600, 400, 3));
+    
+    expectCoversCustomers(result.routes, 4);
+    result.routes.forEach(route => expect(route.load).toBeLessThanOrEqual(route.capacity));
+  });
+  
+  test('reports a fleet that is too small', () => {
+    expect(() => vehicleRouting(6, [0, 10, 10, 10, 10, 10], [10, 10], cityPositions))
+      .toThrow('5 routes are needed but the fleet size is 2');
+  });
+  
+  test('reports a demand no truck can carry', () => {
+    expect(() => vehicleRouting(6, [0, 50, 10, 10, 10, 10], [40, 40], cityPositions))
+      .toThrow('exceeds the largest truck capacity (40)');
+  });
+  
+  test('never charges the depot a demand', () => {
+    const demands = parseDemands('0:100, 1:10, 2:10, 3:10, 4:10, 5:10', 6);
+    const result = vehicleRouting(6, demands, [50], cityPositions);
+    
+    expect(result.routes).toHaveLength(1);
+    expect(result.routes[0].load).toBe(50);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * 0/1 Knapsack Algorithm
+ * Each box is either loaded whole or left behind (no splitting)
+ * Uses Dynamic Programming when weights are integers, Branch and Bound otherwise
+ */
+
+import { fractionalKnapsack } from './FractionalKnapsack';
+
+// Largest DP table (items x capacity) before falling back to branch and bound
+export const MAX_DP_CELLS = 5000000;
+
+/**
+ * Dynamic Programming for integer weights
+ * best[i][c] is the highest profit using the first i boxes within capacity c
+ * @param {Array} boxes - Normalized boxes with integer weights
+ * @param {number} capacity - Integer truck capacity
+ * @returns {Array<boolean>} Whether each box is taken
+ */
+function knapsackDP(boxes, capacity) {
+  const n = boxes.length;
+  const best = Array(n + 1).fill(null).map(() => new Float64Array(capacity + 1));
+  
+  for (let i = 1; i <= n; i++) {
+    const { weight, profit } = boxes[i - 1];
+    for (let c = 0; c <= capacity; c++) {
+      best[i][c] = best[i - 1][c];
+      if (weight <= c && best[i - 1][c - weight] + profit > best[i][c]) {
+        best[i][c] = best[i - 1][c - weight] + profit;
+      }
+    }
+  }
+  
+  // Walk the table backwards to recover the chosen boxes
+  const taken = Array(n).fill(false);
+  let c = capacity;
+  for (let i = n; i >= 1; i--) {
+    if (best[i][c] !== best[i - 1][c]) {
+      taken[i - 1] = true;
+      c -= boxes[i - 1].weight;
+    }
+  }
+  
+  return taken;
+}
+
+/**
+ * Branch and Bound for real-valued weights
+ * Explores take/skip decisions in ratio order and prunes any branch whose
+ * fractional (LP relaxation) bound cannot beat the best profit found so far
+ * @param {Array} boxes - Normalized boxes
+ * @param {number} capacity - Truck capacity
+ * @returns {Array<boolean>} Whether each box is taken
+ */
+function knapsackBranchAndBound(boxes, capacity) {
+  const n = boxes.length;
+  
+  // Visit boxes by decreasing ratio so the bound is tight
+  const order = boxes.map((_, i) => i).sort((a, b) => boxes[b].ratio - boxes[a].ratio);
+  
+  let bestProfit = -1;
+  let bestTaken = Array(n).fill(false);
+  const taken = Array(n).fill(false);
+  
+  const bound = (depth, remaining, profit) => {
+    let total = profit;
+    for (let k = depth; k < n && remaining > 0; k++) {
+      const box = boxes[order[k]];
+      if (box.weight <= remaining) {
+        total += box.profit;
+        remaining -= box.weight;
+      } else {
+        total += box.profit * (remaining / box.weight);
+        remaining = 0;
+      }
+    }
+    return total;
+  };
+  
+  const search = (depth, remaining, profit) => {
+    if (profit > bestProfit) {
+      bestProfit = profit;
+      bestTaken = taken.slice();
+    }
+    if (depth === n || bound(depth, remaining, profit) <= bestProfit) return;
+    
+    const index = order[depth];
+    const box = boxes[index];
+    
+    // Take branch first: it usually finds good solutions early
+    if (box.weight <= remaining) {
+      taken[index] = true;
+      search(depth + 1, remaining - box.weight, profit + box.profit);
+      taken[index] = false;
+    }
+    search(depth + 1, remaining, profit);
+  };
+  
+  search(0, capacity, 0);
+  return bestTaken;
+}
+
+/**
+ * Execute 0/1 Knapsack Algorithm
+ * @param {Array} boxes - Original boxes array with weight and profit
+ * @param {number} truckCapacity - Maximum capacity of truck
+ * @returns {Object} Same shape as fractionalKnapsack(); every selected box has fraction 1
+ */
+export function zeroOneKnapsack(boxes, truckCapacity) {
+  const temp = boxes.map((box, index) => ({
+    index: box.index !== undefined ? box.index : index,
+    weight: parseFloat(box.weight),
+    profit: parseFloat(box.profit),
+    name: box.name || `Box ${index}`,
+    ratio: box.weight > 0 ? parseFloat(box.profit) / parseFloat(box.weight) : Infinity
+  }));
+  
+  const capacity = parseFloat(truckCapacity);
+  if (!isFinite(capacity) || capacity <= 0) {
+    throw new Error('Truck capacity must be a positive number');
+  }
+  
+  const integerWeights = temp.every(box => Number.isInteger(box.weight) && box.weight >= 0);
+  const dpCapacity = Math.floor(capacity);
+  const useDP = integerWeights && (temp.length + 1) * (dpCapacity + 1) <= MAX_DP_CELLS;
+  
+  const taken = useDP ? knapsackDP(temp, dpCapacity) : knapsackBranchAndBound(temp, capacity);
+  
+  let totalProfit = 0;
+  let usedCapacity = 0;
+  const selectedBoxes = [];
+  const rejectedBoxes = [];
+  
+  temp.forEach((box, i) => {
+    if (taken[i]) {
+      totalProfit += box.profit;
+      usedCapacity += box.weight;
+      selectedBoxes.push({ ...box, fraction: 1.0, takenWeight: box.weight, takenProfit: box.profit });
+    } else {
+      rejectedBoxes.push({ ...box, fraction: 0, takenWeight: 0, takenProfit: 0 });
+    }
+  });
+  
+  // Load the most valuable boxes per kg first, matching the ratio approach
+  selectedBoxes.sort((a, b) => b.ratio - a.ratio);
+  
+  const efficiency = usedCapacity > 0 ? totalProfit / usedCapacity : 0;
+  
+  return {
+    type: 'knapsack',
+    totalProfit: totalProfit.toFixed(2),
+    selectedBoxes,
+    rejectedBoxes,
+    usedCapacity,
+    remainingCapacity: capacity - usedCapacity,
+    capacity,
+    efficiency: efficiency.toFixed(2),
+    approachName: useDP ? '0/1 (Dynamic Programming)' : '0/1 (Branch and Bound)',
+    method: useDP ? 'dynamic-programming' : 'branch-and-bound'
+  };
+}
+
+/**
+ * Compare the fractional optimum with the 0/1 optimum on the same boxes
+ * The fractional value is always an upper bound on the 0/1 value
+ * @param {Array} boxes - Original boxes array with weight and profit
+ * @param {number} truckCapacity - Maximum capacity of truck
+ * @returns {Object} Both values, the absolute gap and the gap in percent
+ */
+export function knapsackValueGap(boxes, truckCapacity) {
+  const fractionalValue = parseFloat(fractionalKnapsack(boxes, 3, truckCapacity).totalProfit);
+  const zeroOneValue = parseFloat(zeroOneKnapsack(boxes, truckCapacity).totalProfit);
+  const gap = fractionalValue - zeroOneValue;
+  
+  return {
+    fractionalValue: fractionalValue.toFixed(2),
+    zeroOneValue: zeroOneValue.toFixed(2),
+    gap: gap.toFixed(2),
+    gapPercent: fractionalValue > 0 ? ((gap / fractionalValue) * 100).toFixed(2) : '0.00'
+  };
+}
+
+export default zeroOneKnapsack;
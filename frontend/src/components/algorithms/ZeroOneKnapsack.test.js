@@ -0,0 +1,88 @@
+import { zeroOneKnapsack, knapsackValueGap, MAX_DP_CELLS } from './ZeroOneKnapsack';
+import { createRandom } from './TSP';
+
+// Best total profit over every subset of boxes
+const bruteForce = (boxes, capacity) => {
+  let best = 0;
+  for (let mask = 0; mask < 1 << boxes.length; mask++) {
+    let weight = 0;
+    let profit = 0;
+    boxes.forEach((box, i) => {
+      if (mask & (1 << i)) {
+        weight += box.weight;
+        profit += box.profit;
+      }
+    });
+    if (weight <= capacity) best = Math.max(best, profit);
+  }
+  return best;
+};
+
+const randomBoxes = (count, seed) => {
+  const random = createRandom(seed);
+  return Array.from({ length: count }, (_, i) => ({
+    weight: 1 + Math.floor(random() * 20),
+    profit: 1 + Math.floor(random() * 50),
+    name: `Box ${i}`
+  }));
+};
+
+describe('0/1 knapsack', () => {
+  test('finds the textbook optimum', () => {
+    const boxes = [
+      { weight: 10, profit: 60 },
+      { weight: 20, profit: 100 },
+      { weight: 30, profit: 120 }
+    ];
+    const result = zeroOneKnapsack(boxes, 50);
+    
+    expect(result.method).toBe('dynamic-programming');
+    expect(result.totalProfit).toBe('220.00');
+    expect(result.selectedBoxes.every(box => box.fraction === 1)).toBe(true);
+    expect(result.usedCapacity).toBe(50);
+  });
+  
+  test.each([1, 2, 3, 4, 5, 6, 7, 8])('dynamic programming and branch and bound agree on random instance %i', (seed) => {
+    const boxes = randomBoxes(10, seed);
+    const capacity = 10 + seed * 6;
+    const optimum = bruteForce(boxes, capacity);
+    
+    const dp = zeroOneKnapsack(boxes, capacity);
+    expect(dp.method).toBe('dynamic-programming');
+    expect(parseFloat(dp.totalProfit)).toBe(optimum);
+    expect(dp.usedCapacity).toBeLessThanOrEqual(capacity);
+    
+    // Halving the weights and the capacity keeps the optimum but makes odd weights fractional,
+    // which forces branch and bound on the same instance
+    const halved = boxes.map(box => ({ ...box, weight: box.weight / 2 }));
+    const bb = zeroOneKnapsack(halved, capacity / 2);
+    expect(bb.method).toBe('branch-and-bound');
+    expect(bb.totalProfit).toBe(dp.totalProfit);
+  });
+  
+  test('switches to branch and bound once the DP table would be too large', () => {
+    const boxes = randomBoxes(4, 9).map(box => ({ ...box, weight: box.weight * 100000 }));
+    // (items + 1) x (capacity + 1) cells
+    const largestDpCapacity = MAX_DP_CELLS / (boxes.length + 1) - 1;
+    
+    const dp = zeroOneKnapsack(boxes, largestDpCapacity);
+    const bb = zeroOneKnapsack(boxes, largestDpCapacity + 1);
+    
+    expect(dp.method).toBe('dynamic-programming');
+    expect(bb.method).toBe('branch-and-bound');
+    expect(parseFloat(dp.totalProfit)).toBe(bruteForce(boxes, largestDpCapacity));
+    expect(parseFloat(bb.totalProfit)).toBe(bruteForce(boxes, largestDpCapacity + 1));
+  });
+  
+  test.each([0, -5, NaN, Infinity, 'abc'])('rejects a capacity of %p', (capacity) => {
+    expect(() => zeroOneKnapsack(randomBoxes(3, 1), capacity)).toThrow('Truck capacity must be a positive number');
+  });
+  
+  test('never beats the fractional optimum', () => {
+    const boxes = randomBoxes(8, 4);
+    const gap = knapsackValueGap(boxes, 40);
+    
+    expect(parseFloat(gap.gap)).toBeGreaterThanOrEqual(0);
+    expect(parseFloat(gap.zeroOneValue)).toBe(bruteForce(boxes, 40));
+  });
+});
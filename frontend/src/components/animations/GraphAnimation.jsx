@@ -0,0 +1,123 @@
+import { motion } from 'framer-motion';
+import { Truck } from 'lucide-react';
+
+// Road Graph Animation Component
+export default function GraphAnimation({ positions, edges, path, currentStep }) {
+  const width = 600;
+  const height = 400;
+  const nodeRadius = 16;
+  
+  const pathIndex = (from, to) => {
+    for (let i = 0; i < path.length - 1; i++) {
+      if (path[i] === from && path[i + 1] === to) return i;
+    }
+    return -1;
+  };
+  
+  const current = positions[path[Math.min(currentStep, path.length - 1)]];
+  
+  return (
+    <div className="relative h-full w-full bg-gradient-to-br from-slate-50 to-slate-100 rounded-2xl shadow-md p-4">
+      <svg width="100%" height="100%" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="xMidYMid meet">
+        <defs>
+          {['idle', 'path', 'visited'].map(kind => (
+            <marker
+              key={kind}
+              id={`arrow-${kind}`}
+              viewBox="0 0 10 10"
+              refX="10"
+              refY="5"
+              markerWidth="6"
+              markerHeight="6"
+              orient="auto-start-reverse"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={kind === 'visited' ? '#22c55e' : kind === 'path' ? '#3b82f6' : '#94a3b8'} />
+            </marker>
+          ))}
+        </defs>
+        
+        {/* One-way roads, bent slightly so opposite directions stay apart */}
+        {edges.map((edge, idx) => {
+          if (edge.from === edge.to) return null;
+          const from = positions[edge.from];
+          const to = positions[edge.to];
+          const dx = to.x - from.x;
+          const dy = to.y - from.y;
+          const length = Math.sqrt(dx * dx + dy * dy) || 1;
+          const ux = dx / length;
+          const uy = dy / length;
+          
+          const startX = from.x + ux * nodeRadius;
+          const startY = from.y + uy * nodeRadius;
+          const endX = to.x - ux * (nodeRadius + 2);
+          const endY = to.y - uy * (nodeRadius + 2);
+          const controlX = (from.x + to.x) / 2 - uy * 20;
+          const controlY = (from.y + to.y) / 2 + ux * 20;
+          
+          const index = pathIndex(edge.from, edge.to);
+          const kind = index === -1 ? 'idle' : index < currentStep ? 'visited' : 'path';
+          
+          return (
+            <g key={`road-${idx}`}>
+              <path
+                d={`M ${startX} ${startY} Q ${controlX} ${controlY} ${endX} ${endY}`}
+                fill="none"
+                stroke={kind === 'visited' ? '#22c55e' : kind === 'path' ? '#3b82f6' : '#cbd5e1'}
+                strokeWidth={kind === 'idle' ? 2 : 4}
+                markerEnd={`url(#arrow-${kind})`}
+              />
+              <text
+                x={controlX}
+                y={controlY}
+                textAnchor="middle"
+                fill={edge.cost < 0 ? '#dc2626' : kind === 'idle' ? '#64748b' : '#1e40af'}
+                fontSize="12"
+                fontWeight={kind === 'idle' ? '500' : '700'}
+                style={{ paintOrder: 'stroke', stroke: 'white', strokeWidth: 3 }}
+              >
+                {edge.cost}
+              </text>
+            </g>
+          );
+        })}
+        
+        {/* Junctions */}
+        {positions.map((pos, v) => {
+          const onPath = path.includes(v);
+          const isEnd = v === path[0] || v === path[path.length - 1];
+          
+          return (
+            <g key={`junction-${v}`}>
+              <circle
+                cx={pos.x}
+                cy={pos.y}
+                r={nodeRadius}
+                fill={isEnd ? '#10b981' : onPath ? '#3b82f6' : '#e2e8f0'}
+                stroke={isEnd ? '#059669' : onPath ? '#2563eb' : '#94a3b8'}
+                strokeWidth="3"
+              />
+              <text x={pos.x} y={pos.y + 5} textAnchor="middle" fill={onPath || isEnd ? 'white' : '#475569'} fontSize="14" fontWeight="700">
+                {v}
+              </text>
+            </g>
+          );
+        })}
+        
+        {/* Animated Truck */}
+        <motion.g
+          animate={{ x: current.x, y: current.y }}
+          transition={{ duration: 0.8, ease: 'easeInOut' }}
+        >
+          <circle cx="0" cy="0" r="24" fill="#3b82f6" opacity="0.2" />
+          <text x="0" y="-18" textAnchor="middle" fontSize="28">🚚</text>
+        </motion.g>
+      </svg>
+      
+      <div className="absolute top-4 right-4 bg-white/90 backdrop-blur-sm px-4 py-2 rounded-lg shadow-lg border border-slate-200">
+        <div className="text-xs font-medium text-slate-600">
+          Junction {path[Math.min(currentStep, path.length - 1)]} | Step {Math.min(currentStep + 1, path.length)}/{path.length}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { motion } from 'framer-motion';
+import { Truck, Package } from 'lucide-react';
+import { ROUTE_COLORS } from '@/lib/display';
+
+// Knapsack Animation Component
+export default function KnapsackAnimation({ packages, currentStep, bays = null, trace = null, traceStep = null, allPackages = null }) {
+  const loadedPackages = packages.slice(0, currentStep + 1);
+  
+  // Greedy decisions are replayed first: packages line up in sorted order, then get loaded one by one
+  if (trace && traceStep !== null) {
+    const traceEvent = trace[traceStep];
+    const seen = trace.slice(0, traceStep + 1);
+    const queue = seen.filter(event => event.type === 'sort');
+    const loaded = {};
+    seen.forEach(event => {
+      if (event.type === 'take' || event.type === 'partial') {
+        loaded[event.index] = event.fraction;
+      }
+    });
+    const nameOf = index => (allPackages && allPackages[index] ? allPackages[index].name : `Package ${index}`);
+    
+    return (
+      <div className="p-6 h-full flex flex-col">
+        <div className="text-center mb-4">
+          <div className="text-4xl mb-2">🧮</div>
+          <p className="text-sm font-semibold">{traceEvent.message}</p>
+          <p className="text-xs text-muted-foreground mt-1">Decision {traceStep + 1} of {trace.length}</p>
+        </div>
+        
+        <div className="space-y-2 max-h-[320px] overflow-y-auto">
+          {queue.map(({ index, position }) => {
+            const isCurrent = traceEvent.index === index;
+            const fraction = loaded[index];
+            
+            return (
+              <motion.div
+                key={index}
+                initial={{ opacity: 0, x: -30 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ duration: 0.3 }}
+                className={`flex items-center justify-between p-2 rounded-lg border-2 text-sm ${
+                  isCurrent
+                    ? 'border-[#f59e0b] bg-[#f59e0b]/10'
+                    : fraction === 1
+                    ? 'border-[hsl(var(--accent))] bg-[hsl(var(--accent))]/20'
+                    : fraction !== undefined
+                    ? 'border-[hsl(var(--warning))] bg-[hsl(var(--warning))]/20'
+                    : 'border-border bg-background/60'
+                }`}
+              >
+                <span className="font-medium">
+                  <span className="text-muted-foreground font-mono mr-2">#{position + 1}</span>
+                  📦 {nameOf(index)}
+                </span>
+                <span className="text-xs font-semibold">
+                  {fraction === undefined ? 'waiting' : `${(fraction * 100).toFixed(0)}% loaded`}
+                </span>
+              </motion.div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+  
+  // Fleet loading: one bay per truck, filled in loading order
+  if (bays) {
+    return (
+      <div className="p-4 h-full overflow-y-auto">
+        <div className={`grid gap-3 ${bays.length > 2 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+          {bays.map((bay, b) => {
+            const bayPackages = loadedPackages.filter(pkg => pkg.vehicle === bay.vehicle);
+            const bayLoad = bayPackages.reduce((sum, pkg) => sum + pkg.takenWeight, 0);
+            const fill = (bayLoad / bay.capacity) * 100;
+            
+            return (
+              <div key={bay.vehicle} className="p-2 rounded-lg border-2 bg-background/60" style={{ borderColor: ROUTE_COLORS[b % ROUTE_COLORS.length] }}>
+                <div className="flex justify-between items-center text-xs font-semibold mb-1">
+                  <span>🚚 Truck {bay.vehicle}</span>
+                  <span className="font-mono">{bayLoad.toFixed(1)}/{bay.capacity}kg</span>
+                </div>
+                <div className="h-1.5 bg-muted rounded-full overflow-hidden mb-2">
+                  <motion.div
+                    className="h-full"
+                    style={{ backgroundColor: ROUTE_COLORS[b % ROUTE_COLORS.length] }}
+                    animate={{ width: `${Math.min(100, fill)}%` }}
+                    transition={{ duration: 0.3 }}
+                  />
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {bayPackages.map(pkg => (
+                    <motion.div
+                      key={pkg.id}
+                      initial={{ opacity: 0, scale: 0.5, y: -20 }}
+                      animate={{ opacity: 1, scale: 1, y: 0 }}
+                      transition={{ duration: 0.4, type: 'spring', stiffness: 300 }}
+                      className="px-1.5 py-0.5 rounded bg-[hsl(var(--accent))]/20 border border-[hsl(var(--accent))] text-[10px]"
+                      title={`${pkg.name}: ${pkg.takenWeight}kg`}
+                    >
+                      📦 {pkg.name} · {pkg.takenWeight}kg
+                    </motion.div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <div className="p-6 h-full flex flex-col justify-center">
+      <div className="text-center mb-6">
+        <div className="text-6xl mb-4">🚚</div>
+        <p className="text-sm text-muted-foreground">Loading packages...</p>
+      </div>
+      
+      <div className="grid grid-cols-3 gap-3 max-h-[320px] overflow-y-auto">
+        {loadedPackages.map((pkg, index) => (
+          <motion.div
+            key={pkg.id}
+            initial={{ opacity: 0, scale: 0.5, y: -50 }}
+            animate={{ opacity: 1, scale: 1, y: 0 }}
+            transition={{ 
+              duration: 0.5, 
+              delay: index * 0.1,
+              type: 'spring',
+              stiffness: 300
+            }}
+            className={`p-3 rounded-lg border-2 ${
+              pkg.fraction === 1
+                ? 'bg-[hsl(var(--accent))]/20 border-[hsl(var(--accent))]'
+                : 'bg-[hsl(var(--warning))]/20 border-[hsl(var(--warning))]'
+            }`}
+          >
+            <div className="text-2xl mb-1">📦</div>
+            <div className="text-xs font-semibold truncate" title={pkg.name}>
+              {pkg.name || `Package ${pkg.id}`}
+            </div>
+            <div className="text-xs text-muted-foreground mt-1">
+              {pkg.takenWeight.toFixed(1)}kg
+            </div>
+            <div className="text-xs font-medium text-green-600">
+              ${pkg.takenValue ? pkg.takenValue.toFixed(0) : pkg.value}
+            </div>
+            {pkg.fraction < 1 && (
+              <div className="text-xs font-medium text-[hsl(var(--warning))] mt-1">
+                {(pkg.fraction * 100).toFixed(0)}%
+              </div>
+            )}
+          </motion.div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,303 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { Truck } from 'lucide-react';
+
+// Multi-Stage Graph Visualization with Animated Truck
+export default function MultiStageAnimation({ path: bestPath, alternatives = [], highlightedPath = null, onRouteSwitch, timeMatrix = null, stages, totalVertices, stageVertices, costMatrix, currentStep, trace = null, traceStep = null }) {
+  // The choice is remembered together with the routes it was made for,
+  // so a new result (a new alternatives array) starts on the best route again
+  const [routeChoice, setRouteChoice] = useState({ alternatives: null, index: 0 });
+  const selectedAlternative = routeChoice.alternatives === alternatives ? routeChoice.index : 0;
+  // A path picked on the Pareto chart takes precedence over the ranked routes
+  const path = highlightedPath || alternatives[selectedAlternative]?.path || bestPath;
+  
+  if (!path || !stageVertices || !costMatrix) {
+    return (
+      <div className="flex items-center justify-center h-full">
+        <p className="text-muted-foreground">Loading graph...</p>
+      </div>
+    );
+  }
+  
+  const width = 1100;
+  const height = 450;
+  const padding = 100;
+  const stageWidth = stages > 1 ? (width - 2 * padding) / (stages - 1) : 0;
+  
+  // Shrink nodes when the busiest stage would make them overlap
+  const busiestStage = Math.max(...stageVertices.map(stageNodes => stageNodes.length));
+  const nodeScale = Math.min(1, (height - 2 * padding) / (busiestStage + 1) / 60);
+  
+  const nodePositions = {};
+  
+  stageVertices.forEach((stageNodes, stageIndex) => {
+    const nodesInStage = stageNodes.length;
+    const verticalSpacing = nodesInStage > 1 ? (height - 2 * padding) / (nodesInStage + 1) : height / 2;
+    
+    stageNodes.forEach((nodeId, nodeIndex) => {
+      nodePositions[nodeId] = {
+        x: padding + stageIndex * stageWidth,
+        y: nodesInStage > 1 ? padding + (nodeIndex + 1) * verticalSpacing : height / 2,
+      };
+    });
+  });
+  
+  const edges = [];
+  for (let i = 0; i < totalVertices; i++) {
+    for (let j = 0; j < totalVertices; j++) {
+      if (costMatrix[i][j] !== Infinity && costMatrix[i][j] > 0) {
+        edges.push({ from: i, to: j, cost: costMatrix[i][j] });
+      }
+    }
+  }
+  
+  // Edges of the routes not currently selected, drawn faintly
+  const alternativeEdges = new Set(
+    alternatives
+      .filter((_, idx) => highlightedPath || idx !== selectedAlternative)
+      .flatMap(alt => alt.path.slice(1).map((v, i) => `${alt.path[i]}-${v}`))
+  );
+  
+  const isEdgeInPath = (from, to) => {
+    for (let i = 0; i < path.length - 1; i++) {
+      if (path[i] === from && path[i + 1] === to) return { inPath: true, index: i };
+    }
+    return { inPath: false, index: -1 };
+  };
+  
+  // Get current truck position
+  const currentNodeId = currentStep < path.length ? path[currentStep] : path[path.length - 1];
+  const currentPos = nodePositions[currentNodeId] || { x: padding, y: height / 2 };
+  
+  // Backward cost decisions so far: best cost and choice per vertex
+  const tracing = trace && traceStep !== null;
+  const traceEvent = tracing ? trace[traceStep] : null;
+  const tracedCost = {};
+  const tracedDecision = {};
+  if (tracing) {
+    for (const event of trace.slice(0, traceStep + 1)) {
+      if (event.type === 'init' || event.type === 'update' || event.type === 'settle') {
+        tracedCost[event.vertex] = event.cost;
+      }
+      if (event.type === 'update') {
+        tracedDecision[event.vertex] = event.via;
+      }
+    }
+  }
+  const isTraceEdge = (from, to) =>
+    traceEvent && traceEvent.vertex !== undefined && (
+      (traceEvent.type === 'path' ? traceEvent.via === from && traceEvent.vertex === to : traceEvent.vertex === from && traceEvent.via === to)
+    );
+  
+  return (
+    <div className="relative h-full w-full overflow-hidden bg-gradient-to-br from-slate-50 to-slate-100 rounded-2xl shadow-md p-4">
+      <svg width="100%" height="100%" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="xMidYMid meet">
+        
+        {/* Stage separators + labels */}
+        {stageVertices.map((_, stageIndex) => {
+          const x = padding + stageIndex * stageWidth;
+          return (
+            <g key={`stage-${stageIndex}`}>
+              <line
+                x1={x}
+                y1={60}
+                x2={x}
+                y2={height - 40}
+                stroke="rgba(148,163,184,0.15)"
+                strokeWidth="2"
+                strokeDasharray="4 4"
+              />
+              <text
+                x={x}
+                y={40}
+                textAnchor="middle"
+                fill="#475569"
+                fontSize="14"
+                fontWeight="600"
+              >
+                Stage {stageIndex}
+              </text>
+            </g>
+          );
+        })}
+        
+        {/* Edges */}
+        {edges.map((edge, idx) => {
+          const fromPos = nodePositions[edge.from];
+          const toPos = nodePositions[edge.to];
+          if (!fromPos || !toPos) return null;
+          
+          // While tracing the final path is not known yet
+          const pathInfo = tracing ? { inPath: false, index: -1 } : isEdgeInPath(edge.from, edge.to);
+          const isInPath = pathInfo.inPath;
+          const isVisited = isInPath && pathInfo.index < currentStep;
+          const isAlternative = !tracing && !isInPath && alternativeEdges.has(`${edge.from}-${edge.to}`);
+          const isTraced = tracing && isTraceEdge(edge.from, edge.to);
+          const isDecision = tracing && tracedDecision[edge.from] === edge.to;
+          const midX = (fromPos.x + toPos.x) / 2;
+          const midY = (fromPos.y + toPos.y) / 2;
+          
+          return (
+            <g key={`edge-${idx}`}>
+              <line
+                x1={fromPos.x}
+                y1={fromPos.y}
+                x2={toPos.x}
+                y2={toPos.y}
+                stroke={isTraced ? "#f59e0b" : isDecision ? "#8b5cf6" : isVisited ? "#22c55e" : isInPath ? "#3b82f6" : isAlternative ? "#93c5fd" : "#cbd5e1"}
+                strokeWidth={isTraced ? 5 : isDecision ? 3 : isVisited ? 5 : isInPath ? 4 : isAlternative ? 3 : 2}
+                strokeDasharray={isAlternative ? "8 5" : undefined}
+                opacity={isTraced || isDecision ? 1 : isVisited ? 1 : isInPath ? 0.95 : isAlternative ? 0.7 : 0.5}
+                strokeLinecap="round"
+              />
+              <text
+                x={midX}
+                y={midY - 6}
+                textAnchor="middle"
+                fill={isVisited ? "#16a34a" : isInPath ? "#1e40af" : "#64748b"}
+                fontSize="12"
+                fontWeight={isInPath ? "700" : "500"}
+                style={{ paintOrder: "stroke", stroke: "white", strokeWidth: 3 }}
+              >
+                {timeMatrix ? `${edge.cost}/${timeMatrix[edge.from][edge.to]}` : edge.cost}
+              </text>
+            </g>
+          );
+        })}
+        
+        {/* Nodes */}
+        {Object.entries(nodePositions).map(([nodeId, pos]) => {
+          const id = parseInt(nodeId);
+          const isInPath = path.includes(id);
+          const isSource = id === 0;
+          const isDestination = id === totalVertices - 1;
+          
+          let fillColor = "#e2e8f0";
+          let strokeColor = "#94a3b8";
+          let radius = 22 * nodeScale;
+          
+          if (isSource || isDestination) {
+            fillColor = "#10b981";
+            strokeColor = "#059669";
+            radius = 28;
+          } else if (isInPath) {
+            fillColor = "#3b82f6";
+            strokeColor = "#2563eb";
+            radius = 25 * nodeScale;
+          }
+          
+          const isVisited = isInPath && path.indexOf(id) <= currentStep;
+          const isTraced = tracing && traceEvent.vertex === id;
+          
+          return (
+            <g key={`node-${nodeId}`}>
+              <circle
+                cx={pos.x}
+                cy={pos.y}
+                r={radius}
+                fill={fillColor}
+                stroke={isTraced ? "#f59e0b" : strokeColor}
+                strokeWidth="3"
+                filter={isInPath ? "drop-shadow(0px 2px 6px rgba(59,130,246,0.4))" : ""}
+                opacity={isVisited ? 1 : isInPath ? 0.7 : 1}
+              />
+              <text
+                x={pos.x}
+                y={pos.y + 5 * nodeScale}
+                textAnchor="middle"
+                fill="white"
+                fontSize={16 * nodeScale}
+                fontWeight="700"
+              >
+                {id + 1}
+              </text>
+              {tracing && tracedCost[id] !== undefined && (
+                <text
+                  x={pos.x}
+                  y={pos.y - radius - 8}
+                  textAnchor="middle"
+                  fill={isTraced ? "#b45309" : "#6d28d9"}
+                  fontSize="12"
+                  fontWeight="700"
+                  style={{ paintOrder: "stroke", stroke: "white", strokeWidth: 3 }}
+                >
+                  {isFinite(tracedCost[id]) ? tracedCost[id] : '∞'}
+                </text>
+              )}
+            </g>
+          );
+        })}
+        
+        {/* Animated Truck */}
+        {!tracing && (
+          <motion.g
+            animate={{ 
+              x: currentPos.x, 
+              y: currentPos.y 
+            }}
+            transition={{ 
+              duration: 0.8, 
+              ease: 'easeInOut'
+            }}
+          >
+            {/* Glow effect */}
+            <circle 
+              cx="0" 
+              cy="0" 
+              r="35" 
+              fill="#3b82f6" 
+              opacity="0.2"
+            />
+            <circle 
+              cx="0" 
+              cy="0" 
+              r="25" 
+              fill="#3b82f6" 
+              opacity="0.3"
+            />
+            {/* Truck emoji */}
+            <text 
+              x="0" 
+              y="10" 
+              textAnchor="middle" 
+              fontSize="40"
+              style={{ filter: 'drop-shadow(0 4px 8px rgba(0,0,0,0.3))' }}
+            >
+              🚚
+            </text>
+          </motion.g>
+        )}
+      </svg>
+      
+      {/* Animation Info */}
+      <div className="absolute top-4 right-4 bg-white/90 backdrop-blur-sm px-4 py-2 rounded-lg shadow-lg border border-slate-200">
+        <div className="text-xs font-medium text-slate-600">
+          {tracing
+            ? `${traceEvent.message} | Decision ${traceStep + 1}/${trace.length}`
+            : `Node ${currentNodeId + 1} of ${totalVertices} | Step ${Math.min(currentStep + 1, path.length)}/${path.length}`}
+        </div>
+      </div>
+      
+      {/* Route switcher */}
+      {alternatives.length > 1 && (
+        <div className="absolute bottom-4 left-4 flex gap-2 bg-white/90 backdrop-blur-sm px-2 py-2 rounded-lg shadow-lg border border-slate-200">
+          {alternatives.map((alt, idx) => (
+            <Button
+              key={`route-${alt.rank}`}
+              type="button"
+              size="sm"
+              variant={!highlightedPath && idx === selectedAlternative ? 'default' : 'outline'}
+              onClick={() => {
+                setRouteChoice({ alternatives, index: idx });
+                onRouteSwitch?.();
+              }}
+            >
+              #{alt.rank} · {alt.cost}
+            </Button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,484 @@
+import { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Truck } from 'lucide-react';
+import { tourAfterMoves } from '@/components/algorithms/TSP';
+import { ROUTE_COLORS, formatDistance } from '@/lib/display';
+
+// TSP Bike Delivery Animation Component
+export default function TruckAnimation({ tour: baseTour, cityPositions, currentStep: step, moves = [], routes = null, trace = null, traceStep = null, editor = null, unit = null }) {
+  const svgRef = useRef(null);
+  const [dragging, setDragging] = useState(null);
+  
+  // Pointer position in canvas coordinates, kept inside the visible area
+  const toCanvasPoint = (event) => {
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return {
+      x: Math.min(580, Math.max(20, point.x)),
+      y: Math.min(280, Math.max(20, point.y))
+    };
+  };
+  
+  
+  // Nearest neighbor decisions are replayed first, building the tour edge by edge
+  const tracing = Boolean(trace) && traceStep !== null;
+  const traceEvent = tracing ? trace[traceStep] : null;
+  const tracedEdges = tracing
+    ? trace.slice(0, traceStep + 1).filter(event => event.type === 'visit' || event.type === 'return')
+    : [];
+  // After the base tour is driven, each further step replays one local search move
+  const moveIndex = routes ? 0 : step - (baseTour.length - 1);
+  const activeMove = moveIndex > 0 ? moves[moveIndex - 1] : null;
+  // In fleet mode (and while tracing) the single-tour layers stay empty and every truck drives its own route in parallel
+  const tour = routes || tracing ? [] : activeMove ? tourAfterMoves(baseTour, moves, moveIndex) : baseTour;
+  const currentStep = routes ? step : Math.min(step, tour.length - 1);
+  const totalSteps = routes ? Math.max(0, ...routes.map(route => route.tour.length)) : baseTour.length + moves.length;
+  const currentCity = tracing
+    ? (traceEvent.type === 'candidate' ? traceEvent.from : traceEvent.city)
+    : tour[currentStep];
+  const pos = cityPositions[currentCity];
+  
+  return (
+    <div className="relative h-full w-full bg-gradient-to-br from-blue-50 via-green-50 to-yellow-50 rounded-2xl shadow-lg pb-24">
+      {editor && (
+        <div className="absolute top-2 left-2 z-10 px-2 py-1 rounded bg-white/80 text-[10px] text-gray-600 shadow-sm pointer-events-none">
+          Click to add · drag to move · right-click to delete · double-click for warehouse
+        </div>
+      )}
+      <svg
+        ref={svgRef}
+        width="100%"
+        height="calc(100% - 96px)"
+        viewBox="0 0 600 300"
+        preserveAspectRatio="xMidYMid meet"
+        className={`overflow-visible ${editor ? 'cursor-crosshair touch-none' : ''}`}
+        onPointerMove={(e) => dragging !== null && editor.onMove(dragging, toCanvasPoint(e))}
+        onPointerUp={() => setDragging(null)}
+        onPointerLeave={() => setDragging(null)}
+      >
+        <defs>
+          {/* Gradient for visited path */}
+          <linearGradient id="pathGradient" x1="0%" y1="0%" x2="100%" y2="0%">
+            <stop offset="0%" style={{ stopColor: '#10b981', stopOpacity: 1 }} />
+            <stop offset="100%" style={{ stopColor: '#3b82f6', stopOpacity: 1 }} />
+          </linearGradient>
+          
+          {/* Drop shadow filter */}
+          <filter id="dropShadow">
+            <feGaussianBlur in="SourceAlpha" stdDeviation="3"/>
+            <feOffset dx="0" dy="2" result="offsetblur"/>
+            <feComponentTransfer>
+              <feFuncA type="linear" slope="0.3"/>
+            </feComponentTransfer>
+            <feMerge>
+              <feMergeNode/>
+              <feMergeNode in="SourceGraphic"/>
+            </feMerge>
+          </filter>
+        </defs>
+        
+        {/* Empty canvas area catches clicks that add a location */}
+        {editor && (
+          <rect
+            x="0"
+            y="0"
+            width="600"
+            height="300"
+            fill="transparent"
+            onClick={(e) => editor.onAdd(toCanvasPoint(e))}
+          />
+        )}
+        
+        {/* Draw all paths (unvisited) */}
+        {tour.slice(0, -1).map((cityIdx, i) => {
+          const from = cityPositions[cityIdx];
+          const to = cityPositions[tour[i + 1]];
+          const isVisited = i < currentStep;
+          
+          if (!isVisited) {
+            return (
+              <line
+                key={`path-${i}`}
+                x1={from.x}
+                y1={from.y}
+                x2={to.x}
+                y2={to.y}
+                stroke="#cbd5e1"
+                strokeWidth="2"
+                strokeDasharray="8,4"
+                opacity="0.4"
+              />
+            );
+          }
+          return null;
+        })}
+        
+        {/* Draw visited paths with animation */}
+        {tour.slice(0, -1).map((cityIdx, i) => {
+          const from = cityPositions[cityIdx];
+          const to = cityPositions[tour[i + 1]];
+          const isVisited = i < currentStep;
+          
+          if (isVisited) {
+            return (
+              <motion.line
+                key={`visited-${i}`}
+                x1={from.x}
+                y1={from.y}
+                x2={to.x}
+                y2={to.y}
+                stroke="url(#pathGradient)"
+                strokeWidth="4"
+                strokeLinecap="round"
+                initial={{ pathLength: 0, opacity: 0 }}
+                animate={{ pathLength: 1, opacity: 1 }}
+                transition={{ duration: 0.5, ease: 'easeInOut' }}
+                filter="url(#dropShadow)"
+              />
+            );
+          }
+          return null;
+        })}
+        
+        {/* Highlight edges exchanged by the current local search move */}
+        {activeMove && activeMove.removedEdges.map(([from, to], i) => (
+          <line
+            key={`removed-${moveIndex}-${i}`}
+            x1={cityPositions[from].x}
+            y1={cityPositions[from].y}
+            x2={cityPositions[to].x}
+            y2={cityPositions[to].y}
+            stroke="#ef4444"
+            strokeWidth="3"
+            strokeDasharray="6,4"
+            opacity="0.7"
+          />
+        ))}
+        {activeMove && activeMove.addedEdges.map(([from, to], i) => (
+          <motion.line
+            key={`added-${moveIndex}-${i}`}
+            x1={cityPositions[from].x}
+            y1={cityPositions[from].y}
+            x2={cityPositions[to].x}
+            y2={cityPositions[to].y}
+            stroke="#f59e0b"
+            strokeWidth="6"
+            strokeLinecap="round"
+            initial={{ pathLength: 0 }}
+            animate={{ pathLength: 1 }}
+            transition={{ duration: 0.5, ease: 'easeInOut' }}
+          />
+        ))}
+        
+        {/* Tour built so far while tracing, plus the candidate being measured */}
+        {tracedEdges.map((event, i) => (
+          <motion.line
+            key={`traced-${i}`}
+            x1={cityPositions[event.from].x}
+            y1={cityPositions[event.from].y}
+            x2={cityPositions[event.city].x}
+            y2={cityPositions[event.city].y}
+            stroke="url(#pathGradient)"
+            strokeWidth="4"
+            strokeLinecap="round"
+            initial={{ pathLength: 0, opacity: 0 }}
+            animate={{ pathLength: 1, opacity: 1 }}
+            transition={{ duration: 0.5, ease: 'easeInOut' }}
+          />
+        ))}
+        {traceEvent && traceEvent.type === 'candidate' && isFinite(traceEvent.distance) && (
+          <g>
+            <line
+              x1={cityPositions[traceEvent.from].x}
+              y1={cityPositions[traceEvent.from].y}
+              x2={cityPositions[traceEvent.city].x}
+              y2={cityPositions[traceEvent.city].y}
+              stroke="#f59e0b"
+              strokeWidth="3"
+              strokeDasharray="6,4"
+            />
+            <text
+              x={(cityPositions[traceEvent.from].x + cityPositions[traceEvent.city].x) / 2}
+              y={(cityPositions[traceEvent.from].y + cityPositions[traceEvent.city].y) / 2 - 6}
+              textAnchor="middle"
+              fill="#b45309"
+              fontSize="12"
+              fontWeight="700"
+              style={{ paintOrder: 'stroke', stroke: 'white', strokeWidth: 3 }}
+            >
+              {traceEvent.distance.toFixed(1)}
+            </text>
+          </g>
+        )}
+        
+        {/* Fleet routes, one color per truck */}
+        {routes && routes.map((route, r) => {
+          const color = ROUTE_COLORS[r % ROUTE_COLORS.length];
+          
+          return (
+            <g key={`route-${route.vehicle}`}>
+              {route.tour.slice(0, -1).map((cityIdx, i) => {
+                const from = cityPositions[cityIdx];
+                const to = cityPositions[route.tour[i + 1]];
+                
+                return i < step ? (
+                  <motion.line
+                    key={`route-${route.vehicle}-visited-${i}`}
+                    x1={from.x}
+                    y1={from.y}
+                    x2={to.x}
+                    y2={to.y}
+                    stroke={color}
+                    strokeWidth="4"
+                    strokeLinecap="round"
+                    initial={{ pathLength: 0, opacity: 0 }}
+                    animate={{ pathLength: 1, opacity: 1 }}
+                    transition={{ duration: 0.5, ease: 'easeInOut' }}
+                    filter="url(#dropShadow)"
+                  />
+                ) : (
+                  <line
+                    key={`route-${route.vehicle}-path-${i}`}
+                    x1={from.x}
+                    y1={from.y}
+                    x2={to.x}
+                    y2={to.y}
+                    stroke={color}
+                    strokeWidth="2"
+                    strokeDasharray="8,4"
+                    opacity="0.35"
+                  />
+                );
+              })}
+            </g>
+          );
+        })}
+        
+        {/* Draw delivery locations */}
+        {cityPositions.map((pos, idx) => {
+          const isVisited = routes
+            ? routes.some(route => route.tour.slice(0, step + 1).includes(idx))
+            : tracing
+            ? idx === trace[0].city || tracedEdges.some(event => event.city === idx)
+            : tour.slice(0, currentStep + 1).includes(idx);
+          const isStart = idx === 0;
+          const isCurrent = idx === currentCity;
+          
+          return (
+            <g
+              key={`city-${idx}`}
+              className={editor ? 'cursor-move' : ''}
+              onPointerDown={editor ? (e) => {
+                e.preventDefault();
+                setDragging(idx);
+              } : undefined}
+              onContextMenu={editor ? (e) => {
+                e.preventDefault();
+                editor.onDelete(idx);
+              } : undefined}
+              onDoubleClick={editor ? () => editor.onSetWarehouse(idx) : undefined}
+            >
+              {/* Outer glow for current location */}
+              {isCurrent && (
+                <motion.circle
+                  cx={pos.x}
+                  cy={pos.y}
+                  r="25"
+                  fill="#3b82f6"
+                  opacity="0.3"
+                  animate={{ scale: [1, 1.3, 1] }}
+                  transition={{ duration: 1.5, repeat: Infinity, ease: 'easeInOut' }}
+                />
+              )}
+              
+              {/* Location marker */}
+              <circle
+                cx={pos.x}
+                cy={pos.y}
+                r={isStart ? 20 : 16}
+                fill={isVisited ? (isStart ? '#f59e0b' : '#10b981') : '#e5e7eb'}
+                stroke={isVisited ? (isStart ? '#d97706' : '#059669') : '#9ca3af'}
+                strokeWidth="3"
+                filter="url(#dropShadow)"
+              />
+              
+              {/* Location icon */}
+              {isStart ? (
+                <text
+                  x={pos.x}
+                  y={pos.y + 7}
+                  textAnchor="middle"
+                  fontSize="18"
+                  fill="white"
+                >
+                  🏠
+                </text>
+              ) : (
+                <>
+                  <text
+                    x={pos.x}
+                    y={pos.y + 5}
+                    textAnchor="middle"
+                    fill="white"
+                    fontSize="14"
+                    fontWeight="700"
+                  >
+                    {idx}
+                  </text>
+                  {isVisited && !isCurrent && (
+                    <text
+                      x={pos.x}
+                      y={pos.y - 25}
+                      textAnchor="middle"
+                      fontSize="16"
+                    >
+                      ✓
+                    </text>
+                  )}
+                </>
+              )}
+            </g>
+          );
+        })}
+        
+        {/* One truck per fleet route */}
+        {routes && routes.map((route, r) => {
+          const truckPos = cityPositions[route.tour[Math.min(step, route.tour.length - 1)]];
+          
+          return (
+            <motion.g
+              key={`truck-${route.vehicle}`}
+              animate={{ x: truckPos.x, y: truckPos.y }}
+              transition={{ duration: 0.8, ease: 'easeInOut' }}
+            >
+              <circle cx="0" cy="-4" r="16" fill={ROUTE_COLORS[r % ROUTE_COLORS.length]} opacity="0.35" />
+              <text x="0" y="4" textAnchor="middle" fontSize="24">🚚</text>
+            </motion.g>
+          );
+        })}
+        
+        {/* Animated Delivery Bike */}
+        {!routes && (
+          <motion.g
+            style={{ pointerEvents: 'none' }}
+            animate={{ 
+              x: pos.x, 
+              y: pos.y 
+            }}
+            transition={{ 
+              duration: 0.8, 
+              ease: 'easeInOut'
+            }}
+          >
+            {/* Bike shadow */}
+            <ellipse 
+              cx="0" 
+              cy="15" 
+              rx="20" 
+              ry="5" 
+              fill="rgba(0,0,0,0.2)"
+              opacity="0.5"
+            />
+            
+            {/* Delivery box on bike */}
+            <rect
+              x="-8"
+              y="-25"
+              width="16"
+              height="14"
+              fill="#fb923c"
+              stroke="#ea580c"
+              strokeWidth="2"
+              rx="2"
+            />
+            
+            {/* Bike emoji with bounce */}
+            <motion.text 
+              x="0" 
+              y="10" 
+              textAnchor="middle" 
+              fontSize="35"
+              animate={{ y: [10, 7, 10] }}
+              transition={{ duration: 0.6, repeat: Infinity, ease: 'easeInOut' }}
+              style={{ filter: 'drop-shadow(0 4px 8px rgba(0,0,0,0.3))' }}
+            >
+              🚴
+            </motion.text>
+            
+            {/* Speed lines for motion effect */}
+            <motion.line
+              x1="-25"
+              y1="0"
+              x2="-35"
+              y2="0"
+              stroke="#3b82f6"
+              strokeWidth="2"
+              strokeLinecap="round"
+              opacity="0.6"
+              animate={{ x1: [-25, -30], x2: [-35, -40] }}
+              transition={{ duration: 0.3, repeat: Infinity }}
+            />
+            <motion.line
+              x1="-25"
+              y1="-5"
+              x2="-32"
+              y2="-5"
+              stroke="#3b82f6"
+              strokeWidth="2"
+              strokeLinecap="round"
+              opacity="0.4"
+              animate={{ x1: [-25, -28], x2: [-32, -36] }}
+              transition={{ duration: 0.3, repeat: Infinity, delay: 0.1 }}
+            />
+          </motion.g>
+        )}
+      </svg>
+      
+      {/* Delivery Status Info */}
+      <div className="absolute bottom-4 left-4 right-4 bg-white/95 backdrop-blur-sm rounded-xl shadow-lg border-2 border-blue-200 p-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-gradient-to-br from-blue-500 to-green-500 rounded-full flex items-center justify-center text-white font-bold text-lg">
+              {tracing ? traceStep + 1 : step + 1}
+            </div>
+            <div>
+              <div className="text-sm font-semibold text-gray-700">
+                {tracing
+                  ? `🧭 ${traceEvent.message}`
+                  : routes
+                  ? `🚚 ${routes.length} trucks delivering in parallel`
+                  : activeMove
+                  ? `✂️ ${activeMove.type === '2-opt' ? '2-opt' : 'Or-opt'} move ${moveIndex} of ${moves.length}: saved ${formatDistance(activeMove.saved.toFixed(2), unit)}`
+                  : currentStep === 0 ? '🏠 Starting from Warehouse' : currentStep === tour.length - 1 ? '🏠 Returning to Warehouse' : `📍 Delivering to Location ${currentCity}`}
+              </div>
+              <div className="text-xs text-gray-500">
+                {tracing
+                  ? `Decision ${traceStep + 1} of ${trace.length}`
+                  : activeMove
+                  ? `Moved ${(activeMove.type === '2-opt' ? tour.slice(activeMove.start, activeMove.end + 1) : activeMove.segment).join(' → ')} · tour now ${formatDistance(activeMove.distance.toFixed(2), unit)}`
+                  : `Step ${step + 1} of ${totalSteps}`}
+              </div>
+              {routes && (
+                <div className="flex flex-wrap gap-x-3 gap-y-1 mt-1">
+                  {routes.map((route, r) => (
+                    <span key={`legend-${route.vehicle}`} className="flex items-center gap-1 text-xs text-gray-600">
+                      <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: ROUTE_COLORS[r % ROUTE_COLORS.length] }} />
+                      Truck {route.vehicle}: {route.load}/{route.capacity}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="text-right">
+            <div className="text-xs text-gray-500">Progress</div>
+            <div className="text-lg font-bold text-blue-600">
+              {tracing
+                ? Math.round((traceStep / Math.max(trace.length - 1, 1)) * 100)
+                : Math.round((step / Math.max(totalSteps - 1, 1)) * 100)}%
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
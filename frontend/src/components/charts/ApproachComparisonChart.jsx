@@ -0,0 +1,45 @@
+import { BarChart, Bar, Cell, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from 'recharts';
+
+// Total value, used capacity and efficiency of each greedy knapsack approach
+export default function ApproachComparisonChart({ comparison }) {
+  const data = comparison.map(r => ({
+    name: r.approachName.replace('-based', ''),
+    value: parseFloat(r.totalProfit),
+    usedCapacity: r.usedCapacity,
+    efficiency: parseFloat(r.efficiency)
+  }));
+  const bestValue = Math.max(...data.map(d => d.value));
+  const metrics = [
+    { key: 'value', label: 'Total Value ($)' },
+    { key: 'usedCapacity', label: 'Used Capacity (kg)' },
+    { key: 'efficiency', label: 'Efficiency ($/kg)' }
+  ];
+  
+  return (
+    <div className="grid grid-cols-3 gap-2">
+      {metrics.map(metric => (
+        <div key={metric.key}>
+          <div className="text-xs text-center text-muted-foreground mb-1">{metric.label}</div>
+          <div className="h-36">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data} margin={{ top: 5, right: 5, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" vertical={false} />
+                <XAxis dataKey="name" tick={{ fontSize: 10 }} interval={0} />
+                <YAxis tick={{ fontSize: 10 }} />
+                <Tooltip formatter={(v) => v.toFixed(2)} />
+                <Bar dataKey={metric.key} isAnimationActive={false}>
+                  {data.map(d => (
+                    <Cell
+                      key={d.name}
+                      fill={d.value === bestValue ? 'hsl(var(--accent))' : 'hsl(var(--muted-foreground))'}
+                    />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, Legend, ResponsiveContainer } from 'recharts';
+
+// Best-distance convergence of the metaheuristic TSP solvers
+export default function ConvergenceChart({ history }) {
+  // Thin long histories so the chart stays responsive
+  const maxPoints = 200;
+  const stride = Math.max(1, Math.ceil(history.length / maxPoints));
+  const data = history.filter((_, i) => i % stride === 0 || i === history.length - 1);
+  const secondary = data[0]?.currentDistance !== undefined ? 'currentDistance' : 'averageDistance';
+  
+  return (
+    <div className="h-48">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" />
+          <XAxis dataKey="iteration" tick={{ fontSize: 10 }} />
+          <YAxis tick={{ fontSize: 10 }} domain={['auto', 'auto']} tickFormatter={(v) => v.toFixed(0)} />
+          <Tooltip formatter={(v) => v.toFixed(2)} />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          <Line
+            type="monotone"
+            dataKey={secondary}
+            name={secondary === 'currentDistance' ? 'Current' : 'Population average'}
+            stroke="hsl(var(--secondary))"
+            strokeWidth={1}
+            dot={false}
+            isAnimationActive={false}
+          />
+          <Line
+            type="stepAfter"
+            dataKey="bestDistance"
+            name="Best"
+            stroke="hsl(var(--primary))"
+            strokeWidth={2}
+            dot={false}
+            isAnimationActive={false}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+// Backward-cost DP table, filled cell by cell as the trace replays
+export default function DPTable({ trace, traceStep, costMatrix, stageVertices }) {
+  const n = costMatrix.length;
+  // Once the trace has played out every cell stays filled
+  const step = traceStep === null ? trace.length - 1 : traceStep;
+  const event = traceStep === null ? null : trace[traceStep];
+  
+  const bcost = Array(n).fill(null);
+  const d = Array(n).fill(null);
+  const bestSoFar = Array(n).fill(null);
+  const onPath = new Set([0]);
+  trace.slice(0, step + 1).forEach(e => {
+    if (e.type === 'init' || e.type === 'settle') {
+      bcost[e.vertex] = e.cost;
+      d[e.vertex] = e.via === undefined ? null : e.via;
+    } else if (e.type === 'update') {
+      bestSoFar[e.vertex] = e;
+    } else if (e.type === 'path') {
+      onPath.add(e.vertex);
+    }
+  });
+  
+  const stageOf = Array(n).fill(0);
+  stageVertices.forEach((vertices, stage) => vertices.forEach(v => { stageOf[v] = stage; }));
+  // Rows follow the solver, destination first and back through the stages
+  const solvingOrder = stageVertices.flat().reverse();
+  
+  const formatCost = (value) => (isFinite(value) ? value : '∞');
+  // Winning edge j → r as edge cost plus the cost still to go from r
+  const formatEdge = (j, r) => `${j}→${r}: ${costMatrix[j][r]} + ${formatCost(bcost[r])}`;
+  
+  return (
+    <div className="p-3 bg-muted/30 rounded-lg border border-border">
+      <div className="flex justify-between text-xs text-muted-foreground mb-1">
+        <span>DP Table</span>
+        <span>bcost[j] = min over r of c(j, r) + bcost[r]</span>
+      </div>
+      <div className="max-h-48 overflow-y-auto">
+        <table className="w-full text-xs font-mono">
+          <thead className="text-muted-foreground">
+            <tr>
+              <th className="text-left font-medium">Vertex</th>
+              <th className="text-left font-medium">Stage</th>
+              <th className="text-right font-medium">bcost</th>
+              <th className="text-right font-medium">d</th>
+              <th className="text-right font-medium">Winning edge</th>
+            </tr>
+          </thead>
+          <tbody>
+            {solvingOrder.map(v => {
+              const isCurrent = event && event.vertex === v && event.type !== 'path';
+              const settled = bcost[v] !== null;
+              const hasDecision = settled && d[v] !== null && d[v] !== -1;
+              
+              return (
+                <tr
+                  key={`dp-${v}`}
+                  className={
+                    isCurrent
+                      ? 'bg-[#f59e0b]/20 font-semibold'
+                      : traceStep === null && onPath.has(v)
+                      ? 'bg-[#8b5cf6]/15'
+                      : settled ? '' : 'text-muted-foreground'
+                  }
+                >
+                  <td>{v}</td>
+                  <td>{stageOf[v] + 1}</td>
+                  <td className="text-right">
+                    {settled ? formatCost(bcost[v]) : bestSoFar[v] ? <span className="italic">≤{bestSoFar[v].cost}</span> : '·'}
+                  </td>
+                  <td className="text-right">{hasDecision ? d[v] : settled ? '–' : '·'}</td>
+                  <td className="text-right">
+                    {isCurrent && event.type === 'candidate'
+                      ? <span className="text-[#b45309]">checking {formatEdge(v, event.via)} = {event.cost}</span>
+                      : hasDecision
+                      ? <span className="text-[#8b5cf6]">{formatEdge(v, d[v])}</span>
+                      : bestSoFar[v]
+                      ? <span className="italic">{formatEdge(v, bestSoFar[v].via)}</span>
+                      : ''}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// Backward and forward cost tables side by side, rows that disagree highlighted
+export default function DecisionTables({ bcost, backwardDecisions, cost, forwardDecisions }) {
+  const formatCost = (value) => (isFinite(value) ? value : '∞');
+  // The destination has no decision
+  const formatDecision = (value, v) => (value === -1 || v === bcost.length - 1 ? '–' : value);
+  
+  return (
+    <div className="max-h-48 overflow-y-auto">
+      <table className="w-full text-xs font-mono">
+        <thead className="text-muted-foreground">
+          <tr>
+            <th className="text-left font-medium">Vertex</th>
+            <th className="text-right font-medium">bcost</th>
+            <th className="text-right font-medium">d</th>
+            <th className="text-right font-medium">cost</th>
+            <th className="text-right font-medium">d</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bcost.map((value, v) => (
+            <tr key={`decision-${v}`} className={value !== cost[v] ? 'text-destructive' : ''}>
+              <td>{v}</td>
+              <td className="text-right">{formatCost(value)}</td>
+              <td className="text-right">{formatDecision(backwardDecisions[v], v)}</td>
+              <td className="text-right">{formatCost(cost[v])}</td>
+              <td className="text-right">{formatDecision(forwardDecisions[v], v)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { ScatterChart, Scatter, Cell, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from 'recharts';
+
+// Non-dominated multistage routes, cost against transit time
+export default function ParetoChart({ front, selected, onSelect }) {
+  const data = front.map((route, index) => ({ ...route, index, label: route.path.join(' → ') }));
+  
+  return (
+    <div className="h-48">
+      <ResponsiveContainer width="100%" height="100%">
+        <ScatterChart margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" />
+          <XAxis type="number" dataKey="cost" name="Cost" tick={{ fontSize: 10 }} domain={['auto', 'auto']} />
+          <YAxis type="number" dataKey="time" name="Time" tick={{ fontSize: 10 }} domain={['auto', 'auto']} />
+          <Tooltip
+            cursor={{ strokeDasharray: '3 3' }}
+            content={({ payload }) => payload && payload.length > 0 ? (
+              <div className="bg-background border border-border rounded px-2 py-1 text-xs">
+                <div className="font-mono">{payload[0].payload.label}</div>
+                <div>Cost {payload[0].payload.cost} · Time {payload[0].payload.time}</div>
+              </div>
+            ) : null}
+          />
+          <Scatter
+            data={data}
+            line={{ stroke: 'hsl(var(--muted-foreground))', strokeDasharray: '4 4' }}
+            onClick={(_, index) => onSelect(index)}
+            cursor="pointer"
+            isAnimationActive={false}
+          >
+            {data.map(route => (
+              <Cell
+                key={`pareto-${route.index}`}
+                fill={route.index === selected ? 'hsl(var(--accent))' : 'hsl(var(--primary))'}
+              />
+            ))}
+          </Scatter>
+        </ScatterChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { formatMinutes } from '@/lib/display';
+
+// Gantt-style timeline of a time-window tour: window, waiting and service per stop
+export default function TimelineChart({ schedule, currentStep }) {
+  const finiteTimes = schedule.flatMap(stop => [stop.arrival, stop.departure, stop.earliest, stop.latest]).filter(isFinite);
+  const minTime = Math.min(...finiteTimes);
+  const maxTime = Math.max(...finiteTimes);
+  const span = Math.max(maxTime - minTime, 1);
+  const toPercent = (time) => ((Math.min(Math.max(time, minTime), maxTime) - minTime) / span) * 100;
+  
+  return (
+    <div className="p-3 bg-muted/30 rounded-lg border border-border space-y-1">
+      <div className="flex justify-between text-xs text-muted-foreground mb-1">
+        <span>Timeline</span>
+        <span>{formatMinutes(minTime)} – {formatMinutes(maxTime)}</span>
+      </div>
+      {schedule.map((stop, idx) => {
+        const isCurrent = idx === currentStep;
+        const isReturn = idx === schedule.length - 1;
+        
+        return (
+          <div key={`timeline-${idx}`} className={`flex items-center gap-2 text-xs ${idx > currentStep ? 'opacity-40' : ''}`}>
+            <span className={`w-8 text-right font-mono ${isCurrent ? 'font-bold' : ''}`}>
+              {stop.location === 0 ? '🏠' : stop.location}
+            </span>
+            <div className="relative flex-1 h-4 bg-muted rounded">
+              {/* Allowed window */}
+              {!isReturn && idx > 0 && (
+                <div
+                  className="absolute h-full bg-[hsl(var(--accent))]/20 rounded"
+                  style={{ left: `${toPercent(stop.earliest)}%`, width: `${toPercent(stop.latest) - toPercent(stop.earliest)}%` }}
+                />
+              )}
+              {/* Waiting for the window to open */}
+              {stop.wait > 0 && (
+                <div
+                  className="absolute h-2 top-1 bg-[hsl(var(--warning))]/60 rounded"
+                  style={{ left: `${toPercent(stop.arrival)}%`, width: `${toPercent(stop.serviceStart) - toPercent(stop.arrival)}%` }}
+                />
+              )}
+              {/* Service */}
+              <div
+                className={`absolute h-full rounded ${stop.violated ? 'bg-destructive' : 'bg-[hsl(var(--primary))]'}`}
+                style={{ left: `${toPercent(stop.serviceStart)}%`, width: `max(3px, ${toPercent(stop.departure) - toPercent(stop.serviceStart)}%)` }}
+              />
+            </div>
+            <span className={`w-24 font-mono ${stop.violated ? 'text-destructive' : 'text-muted-foreground'}`}>
+              {formatMinutes(stop.arrival)}
+              {stop.violated && ` +${Math.round(stop.lateness)}m`}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
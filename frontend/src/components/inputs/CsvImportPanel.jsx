@@ -0,0 +1,105 @@
+import { motion } from 'framer-motion';
+import { Button } from '@/components/ui/button';
+import { CSV_FIELDS, mapCsvRows } from '@/lib/csv';
+
+// Preview of a CSV file before import: column mapping, the first rows as read and per-row errors
+export default function CsvImportPanel({ csvImport, onMappingChange, onConfirm, onCancel }) {
+  const { kind, fileName, headers, rows, mapping } = csvImport;
+  const fields = CSV_FIELDS[kind];
+  
+  let mapped = null;
+  let mappingError = null;
+  try {
+    mapped = mapCsvRows(rows, mapping, kind);
+  } catch (error) {
+    mappingError = error.message;
+  }
+  
+  // Show only the fields that ended up in the records
+  const previewFields = mapped && mapped.records.length > 0
+    ? fields.filter(field => mapped.records[0][field.key] !== undefined)
+    : [];
+  
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mt-4 p-3 rounded-lg border border-[hsl(var(--primary))]/40 bg-muted/50 space-y-3"
+    >
+      <div className="flex justify-between items-center text-sm">
+        <span className="font-semibold">Import {kind} from {fileName}</span>
+        <span className="text-xs text-muted-foreground">{rows.length} rows</span>
+      </div>
+      
+      <div className="grid grid-cols-2 gap-2">
+        {fields.map(field => (
+          <label key={field.key} className="flex items-center justify-between gap-2 text-xs">
+            <span>{field.label}{field.required ? ' *' : ''}</span>
+            <select
+              value={mapping[field.key]}
+              onChange={(e) => onMappingChange(field.key, parseInt(e.target.value))}
+              className="h-7 w-28 rounded-md border border-input bg-background px-1 text-xs"
+            >
+              <option value={-1}>—</option>
+              {headers.map((header, index) => (
+                <option key={`${field.key}-${index}`} value={index}>{header || `Column ${index + 1}`}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+      
+      {mappingError ? (
+        <p className="text-xs text-destructive">{mappingError}</p>
+      ) : (
+        <>
+          {mapped.records.length > 0 && (
+            <div className="max-h-32 overflow-auto">
+              <table className="w-full text-xs font-mono">
+                <thead className="text-muted-foreground">
+                  <tr>
+                    {previewFields.map(field => (
+                      <th key={field.key} className="text-left font-medium">{field.label}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {mapped.records.slice(0, 5).map((record, idx) => (
+                    <tr key={`preview-${idx}`}>
+                      {previewFields.map(field => (
+                        <td key={field.key}>{record[field.key]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {mapped.records.length > 5 && (
+                <p className="text-xs text-muted-foreground">…and {mapped.records.length - 5} more</p>
+              )}
+            </div>
+          )}
+          {mapped.errors.length > 0 && (
+            <ul className="space-y-0.5 max-h-24 overflow-y-auto">
+              {mapped.errors.map(error => (
+                <li key={`row-error-${error.line}`} className="text-xs text-destructive">
+                  ✕ Line {error.line}: {error.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+      
+      <div className="flex gap-2 justify-end">
+        <Button variant="outline" size="sm" onClick={onCancel}>Cancel</Button>
+        <Button
+          size="sm"
+          disabled={!mapped || mapped.records.length === 0 || (kind === 'locations' && mapped.records.length < 2)}
+          onClick={() => onConfirm(mapped.records, mapped.errors)}
+        >
+          Import {mapped ? mapped.records.length : 0} rows
+        </Button>
+      </div>
+    </motion.div>
+  );
+}
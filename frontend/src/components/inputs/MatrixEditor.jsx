@@ -0,0 +1,150 @@
+// Cell values accepted by the matrix editor: a number, optionally followed by /time
+const MATRIX_CELL_PATTERN = /^-?\d*\.?\d+(\/\d*\.?\d+)?$/;
+
+// Split "a-b:value" text into grid cells keyed "a-b"; entries that do not name a pair are kept aside
+function parseMatrixCells(text, symmetric) {
+  const cells = {};
+  const stray = [];
+  
+  for (const token of text.split(',')) {
+    if (!token.trim()) continue;
+    
+    const match = token.trim().match(/^(\d+)\s*-\s*(\d+)\s*:\s*(.*)$/);
+    if (!match) {
+      stray.push(token.trim());
+      continue;
+    }
+    
+    const from = parseInt(match[1]);
+    const to = parseInt(match[2]);
+    // Symmetric text lists each pair once, smaller location first
+    const key = symmetric && from > to ? `${to}-${from}` : `${from}-${to}`;
+    cells[key] = match[3].trim();
+  }
+  
+  return { cells, stray };
+}
+
+// Inverse of parseMatrixCells, row by row, so edits in the grid show up in the text format
+function formatMatrixCells(cells, stray, size) {
+  const tokens = [];
+  
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const value = cells[`${i}-${j}`];
+      if (value !== undefined && value !== '') {
+        tokens.push(`${i}-${j}:${value}`);
+      }
+    }
+  }
+  
+  // Pairs outside the grid and unreadable entries stay in the text for the parser to report
+  Object.entries(cells).forEach(([key, value]) => {
+    const [i, j] = key.split('-').map(Number);
+    if ((i >= size || j >= size) && value !== '') {
+      tokens.push(`${key}:${value}`);
+    }
+  });
+  
+  return [...tokens, ...stray].join(', ');
+}
+
+// Spreadsheet-style editor over the "a-b:value" text format, kept in two-way sync with it
+// issues maps "a-b" to a diagnostic ({ severity, message }) shown on that cell
+export default function MatrixEditor({ size, value, onChange, symmetric = false, requireAll = false, issues = {} }) {
+  const { cells, stray } = parseMatrixCells(value, symmetric);
+  const keyOf = (i, j) => (symmetric && i > j ? `${j}-${i}` : `${i}-${j}`);
+  const outside = Object.keys(cells).filter(key => key.split('-').some(v => Number(v) >= size));
+  
+  const updateCells = (changes) => {
+    const next = { ...cells };
+    changes.forEach(({ i, j, cell }) => {
+      if (i !== j && i < size && j < size) {
+        next[keyOf(i, j)] = cell.trim();
+      }
+    });
+    onChange(formatMatrixCells(next, stray, size));
+  };
+  
+  // Paste a block copied from a spreadsheet, starting at the focused cell
+  const handlePaste = (event, row, col) => {
+    const text = event.clipboardData.getData('text');
+    if (!/[\t\n]/.test(text)) return;
+    
+    event.preventDefault();
+    const changes = [];
+    text.replace(/\r/g, '').split('\n').filter(line => line.trim()).forEach((line, r) => {
+      line.split(/\t|;|,/).forEach((cell, c) => {
+        changes.push({ i: row + r, j: col + c, cell });
+      });
+    });
+    updateCells(changes);
+  };
+  
+  if (size < 2) {
+    return <p className="text-xs text-muted-foreground">Set up at least two locations to edit the grid</p>;
+  }
+  if (size > 40) {
+    return <p className="text-xs text-muted-foreground">Too many locations to edit as a grid; use the text format</p>;
+  }
+  
+  return (
+    <div className="space-y-1">
+      <div className="max-h-64 overflow-auto rounded-lg border border-border">
+        <table className="text-xs font-mono border-collapse">
+          <thead className="sticky top-0 bg-muted">
+            <tr>
+              <th className="px-1 text-muted-foreground font-medium">from\to</th>
+              {Array.from({ length: size }, (_, j) => (
+                <th key={`col-${j}`} className="px-1 text-muted-foreground font-medium">{j}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Array.from({ length: size }, (_, i) => (
+              <tr key={`row-${i}`}>
+                <th className="px-1 bg-muted text-muted-foreground font-medium">{i}</th>
+                {Array.from({ length: size }, (_, j) => {
+                  if (i === j) {
+                    return <td key={`cell-${i}-${j}`} className="bg-muted/60 text-center text-muted-foreground">–</td>;
+                  }
+                  
+                  const cell = cells[keyOf(i, j)] || '';
+                  const invalid = cell !== '' && !MATRIX_CELL_PATTERN.test(cell);
+                  const missing = cell === '' && requireAll;
+                  const issue = issues[`${i}-${j}`];
+                  const isError = invalid || (issue && issue.severity === 'error');
+                  
+                  return (
+                    <td key={`cell-${i}-${j}`} className="p-0">
+                      <input
+                        value={cell}
+                        onChange={(e) => updateCells([{ i, j, cell: e.target.value }])}
+                        onPaste={(e) => handlePaste(e, i, j)}
+                        title={invalid ? `"${cell}" is not a number` : missing ? 'Missing distance' : issue ? issue.message : ''}
+                        className={`w-12 px-1 py-0.5 text-right bg-transparent border outline-none focus:border-[hsl(var(--primary))] ${
+                          isError
+                            ? 'border-destructive bg-destructive/10'
+                            : missing
+                            ? 'border-[hsl(var(--warning))] bg-[hsl(var(--warning))]/10'
+                            : issue
+                            ? 'border-[hsl(var(--warning))]'
+                            : 'border-border/40'
+                        }`}
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {(stray.length > 0 || outside.length > 0) && (
+        <p className="text-xs text-destructive">
+          Not shown in the grid: {[...outside, ...stray].map(entry => `"${entry}"`).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,370 @@
+/**
+ * CSV Import and Export
+ * Reads spreadsheet exports into the dashboard's text formats (packages,
+ * locations, edges) and writes every result back out as CSV
+ */
+
+/**
+ * Columns each import kind understands
+ * Aliases are matched against the header row to guess the column mapping
+ */
+export const CSV_FIELDS = {
+  packages: [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'package', 'item', 'description'] },
+    { key: 'weight', label: 'Weight', required: true, aliases: ['weight', 'kg', 'mass'] },
+    { key: 'value', label: 'Value', required: true, aliases: ['value', 'profit', 'price', 'worth'] },
+    { key: 'volume', label: 'Volume', required: false, aliases: ['volume', 'm3', 'cbm'] },
+    { key: 'pallets', label: 'Pallets', required: false, aliases: ['pallets', 'pallet'] }
+  ],
+  locations: [
+    { key: 'id', label: 'ID', required: false, aliases: ['id', 'name', 'location', 'stop'] },
+    { key: 'x', label: 'X', required: false, aliases: ['x', 'easting'] },
+    { key: 'y', label: 'Y', required: false, aliases: ['y', 'northing'] },
+    { key: 'lat', label: 'Latitude', required: false, aliases: ['lat', 'latitude'] },
+    { key: 'lon', label: 'Longitude', required: false, aliases: ['lon', 'lng', 'long', 'longitude'] }
+  ],
+  edges: [
+    { key: 'from', label: 'From', required: true, aliases: ['from', 'source', 'origin', 'start'] },
+    { key: 'to', label: 'To', required: true, aliases: ['to', 'target', 'destination', 'end'] },
+    { key: 'cost', label: 'Cost', required: true, aliases: ['cost', 'weight', 'distance'] },
+    { key: 'time', label: 'Time', required: false, aliases: ['time', 'duration', 'minutes'] }
+  ]
+};
+
+/**
+ * Split CSV text into a header row and data rows
+ * Handles quoted fields (with doubled quotes and embedded separators) and
+ * picks comma, semicolon or tab from whichever appears most in the header
+ * @param {string} text - CSV file contents
+ * @returns {Object} Header names and rows of trimmed string cells
+ */
+export function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/)[0] || '';
+  const separator = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+  
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field.trim());
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  record.push(field.trim());
+  records.push(record);
+  
+  // Blank lines (including a trailing newline) are not rows
+  const nonEmpty = records.filter(cells => cells.some(cell => cell !== ''));
+  if (nonEmpty.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+  
+  return { headers: nonEmpty[0], rows: nonEmpty.slice(1) };
+}
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {Array<string>} headers - Header row
+ * @param {string} kind - 'packages', 'locations' or 'edges'
+ * @returns {Object} Column index per field key (-1 when no header matches)
+ */
+export function guessColumnMapping(headers, kind) {
+  const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const mapping = {};
+  const taken = new Set();
+  
+  for (const field of CSV_FIELDS[kind]) {
+    const index = normalized.findIndex((header, i) => !taken.has(i) && field.aliases.includes(header));
+    mapping[field.key] = index;
+    if (index !== -1) taken.add(index);
+  }
+  
+  return mapping;
+}
+
+/**
+ * Read a mapped cell as a number
+ * @param {Array<string>} row - Data row
+ * @param {number} index - Column index (-1 for unmapped)
+ * @returns {number|null} The number, null when unmapped or empty, NaN when unreadable
+ */
+function readNumber(row, index) {
+  if (index === -1 || index === undefined || row[index] === undefined || row[index] === '') {
+    return null;
+  }
+  return Number(row[index]);
+}
+
+/**
+ * Turn CSV rows into records using a column mapping, checking each row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {Object} mapping - Column index per field key
+ * @param {string} kind - 'packages', 'locations' or 'edges'
+ * @returns {Object} Valid records, and errors with the 1-based file line and a message
+ */
+export function mapCsvRows(rows, mapping, kind) {
+  const missing = CSV_FIELDS[kind].filter(field => field.required && mapping[field.key] === -1);
+  if (missing.length > 0) {
+    throw new Error(`Map a column to ${missing.map(field => field.label).join(', ')}`);
+  }
+  if (kind === 'locations') {
+    const hasXY = mapping.x !== -1 && mapping.y !== -1;
+    const hasLatLon = mapping.lat !== -1 && mapping.lon !== -1;
+    if (!hasXY && !hasLatLon) {
+      throw new Error('Map columns to X and Y, or to Latitude and Longitude');
+    }
+  }
+  
+  const records = [];
+  const errors = [];
+  
+  rows.forEach((row, i) => {
+    // Line 1 is the header
+    const line = i + 2;
+    const fail = (message) => errors.push({ line, message });
+    
+    if (kind === 'packages') {
+      const name = row[mapping.name] || '';
+      const weight = readNumber(row, mapping.weight);
+      const value = readNumber(row, mapping.value);
+      const volume = readNumber(row, mapping.volume);
+      const pallets = readNumber(row, mapping.pallets);
+      
+      if (!name) return fail('Name is empty');
+      if (/[,:]/.test(name)) return fail(`Name "${name}" cannot contain commas or colons`);
+      if (weight === null || isNaN(weight) || weight <= 0) return fail('Weight must be a positive number');
+      if (value === null || isNaN(value) || value < 0) return fail('Value must be a number of at least 0');
+      if (isNaN(volume) || isNaN(pallets)) return fail('Volume and pallets must be numbers');
+      
+      records.push({ name, weight, value, volume: volume || 0, pallets: pallets || 0 });
+    } else if (kind === 'locations') {
+      const useXY = mapping.x !== -1 && mapping.y !== -1;
+      const first = readNumber(row, useXY ? mapping.x : mapping.lat);
+      const second = readNumber(row, useXY ? mapping.y : mapping.lon);
+      
+      if (first === null || second === null || isNaN(first) || isNaN(second)) {
+        return fail(useXY ? 'X and Y must be numbers' : 'Latitude and longitude must be numbers');
+      }
+      if (!useXY && (Math.abs(first) > 90 || Math.abs(second) > 180)) {
+        return fail('Latitude must be within ±90 and longitude within ±180');
+      }
+      
+      const id = mapping.id !== -1 && row[mapping.id] ? row[mapping.id] : String(records.length);
+      records.push(useXY ? { id, x: first, y: second } : { id, lat: first, lon: second });
+    } else {
+      const from = readNumber(row, mapping.from);
+      const to = readNumber(row, mapping.to);
+      const cost = readNumber(row, mapping.cost);
+      const time = readNumber(row, mapping.time);
+      
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < 0) {
+        return fail('From and to must be vertex numbers');
+      }
+      if (cost === null || isNaN(cost)) return fail('Cost must be a number');
+      if (isNaN(time) || time < 0) return fail('Time must be a number of at least 0');
+      
+      records.push(time === null ? { from, to, cost } : { from, to, cost, time });
+    }
+  });
+  
+  return { records, errors };
+}
+
+/**
+ * Write package records in the knapsack input format
+ * @param {Array} records - Packages with name, weight, value, volume and pallets
+ * @returns {string} Packages as "weight:value:name[:volume[:pallets]]"
+ */
+export function packagesToText(records) {
+  return records.map(({ name, weight, value, volume, pallets }) => {
+    const extra = pallets ? `:${volume}:${pallets}` : volume ? `:${volume}` : '';
+    return `${weight}:${value}:${name}${extra}`;
+  }).join(', ');
+}
+
+/**
+ * Write latitude/longitude location records in the geographic input format
+ * @param {Array} records - Locations with id, lat and lon
+ * @returns {string} Stops as "lat:lon:name"
+ */
+export function geoLocationsToText(records) {
+  return records.map(({ id, lat, lon }) => `${lat}:${lon}:${String(id).replace(/[,:]/g, ' ')}`).join(', ');
+}
+
+/**
+ * Write edge records in the multistage input format
+ * @param {Array} records - Edges with from, to, cost and optional time
+ * @returns {string} Edges as "from-to:cost" or "from-to:cost/time"
+ */
+export function edgesToText(records) {
+  return records.map(({ from, to, cost, time }) => (
+    time === undefined ? `${from}-${to}:${cost}` : `${from}-${to}:${cost}/${time}`
+  )).join(', ');
+}
+
+/**
+ * Fit x/y locations onto the map canvas, keeping their proportions
+ * (latitude/longitude locations go to the geographic mode instead)
+ * @param {Array} records - Locations with x, y
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} Canvas points and the scale (source units per canvas unit)
+ */
+export function fitLocations(records, width = 600, height = 300) {
+  const planar = records.map(r => ({ x: r.x, y: r.y }));
+  
+  const padding = 30;
+  const minX = Math.min(...planar.map(p => p.x));
+  const minY = Math.min(...planar.map(p => p.y));
+  const spanX = Math.max(...planar.map(p => p.x)) - minX;
+  const spanY = Math.max(...planar.map(p => p.y)) - minY;
+  const zoom = Math.min(
+    spanX > 0 ? (width - 2 * padding) / spanX : Infinity,
+    spanY > 0 ? (height - 2 * padding) / spanY : Infinity
+  );
+  const factor = isFinite(zoom) ? zoom : 1;
+  
+  return {
+    points: planar.map((p, id) => ({
+      id,
+      x: padding + (p.x - minX) * factor,
+      y: padding + (p.y - minY) * factor
+    })),
+    scale: 1 / factor
+  };
+}
+
+/**
+ * Quote a value for CSV when needed
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from a header and rows
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Array>} rows - Row values
+ * @returns {string} CSV text
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Legs of a tour with their distances and the running total
+ * @param {Array} segments - Tour segments with from, to and distance
+ * @returns {Array<Array>} Rows of order, from, to, distance, cumulative
+ */
+function tourRows(segments) {
+  let cumulative = 0;
+  return segments.map((segment, i) => {
+    cumulative += parseFloat(segment.distance);
+    return [i + 1, segment.from, segment.to, segment.distance, cumulative.toFixed(2)];
+  });
+}
+
+/**
+ * Export a result as CSV
+ * Packages with their loaded fraction, a tour with leg distances, or a path
+ * with its edge costs, depending on the result type
+ * @param {Object} result - Result from any of the solvers
+ * @returns {Object} File name and CSV text
+ */
+export function resultToCsv(result) {
+  switch (result.type) {
+    case 'knapsack':
+      return {
+        filename: 'loaded-packages.csv',
+        csv: toCsv(
+          ['name', 'weight', 'value', 'fraction', 'taken_weight', 'taken_value'],
+          result.selectedPackages.map(pkg => [
+            pkg.name, pkg.weight, pkg.value, pkg.fraction.toFixed(4), pkg.takenWeight.toFixed(2), (pkg.takenValue || 0).toFixed(2)
+          ])
+        )
+      };
+    case 'binpacking':
+      return {
+        filename: 'truck-loads.csv',
+        csv: toCsv(
+          ['name', 'weight', 'value', 'fraction', 'vehicle'],
+          result.selectedPackages.map(pkg => [pkg.name, pkg.weight, pkg.value, 1, pkg.vehicle])
+        )
+      };
+    case 'tsp':
+      return {
+        filename: 'tour.csv',
+        csv: toCsv(['order', 'from', 'to', 'distance', 'cumulative'], tourRows(result.tourSegments))
+      };
+    case 'vrp':
+      return {
+        filename: 'fleet-routes.csv',
+        csv: toCsv(
+          ['vehicle', 'order', 'from', 'to', 'distance', 'cumulative'],
+          result.routes.flatMap(route => tourRows(route.tourSegments).map(row => [route.vehicle, ...row]))
+        )
+      };
+    case 'multistage':
+    case 'shortest-path': {
+      // Parallel road edges: the solver always takes the cheapest one
+      const edgeCost = (from, to) => (result.type === 'multistage'
+        ? result.costMatrix[from][to]
+        : Math.min(...result.edges.filter(e => e.from === from && e.to === to).map(e => e.cost)));
+      let cumulative = 0;
+      const rows = result.path.slice(0, -1).map((from, i) => {
+        const to = result.path[i + 1];
+        const cost = edgeCost(from, to);
+        cumulative += cost;
+        return [i + 1, from, to, cost, cumulative];
+      });
+      return { filename: 'path.csv', csv: toCsv(['step', 'from', 'to', 'cost', 'cumulative'], rows) };
+    }
+    default:
+      throw new Error('This result cannot be exported');
+  }
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} mimeType - Content type
+ */
+export function downloadText(filename, text, mimeType = 'text/csv') {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,118 @@
+import { parseCsv, guessColumnMapping, mapCsvRows, toCsv, packagesToText, edgesToText } from './csv';
+
+describe('CSV parsing', () => {
+  test('keeps commas inside quoted fields', () => {
+    expect(parseCsv('name,weight\n"Chairs, stacked",12\n')).toEqual({
+      headers: ['name', 'weight'],
+      rows: [['Chairs, stacked', '12']]
+    });
+  });
+  
+  test('reads doubled quotes as one quote', () => {
+    expect(parseCsv('name,note\nTV,"55"" screen, ""fragile"""').rows).toEqual([['TV', '55" screen, "fragile"']]);
+  });
+  
+  test('keeps line breaks inside quoted fields', () => {
+    expect(parseCsv('name,note\nLamp,"top\nshelf"').rows).toEqual([['Lamp', 'top\nshelf']]);
+  });
+  
+  test('handles CRLF line endings and skips blank lines', () => {
+    expect(parseCsv('from,to,cost\r\n0,1,4\r\n\r\n1,2,3\r\n')).toEqual({
+      headers: ['from', 'to', 'cost'],
+      rows: [['0', '1', '4'], ['1', '2', '3']]
+    });
+  });
+  
+  test('picks the separator from the header', () => {
+    expect(parseCsv('name;weight;value\nDesk;30,5;100').rows).toEqual([['Desk', '30,5', '100']]);
+    expect(parseCsv('x\ty\n1\t2').rows).toEqual([['1', '2']]);
+  });
+  
+  test('rejects an empty file', () => {
+    expect(() => parseCsv('')).toThrow('The CSV file is empty');
+    expect(() => parseCsv('\n ,\n')).toThrow('The CSV file is empty');
+  });
+});
+
+describe('CSV writing', () => {
+  test('quotes cells that need it', () => {
+    expect(toCsv(['name', 'note'], [['Chairs, stacked', 'say "hi"'], ['Lamp', null]]))
+      .toBe('name,note\n"Chairs, stacked","say ""hi"""\nLamp,');
+  });
+  
+  test('reads back what it writes', () => {
+    const headers = ['name', 'note', 'amount'];
+    const rows = [
+      ['Chairs, stacked', 'say "hi"', '3'],
+      ['Lamp', 'top\r\nshelf', '1.5'],
+      ['"Quoted"', '', '0']
+    ];
+    
+    expect(parseCsv(toCsv(headers, rows))).toEqual({ headers, rows });
+  });
+});
+
+describe('column mapping', () => {
+  test('matches aliases regardless of case and punctuation', () => {
+    expect(guessColumnMapping(['Item', 'Mass (kg)', 'Price', 'CBM'], 'packages'))
+      .toEqual({ name: 0, weight: -1, value: 2, volume: 3, pallets: -1 });
+    expect(guessColumnMapping(['Description', 'KG', 'Profit'], 'packages'))
+      .toEqual({ name: 0, weight: 1, value: 2, volume: -1, pallets: -1 });
+  });
+  
+  test('maps edge and location headers', () => {
+    expect(guessColumnMapping(['Source', 'Target', 'Distance', 'Weight'], 'edges'))
+      .toEqual({ from: 0, to: 1, cost: 2, time: -1 });
+    expect(guessColumnMapping(['Name', 'Lat', 'Lng'], 'locations'))
+      .toEqual({ id: 0, x: -1, y: -1, lat: 1, lon: 2 });
+  });
+});
+
+describe('row mapping', () => {
+  test('reads packages and reports bad rows by file line', () => {
+    const { headers, rows } = parseCsv('name,weight,value,volume\nDesk,30,100,2\n,5,5,\nBox:A,1,1,\nSafe,-3,10,\nRug,4,,\nCrate,4,10,big\nPen,0.1,2,');
+    const { records, errors } = mapCsvRows(rows, guessColumnMapping(headers, 'packages'), 'packages');
+    
+    expect(records).toEqual([
+      { name: 'Desk', weight: 30, value: 100, volume: 2, pallets: 0 },
+      { name: 'Pen', weight: 0.1, value: 2, volume: 0, pallets: 0 }
+    ]);
+    expect(errors).toEqual([
+      { line: 3, message: 'Name is empty' },
+      { line: 4, message: 'Name "Box:A" cannot contain commas or colons' },
+      { line: 5, message: 'Weight must be a positive number' },
+      { line: 6, message: 'Value must be a number of at least 0' },
+      { line: 7, message: 'Volume and pallets must be numbers' }
+    ]);
+    expect(packagesToText(records)).toBe('30:100:Desk:2, 0.1:2:Pen');
+  });
+  
+  test('reads edges with optional times', () => {
+    const { headers, rows } = parseCsv('from,to,cost,time\n0,1,4,\n1,2,-2,15\n1.5,2,1,\n2,3,x,\n2,3,1,-1');
+    const { records, errors } = mapCsvRows(rows, guessColumnMapping(headers, 'edges'), 'edges');
+    
+    expect(records).toEqual([{ from: 0, to: 1, cost: 4 }, { from: 1, to: 2, cost: -2, time: 15 }]);
+    expect(errors.map(error => error.message)).toEqual([
+      'From and to must be vertex numbers',
+      'Cost must be a number',
+      'Time must be a number of at least 0'
+    ]);
+    expect(edgesToText(records)).toBe('0-1:4, 1-2:-2/15');
+  });
+  
+  test('reads locations as x/y or latitude/longitude', () => {
+    const planar = mapCsvRows([['A', '1', '2'], ['', '3', '4']], { id: 0, x: 1, y: 2, lat: -1, lon: -1 }, 'locations');
+    const geo = mapCsvRows([['52.5', '13.4'], ['95', '0']], { id: -1, x: -1, y: -1, lat: 0, lon: 1 }, 'locations');
+    
+    expect(planar.records).toEqual([{ id: 'A', x: 1, y: 2 }, { id: '1', x: 3, y: 4 }]);
+    expect(geo.records).toEqual([{ id: '0', lat: 52.5, lon: 13.4 }]);
+    expect(geo.errors).toEqual([{ line: 3, message: 'Latitude must be within ±90 and longitude within ±180' }]);
+  });
+  
+  test('requires the essential columns to be mapped', () => {
+    expect(() => mapCsvRows([], { name: 0, weight: -1, value: -1, volume: -1, pallets: -1 }, 'packages'))
+      .toThrow('Map a column to Weight, Value');
+    expect(() => mapCsvRows([], { id: 0, x: 1, y: -1, lat: -1, lon: 2 }, 'locations'))
+      .toThrow('Map columns to X and Y, or to Latitude and Longitude');
+  });
+});
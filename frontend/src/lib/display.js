@@ -0,0 +1,27 @@
+/**
+ * Display Helpers
+ * Colors and number formats shared by the dashboard and its animations and charts
+ */
+
+// Distinct colors for fleet routes
+export const ROUTE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#84cc16'];
+
+/**
+ * Distance with its unit; matrix, map and TSPLIB distances have none
+ * @param {number|string} value - Distance
+ * @param {string|null} unit - Unit, e.g. 'km'
+ * @returns {string} Distance for display
+ */
+export function formatDistance(value, unit) {
+  return unit ? `${value} ${unit}` : `${value}`;
+}
+
+/**
+ * Minutes from shift start as h:mm
+ * @param {number} minutes - Minutes since the shift started
+ * @returns {string} Time of day, e.g. '1:05'
+ */
+export function formatMinutes(minutes) {
+  const rounded = Math.round(minutes);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
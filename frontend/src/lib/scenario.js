@@ -0,0 +1,583 @@
+/**
+ * Scenario Files
+ * One versioned JSON format for the multistage, TSP and knapsack inputs,
+ * validated with zod. Older versions are migrated forward on load, and every
+ * problem is stored as structured data rather than the dashboard's text inputs
+ *
+ * Version history:
+ *   1 - Snapshot of one algorithm's text inputs: { version, algorithm, inputs }
+ *   2 - Structured problems: { format, version, name, selected, problems }
+ */
+
+import { z } from 'zod';
+import { parseEdges, parseStageSizes } from '../components/algorithms/MultiStageGraph';
+import { parseDistanceMatrix } from '../components/algorithms/TSP';
+import { parseTimeWindows } from '../components/algorithms/TSPTimeWindows';
+import { parseGeoPoints, formatGeoPoints } from '../components/algorithms/Geo';
+import { parsePackages } from '../components/algorithms/FractionalKnapsack';
+import { parseFleet } from '../components/algorithms/FleetLoading';
+import { packagesToText, edgesToText } from './csv';
+
+export const SCENARIO_FORMAT = 'logistics-scenario';
+export const SCENARIO_VERSION = 2;
+
+// ========================================
+// SCHEMA
+// ========================================
+
+const count = (min) => z.number().int().min(min);
+const nonNegative = z.number().nonnegative();
+const positive = z.number().positive();
+// Names end up in comma and colon separated text inputs
+const label = z.string().min(1).regex(/^[^,:]+$/, 'Must not contain commas or colons');
+
+const multistageSchema = z.object({
+  layout: z.enum(['uniform', 'custom', 'auto']),
+  stages: count(2).optional(),
+  nodesPerStage: count(1).optional(),
+  stageSizes: z.array(count(1)).min(2).optional(),
+  edges: z.array(z.object({
+    from: count(0),
+    to: count(0),
+    cost: z.number(),
+    time: nonNegative.optional()
+  })).min(1),
+  alternatives: count(1).max(10).optional()
+}).superRefine((problem, ctx) => {
+  if (problem.layout === 'uniform') {
+    ['stages', 'nodesPerStage'].forEach(key => {
+      if (problem[key] === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: 'Required for the uniform layout' });
+      }
+    });
+  }
+  if (problem.layout === 'custom' && problem.stageSizes === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['stageSizes'], message: 'Required for the custom layout' });
+  }
+});
+
+const tspSchema = z.object({
+  source: z.enum(['matrix', 'map', 'geo']),
+  solver: z.enum(['nearest-neighbor', 'held-karp', 'simulated-annealing', 'genetic', 'time-windows']),
+  numLocations: count(2).optional(),
+  asymmetric: z.boolean().optional(),
+  distances: z.array(z.object({ from: count(0), to: count(0), distance: nonNegative })).optional(),
+  points: z.array(z.object({ x: z.number(), y: z.number() })).min(2).optional(),
+  scale: positive.optional(),
+  geoPoints: z.array(z.object({
+    lat: z.number().min(-90).max(90),
+    lon: z.number().min(-180).max(180),
+    name: label
+  })).min(2).optional(),
+  distanceUnit: z.enum(['km', 'mi']).optional(),
+  projection: z.enum(['equirectangular', 'mercator']).optional(),
+  localSearch: z.boolean().optional(),
+  seed: z.number().int().optional(),
+  iterations: count(1).optional(),
+  coolingRate: z.number().gt(0).lt(1).optional(),
+  generations: count(1).optional(),
+  populationSize: count(2).optional(),
+  timeWindows: z.array(z.object({
+    location: count(0),
+    earliest: z.number(),
+    latest: z.number(),
+    service: nonNegative.optional()
+  })).optional(),
+  speed: positive.optional()
+}).superRefine((problem, ctx) => {
+  const required = { matrix: ['numLocations', 'distances'], map: ['points'], geo: ['geoPoints'] }[problem.source];
+  required.forEach(key => {
+    if (problem[key] === undefined) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `Required for the ${problem.source} source` });
+    }
+  });
+  
+  if (problem.numLocations !== undefined) {
+    (problem.distances || []).forEach((pair, i) => {
+      ['from', 'to'].forEach(key => {
+        if (pair[key] >= problem.numLocations) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['distances', i, key],
+            message: `Location ${pair[key]} is out of range (0-${problem.numLocations - 1})`
+          });
+        }
+      });
+    });
+  }
+  
+  const locations = problem.numLocations !== undefined ? problem.numLocations : (problem.points || problem.geoPoints || []).length;
+  (problem.timeWindows || []).forEach((window, i) => {
+    if (locations && window.location >= locations) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['timeWindows', i, 'location'],
+        message: `Location ${window.location} is out of range (0-${locations - 1})`
+      });
+    }
+    if (window.earliest > window.latest) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['timeWindows', i, 'latest'], message: 'Window ends before it starts' });
+    }
+  });
+});
+
+const knapsackSchema = z.object({
+  mode: z.enum(['fractional', 'zero-one', 'fleet']),
+  approach: z.enum(['1', '2', '3', 'compare']).optional(),
+  capacity: positive.optional(),
+  volumeCapacity: positive.optional(),
+  palletCapacity: positive.optional(),
+  fleet: z.array(z.object({ capacity: positive, cost: nonNegative.optional() })).min(1).optional(),
+  packages: z.array(z.object({
+    name: label,
+    weight: positive,
+    value: nonNegative,
+    volume: nonNegative.optional(),
+    pallets: nonNegative.optional()
+  })).min(1)
+}).superRefine((problem, ctx) => {
+  const key = problem.mode === 'fleet' ? 'fleet' : 'capacity';
+  if (problem[key] === undefined) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: `Required for the ${problem.mode} mode` });
+  }
+});
+
+const PROBLEM_SCHEMAS = {
+  multistage: multistageSchema,
+  tsp: tspSchema,
+  knapsack: knapsackSchema
+};
+
+export const scenarioSchema = z.object({
+  format: z.literal(SCENARIO_FORMAT),
+  version: z.literal(SCENARIO_VERSION),
+  name: z.string().optional(),
+  selected: z.enum(['multistage', 'tsp', 'knapsack']).optional(),
+  problems: z.object({
+    multistage: PROBLEM_SCHEMAS.multistage.optional(),
+    tsp: PROBLEM_SCHEMAS.tsp.optional(),
+    knapsack: PROBLEM_SCHEMAS.knapsack.optional()
+  }).refine(problems => Object.values(problems).some(Boolean), 'The scenario holds no problem')
+});
+
+/**
+ * Format an issue path the way it reads in the JSON, e.g. problems.knapsack.packages[2].weight
+ * @param {Array<string|number>} path - Issue path
+ * @returns {string} Readable path ('(root)' when empty)
+ */
+function formatPath(path) {
+  if (path.length === 0) return '(root)';
+  return path.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '');
+}
+
+/**
+ * Error carrying one message per invalid field
+ */
+export class ScenarioError extends Error {
+  constructor(issues) {
+    super(issues.map(issue => `${issue.path}: ${issue.message}`).join('\n'));
+    this.name = 'ScenarioError';
+    this.issues = issues;
+  }
+}
+
+// ========================================
+// TEXT INPUTS <-> STRUCTURED PROBLEMS
+// ========================================
+
+/**
+ * Run a text parser, reporting its error at the given path
+ * @param {string} path - Field the text came from
+ * @param {Function} parse - Parser to run
+ * @returns {*} Parser result
+ */
+function parseField(path, parse) {
+  try {
+    return parse();
+  } catch (error) {
+    throw new ScenarioError([{ path, message: error.message }]);
+  }
+}
+
+/**
+ * Read a numeric text input
+ * @param {string} path - Field name for errors
+ * @param {string} value - Text input value
+ * @returns {number|undefined} The number, or undefined for an empty input
+ */
+function readNumber(path, value) {
+  if (value === undefined || value === null || String(value).trim() === '') return undefined;
+  const number = Number(value);
+  if (isNaN(number)) {
+    throw new ScenarioError([{ path, message: `"${value}" is not a number` }]);
+  }
+  return number;
+}
+
+/**
+ * Turn multistage text inputs into a structured problem
+ * @param {Object} inputs - Multistage inputs as kept by the dashboard
+ * @returns {Object} Multistage problem
+ */
+function multistageFromInputs(inputs) {
+  const { edges, invalid } = parseEdges(inputs.edgeCosts || '');
+  if (invalid.length > 0) {
+    throw new ScenarioError([{ path: 'edgeCosts', message: `Cannot read ${invalid.map(entry => `"${entry}"`).join(', ')}` }]);
+  }
+  
+  const layout = inputs.layout || 'uniform';
+  return {
+    layout,
+    stages: readNumber('stages', inputs.stages),
+    nodesPerStage: readNumber('nodesPerStage', inputs.nodesPerStage),
+    stageSizes: layout === 'custom' ? parseField('stageSizes', () => parseStageSizes(inputs.stageSizes)) : undefined,
+    edges,
+    alternatives: readNumber('alternatives', inputs.alternatives)
+  };
+}
+
+/**
+ * Turn TSP text inputs (and map locations) into a structured problem
+ * @param {Object} inputs - TSP inputs as kept by the dashboard
+ * @param {Object} map - Locations placed on the map editor (points) and their scale
+ * @returns {Object} TSP problem
+ */
+function tspFromInputs(inputs, map = {}) {
+  // TSPLIB instances already have their own file format
+  if (inputs.source === 'tsplib') {
+    throw new ScenarioError([{ path: 'source', message: 'TSPLIB instances are saved as .tsp files, not scenarios' }]);
+  }
+  
+  const source = inputs.source || 'matrix';
+  if (!['matrix', 'map', 'geo'].includes(source)) {
+    throw new ScenarioError([{ path: 'source', message: 'Expected "matrix", "map" or "geo"' }]);
+  }
+  const numLocations = readNumber('numLocations', inputs.numLocations);
+  const asymmetric = Boolean(inputs.asymmetric);
+  const problem = {
+    source,
+    solver: inputs.solver || 'nearest-neighbor',
+    asymmetric,
+    localSearch: Boolean(inputs.localSearch),
+    seed: readNumber('seed', inputs.seed),
+    iterations: readNumber('iterations', inputs.iterations),
+    coolingRate: readNumber('coolingRate', inputs.coolingRate),
+    generations: readNumber('generations', inputs.generations),
+    populationSize: readNumber('populationSize', inputs.populationSize),
+    speed: readNumber('speed', inputs.speed)
+  };
+  
+  if (source === 'matrix') {
+    if (!Number.isInteger(numLocations) || numLocations < 2) {
+      throw new ScenarioError([{ path: 'numLocations', message: 'Expected a whole number of at least 2 for the matrix source' }]);
+    }
+    const matrix = parseField('distanceMatrix', () => parseDistanceMatrix(inputs.distanceMatrix || '', numLocations, asymmetric));
+    problem.numLocations = numLocations;
+    problem.distances = [];
+    matrix.forEach((row, from) => row.forEach((distance, to) => {
+      // Symmetric matrices list each pair once
+      if (from !== to && isFinite(distance) && (asymmetric || from < to)) {
+        problem.distances.push({ from, to, distance });
+      }
+    }));
+  } else if (source === 'map') {
+    problem.points = (map.points || []).map(({ x, y }) => ({ x, y }));
+    problem.scale = map.scale;
+  } else {
+    problem.geoPoints = parseField('geoPoints', () => parseGeoPoints(inputs.geoPoints || ''));
+    problem.distanceUnit = inputs.distanceUnit;
+    problem.projection = inputs.projection;
+  }
+  
+  if (inputs.timeWindows && inputs.timeWindows.trim()) {
+    const n = source === 'matrix' ? numLocations : source === 'map' ? problem.points.length : problem.geoPoints.length;
+    const { windows, serviceTimes } = parseField('timeWindows', () => parseTimeWindows(inputs.timeWindows, n));
+    // Only locations that restrict the schedule are stored
+    problem.timeWindows = windows
+      .map(([earliest, latest], location) => ({ location, earliest, latest, service: serviceTimes[location] }))
+      .filter(window => isFinite(window.latest) || window.earliest > 0 || window.service > 0);
+  }
+  
+  return problem;
+}
+
+/**
+ * Turn knapsack text inputs into a structured problem
+ * @param {Object} inputs - Knapsack inputs as kept by the dashboard
+ * @returns {Object} Knapsack problem
+ */
+function knapsackFromInputs(inputs) {
+  const mode = inputs.mode || 'fractional';
+  return {
+    mode,
+    approach: inputs.approach,
+    capacity: readNumber('capacity', inputs.capacity),
+    volumeCapacity: readNumber('volumeCapacity', inputs.volumeCapacity),
+    palletCapacity: readNumber('palletCapacity', inputs.palletCapacity),
+    fleet: mode === 'fleet' || (inputs.fleet && inputs.fleet.trim())
+      ? parseField('fleet', () => parseFleet(inputs.fleet || '')).map(({ capacity, cost }) => ({ capacity, cost }))
+      : undefined,
+    packages: parseField('packageDetails', () => parsePackages(inputs.packageDetails || ''))
+      .map(({ name, weight, profit, volume, pallets }) => ({ name, weight, value: profit, volume, pallets }))
+  };
+}
+
+const FROM_INPUTS = {
+  multistage: multistageFromInputs,
+  tsp: tspFromInputs,
+  knapsack: knapsackFromInputs
+};
+
+/**
+ * Text value of an optional number
+ * @param {number|undefined} value - Number
+ * @returns {string|undefined} Text, or undefined to keep the dashboard's current value
+ */
+const asText = (value) => (value === undefined ? undefined : String(value));
+
+/**
+ * Text value of optional problem data, which must not survive from the previous inputs
+ * @param {string|undefined} value - Text
+ * @returns {string} Text, or empty to clear the input
+ */
+const orEmpty = (value) => (value === undefined ? '' : value);
+
+/**
+ * Drop undefined fields so the dashboard's defaults fill in settings the scenario leaves out
+ * @param {Object} object - Fields
+ * @returns {Object} Defined fields
+ */
+const defined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+/**
+ * Turn a structured multistage problem back into dashboard text inputs
+ * @param {Object} problem - Multistage problem
+ * @returns {Object} Multistage inputs
+ */
+function multistageToInputs(problem) {
+  return defined({
+    layout: problem.layout,
+    stages: asText(problem.stages),
+    nodesPerStage: asText(problem.nodesPerStage),
+    stageSizes: problem.stageSizes ? problem.stageSizes.join(',') : undefined,
+    edgeCosts: edgesToText(problem.edges),
+    alternatives: asText(problem.alternatives)
+  });
+}
+
+/**
+ * Turn a structured TSP problem back into dashboard text inputs
+ * @param {Object} problem - TSP problem
+ * @returns {Object} TSP inputs, plus map locations when the source is the map editor
+ */
+function tspToInputs(problem) {
+  return defined({
+    source: problem.source,
+    solver: problem.solver,
+    numLocations: asText(problem.numLocations),
+    asymmetric: problem.asymmetric,
+    distanceMatrix: problem.distances
+      ? problem.distances.map(({ from, to, distance }) => `${from}-${to}:${distance}`).join(', ')
+      : undefined,
+    geoPoints: problem.geoPoints ? formatGeoPoints(problem.geoPoints) : undefined,
+    distanceUnit: problem.distanceUnit,
+    projection: problem.projection,
+    localSearch: problem.localSearch,
+    seed: orEmpty(asText(problem.seed)),
+    iterations: asText(problem.iterations),
+    coolingRate: asText(problem.coolingRate),
+    generations: asText(problem.generations),
+    populationSize: asText(problem.populationSize),
+    timeWindows: problem.timeWindows
+      ? problem.timeWindows.map(({ location, earliest, latest, service }) => (
+        service ? `${location}:${earliest}-${latest}:${service}` : `${location}:${earliest}-${latest}`
+      )).join(', ')
+      : '',
+    speed: asText(problem.speed)
+  });
+}
+
+/**
+ * Turn a structured knapsack problem back into dashboard text inputs
+ * @param {Object} problem - Knapsack problem
+ * @returns {Object} Knapsack inputs
+ */
+function knapsackToInputs(problem) {
+  return defined({
+    mode: problem.mode,
+    approach: problem.approach,
+    capacity: asText(problem.capacity),
+    volumeCapacity: orEmpty(asText(problem.volumeCapacity)),
+    palletCapacity: orEmpty(asText(problem.palletCapacity)),
+    fleet: problem.fleet ? problem.fleet.map(({ capacity, cost }) => (cost ? `${capacity}:${cost}` : `${capacity}`)).join(', ') : '',
+    packageDetails: packagesToText(problem.packages)
+  });
+}
+
+// ========================================
+// MIGRATION, LOAD AND SAVE
+// ========================================
+
+// Version 1 inputs that are not text: the TSP flags and the map editor locations
+const V1_INPUT_TYPES = {
+  asymmetric: ['boolean', 'true or false'],
+  localSearch: ['boolean', 'true or false'],
+  points: ['object', 'a list of locations'],
+  scale: ['number', 'a number']
+};
+
+/**
+ * Check the types of version 1 inputs before the text parsers see them
+ * @param {Object} inputs - Version 1 inputs
+ * @returns {Array} Issues with path and message
+ */
+function checkV1Inputs(inputs) {
+  return Object.entries(inputs).flatMap(([key, value]) => {
+    const [type, description] = Object.hasOwn(V1_INPUT_TYPES, key) ? V1_INPUT_TYPES[key] : ['string', 'text'];
+    const valid = type === 'object'
+      ? Array.isArray(value) && value.every(point => point && typeof point === 'object')
+      : typeof value === type;
+    return valid ? [] : [{ path: `inputs.${key}`, message: `Expected ${description}` }];
+  });
+}
+
+/**
+ * Migrations from each version to the next
+ */
+const MIGRATIONS = {
+  // Text input snapshot of one algorithm -> structured problems
+  1: (data) => {
+    if (typeof data.algorithm !== 'string' || !Object.hasOwn(FROM_INPUTS, data.algorithm)) {
+      throw new ScenarioError([{ path: 'algorithm', message: 'Expected "multistage", "tsp" or "knapsack"' }]);
+    }
+    if (!data.inputs || typeof data.inputs !== 'object' || Array.isArray(data.inputs)) {
+      throw new ScenarioError([{ path: 'inputs', message: 'Expected an object of inputs' }]);
+    }
+    const typeIssues = checkV1Inputs(data.inputs);
+    if (typeIssues.length > 0) {
+      throw new ScenarioError(typeIssues);
+    }
+    
+    let problem;
+    try {
+      problem = FROM_INPUTS[data.algorithm](data.inputs, { points: data.inputs.points, scale: data.inputs.scale });
+    } catch (error) {
+      if (error instanceof ScenarioError) {
+        throw new ScenarioError(error.issues.map(issue => ({ ...issue, path: `inputs.${issue.path}` })));
+      }
+      throw error;
+    }
+    
+    return {
+      format: SCENARIO_FORMAT,
+      version: 2,
+      name: data.name,
+      selected: data.algorithm,
+      problems: { [data.algorithm]: problem }
+    };
+  }
+};
+
+/**
+ * Bring a scenario of any known version up to the current version
+ * @param {Object} data - Parsed scenario JSON
+ * @returns {Object} Scenario in the current version (not yet validated)
+ */
+export function migrateScenario(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ScenarioError([{ path: '(root)', message: 'Expected a scenario object' }]);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new ScenarioError([{ path: 'version', message: 'Expected a version number' }]);
+  }
+  if (data.version > SCENARIO_VERSION) {
+    throw new ScenarioError([{ path: 'version', message: `Version ${data.version} is newer than this dashboard supports (${SCENARIO_VERSION})` }]);
+  }
+  
+  let scenario = data;
+  for (let version = data.version; version < SCENARIO_VERSION; version++) {
+    scenario = MIGRATIONS[version](scenario);
+  }
+  return scenario;
+}
+
+/**
+ * Read a scenario file
+ * @param {string} text - JSON contents
+ * @returns {Object} Validated scenario in the current version, and the version it was saved in
+ */
+export function loadScenario(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ScenarioError([{ path: '(root)', message: 'The file is not valid JSON' }]);
+  }
+  
+  const scenario = migrateScenario(data);
+  const parsed = scenarioSchema.safeParse(scenario);
+  if (!parsed.success) {
+    throw new ScenarioError(parsed.error.issues.map(issue => ({ path: formatPath(issue.path), message: issue.message })));
+  }
+  
+  return { scenario: parsed.data, fromVersion: data.version };
+}
+
+/**
+ * Dashboard inputs described by a scenario
+ * Apply each problem's inputs over the dashboard defaults, not over the current inputs
+ * @param {Object} scenario - Validated scenario
+ * @returns {Object} Text inputs per problem, map locations and scale (when stored) and the selected algorithm
+ */
+export function scenarioToInputs(scenario) {
+  const { multistage, tsp, knapsack } = scenario.problems;
+  return {
+    selected: scenario.selected || Object.keys(scenario.problems).find(key => scenario.problems[key]),
+    multistage: multistage ? multistageToInputs(multistage) : null,
+    tsp: tsp ? tspToInputs(tsp) : null,
+    mapPoints: tsp && tsp.points ? tsp.points.map(({ x, y }, id) => ({ id, x, y })) : null,
+    mapScale: tsp && tsp.points ? tsp.scale || 1 : null,
+    knapsack: knapsack ? knapsackToInputs(knapsack) : null
+  };
+}
+
+/**
+ * Build a scenario from the dashboard inputs
+ * The selected problem must be valid; the other problems are included when they are
+ * @param {Object} state - selected algorithm, multistage, tsp and knapsack inputs, mapPoints and mapScale
+ * @param {string} name - Scenario name
+ * @returns {Object} Validated scenario in the current version
+ */
+export function inputsToScenario(state, name = '') {
+  const problems = {};
+  
+  for (const key of Object.keys(FROM_INPUTS)) {
+    try {
+      // The JSON round trip drops undefined fields and turns NaN into null, which the schema rejects
+      const problem = JSON.parse(JSON.stringify(FROM_INPUTS[key](state[key], { points: state.mapPoints, scale: state.mapScale })));
+      const parsed = PROBLEM_SCHEMAS[key].safeParse(problem);
+      if (!parsed.success) {
+        throw new ScenarioError(parsed.error.issues.map(issue => ({ path: formatPath(issue.path), message: issue.message })));
+      }
+      problems[key] = parsed.data;
+    } catch (error) {
+      if (key !== state.selected) continue;
+      if (error instanceof ScenarioError) {
+        throw new ScenarioError(error.issues.map(issue => ({ ...issue, path: `${key}.${issue.path}` })));
+      }
+      throw error;
+    }
+  }
+  
+  if (Object.keys(problems).length === 0) {
+    throw new ScenarioError([{ path: '(root)', message: 'Select the multistage, TSP or knapsack algorithm to save a scenario' }]);
+  }
+  
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    ...(name && { name }),
+    ...(problems[state.selected] && { selected: state.selected }),
+    problems
+  };
+}
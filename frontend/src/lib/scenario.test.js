@@ -0,0 +1,212 @@
+import { loadScenario, migrateScenario, scenarioToInputs, inputsToScenario, ScenarioError, SCENARIO_FORMAT, SCENARIO_VERSION } from './scenario';
+
+const multistage = {
+  stages: '4',
+  nodesPerStage: '2',
+  edgeCosts: '0-1:2, 0-2:3, 1-3:4, 2-3:5, 1-4:3, 2-4:5, 3-5:1, 4-5:2',
+  layout: 'uniform',
+  stageSizes: '1,2,2,1',
+  alternatives: '3'
+};
+
+const tsp = {
+  source: 'matrix',
+  numLocations: '4',
+  distanceMatrix: '0-1:10, 0-2:15, 0-3:20, 1-2:35, 1-3:25, 2-3:30',
+  solver: 'time-windows',
+  asymmetric: false,
+  localSearch: true,
+  seed: '42',
+  iterations: '10000',
+  coolingRate: '0.999',
+  generations: '300',
+  populationSize: '50',
+  timeWindows: '0:0-480, 1:60-120:10, 3:90-180',
+  speed: '60',
+  geoPoints: '',
+  distanceUnit: 'km',
+  projection: 'equirectangular'
+};
+
+const knapsack = {
+  capacity: '50',
+  packageDetails: '10:60:electronics, 20:100:furniture:2.5:1, 15:120:appliances:4',
+  mode: 'fleet',
+  approach: '3',
+  volumeCapacity: '',
+  palletCapacity: '',
+  fleet: '30:120, 30, 20:70'
+};
+
+const state = { selected: 'tsp', multistage, tsp, knapsack, mapPoints: [], mapScale: 1 };
+
+// Load a scenario object as if it came from a file
+const load = (data) => loadScenario(JSON.stringify(data));
+
+// Issues of the ScenarioError thrown by fn
+const issuesOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ScenarioError);
+    return error.issues;
+  }
+  throw new Error('Expected a ScenarioError');
+};
+
+describe('round trip', () => {
+  test('saving and loading gives back the text inputs', () => {
+    const { scenario, fromVersion } = loadScenario(JSON.stringify(inputsToScenario(state, 'Depot run')));
+    const inputs = scenarioToInputs(scenario);
+    
+    expect(fromVersion).toBe(SCENARIO_VERSION);
+    expect(scenario.name).toBe('Depot run');
+    expect(inputs.selected).toBe('tsp');
+    expect(inputs.multistage).toEqual({ ...multistage, stageSizes: undefined });
+    expect(inputs.knapsack).toEqual(knapsack);
+    expect(inputs.tsp).toEqual({
+      source: 'matrix',
+      solver: 'time-windows',
+      numLocations: '4',
+      asymmetric: false,
+      distanceMatrix: tsp.distanceMatrix,
+      localSearch: true,
+      seed: '42',
+      iterations: '10000',
+      coolingRate: '0.999',
+      generations: '300',
+      populationSize: '50',
+      timeWindows: tsp.timeWindows,
+      speed: '60'
+    });
+    expect(inputs.mapPoints).toBeNull();
+  });
+  
+  test('stores problems as structured data', () => {
+    const { problems } = inputsToScenario(state);
+    
+    expect(problems.tsp.distances).toContainEqual({ from: 1, to: 3, distance: 25 });
+    expect(problems.tsp.timeWindows).toEqual([
+      { location: 0, earliest: 0, latest: 480, service: 0 },
+      { location: 1, earliest: 60, latest: 120, service: 10 },
+      { location: 3, earliest: 90, latest: 180, service: 0 }
+    ]);
+    expect(problems.knapsack.packages[1]).toEqual({ name: 'furniture', weight: 20, value: 100, volume: 2.5, pallets: 1 });
+    expect(problems.knapsack.fleet).toEqual([{ capacity: 30, cost: 120 }, { capacity: 30, cost: 0 }, { capacity: 20, cost: 70 }]);
+  });
+  
+  test('keeps map locations and their scale', () => {
+    const points = [{ id: 0, x: 10, y: 20 }, { id: 1, x: 300, y: 150 }, { id: 2, x: 90, y: 60 }];
+    const scenario = inputsToScenario({ ...state, tsp: { ...tsp, source: 'map', timeWindows: '' }, mapPoints: points, mapScale: 2.5 });
+    const inputs = scenarioToInputs(load(scenario).scenario);
+    
+    expect(inputs.mapPoints).toEqual(points);
+    expect(inputs.mapScale).toBe(2.5);
+    expect(inputs.tsp.timeWindows).toBe('');
+  });
+  
+  test('leaves out problems that are not valid unless they are selected', () => {
+    const scenario = inputsToScenario({ ...state, knapsack: { ...knapsack, packageDetails: '10:60' } });
+    
+    expect(Object.keys(scenario.problems)).toEqual(['multistage', 'tsp']);
+    expect(issuesOf(() => inputsToScenario({ ...state, selected: 'knapsack', knapsack: { ...knapsack, packageDetails: '10:60' } })))
+      .toEqual([{ path: 'knapsack.packageDetails', message: 'Invalid format. Use weight:value:name[:volume[:pallets]]' }]);
+  });
+});
+
+describe('schema validation', () => {
+  const valid = () => inputsToScenario(state);
+  
+  test('reports each invalid field by its path', () => {
+    const scenario = valid();
+    scenario.problems.knapsack.packages[2].weight = -1;
+    scenario.problems.tsp.distances[0].distance = 'far';
+    
+    expect(issuesOf(() => load(scenario)).map(issue => issue.path)).toEqual([
+      'problems.tsp.distances[0].distance',
+      'problems.knapsack.packages[2].weight'
+    ]);
+  });
+  
+  test('checks fields each mode or source requires', () => {
+    const scenario = valid();
+    delete scenario.problems.knapsack.fleet;
+    delete scenario.problems.tsp.distances;
+    scenario.problems.multistage.layout = 'custom';
+    
+    expect(issuesOf(() => load(scenario))).toEqual([
+      { path: 'problems.multistage.stageSizes', message: 'Required for the custom layout' },
+      { path: 'problems.tsp.distances', message: 'Required for the matrix source' },
+      { path: 'problems.knapsack.fleet', message: 'Required for the fleet mode' }
+    ]);
+  });
+  
+  test('checks locations against the number of locations', () => {
+    const scenario = valid();
+    scenario.problems.tsp.distances.push({ from: 0, to: 7, distance: 1 });
+    scenario.problems.tsp.timeWindows.push({ location: 2, earliest: 50, latest: 10 });
+    
+    expect(issuesOf(() => load(scenario))).toEqual([
+      { path: 'problems.tsp.distances[6].to', message: 'Location 7 is out of range (0-3)' },
+      { path: 'problems.tsp.timeWindows[3].latest', message: 'Window ends before it starts' }
+    ]);
+  });
+  
+  test('rejects names that would break the text inputs', () => {
+    const scenario = valid();
+    scenario.problems.knapsack.packages[0].name = 'a,b';
+    
+    expect(issuesOf(() => load(scenario))).toEqual([
+      { path: 'problems.knapsack.packages[0].name', message: 'Must not contain commas or colons' }
+    ]);
+  });
+  
+  test('rejects files that are not scenarios', () => {
+    expect(issuesOf(() => loadScenario('{ not json'))).toEqual([{ path: '(root)', message: 'The file is not valid JSON' }]);
+    expect(issuesOf(() => load([1, 2]))).toEqual([{ path: '(root)', message: 'Expected a scenario object' }]);
+    expect(issuesOf(() => load({ format: SCENARIO_FORMAT }))).toEqual([{ path: 'version', message: 'Expected a version number' }]);
+    expect(issuesOf(() => load({ ...valid(), version: SCENARIO_VERSION + 1 }))[0].message)
+      .toBe(`Version ${SCENARIO_VERSION + 1} is newer than this dashboard supports (${SCENARIO_VERSION})`);
+    expect(issuesOf(() => load({ ...valid(), format: 'other' }))[0].path).toBe('format');
+    expect(issuesOf(() => load({ ...valid(), problems: {} }))).toEqual([{ path: 'problems', message: 'The scenario holds no problem' }]);
+  });
+});
+
+describe('version 1 migration', () => {
+  test('turns one algorithm\'s text inputs into a structured problem', () => {
+    const { scenario, fromVersion } = load({ version: 1, name: 'Old', algorithm: 'knapsack', inputs: knapsack });
+    
+    expect(fromVersion).toBe(1);
+    expect(scenario).toMatchObject({ format: SCENARIO_FORMAT, version: SCENARIO_VERSION, name: 'Old', selected: 'knapsack' });
+    expect(Object.keys(scenario.problems)).toEqual(['knapsack']);
+    expect(scenarioToInputs(scenario).knapsack.packageDetails).toBe(knapsack.packageDetails);
+  });
+  
+  test('reads the map locations stored with the inputs', () => {
+    const points = [{ x: 1, y: 2 }, { x: 3, y: 4 }];
+    const { scenario } = load({ version: 1, algorithm: 'tsp', inputs: { source: 'map', solver: 'held-karp', points, scale: 3 } });
+    
+    expect(scenario.problems.tsp).toMatchObject({ source: 'map', solver: 'held-karp', points, scale: 3 });
+  });
+  
+  test('checks input types before parsing', () => {
+    const inputs = { ...tsp, asymmetric: 'yes', seed: 42, points: [{ x: 1, y: 2 }, null], scale: '2' };
+    
+    expect(issuesOf(() => migrateScenario({ version: 1, algorithm: 'tsp', inputs }))).toEqual([
+      { path: 'inputs.asymmetric', message: 'Expected true or false' },
+      { path: 'inputs.seed', message: 'Expected text' },
+      { path: 'inputs.points', message: 'Expected a list of locations' },
+      { path: 'inputs.scale', message: 'Expected a number' }
+    ]);
+  });
+  
+  test('reports parse errors under the inputs', () => {
+    expect(issuesOf(() => migrateScenario({ version: 1, algorithm: 'multistage', inputs: { ...multistage, edgeCosts: '0-1' } })))
+      .toEqual([{ path: 'inputs.edgeCosts', message: 'Cannot read "0-1"' }]);
+  });
+  
+  test('rejects an unknown algorithm or missing inputs', () => {
+    expect(issuesOf(() => migrateScenario({ version: 1, algorithm: 'toString', inputs: {} }))[0].path).toBe('algorithm');
+    expect(issuesOf(() => migrateScenario({ version: 1, algorithm: 'tsp', inputs: [] }))[0].path).toBe('inputs');
+  });
+});
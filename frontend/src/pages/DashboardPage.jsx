@@ -1,15 +1,83 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
-import { Truck, Package, Route, ArrowLeft, Play, RotateCcw, Clock, TrendingDown } from 'lucide-react';
+import { Truck, Package, Route, Waypoints, Navigation, ArrowLeft, Play, Pause, StepBack, StepForward, SkipBack, SkipForward, RotateCcw, Clock, TrendingDown, Upload, Download } from 'lucide-react';
 import { toast } from 'sonner';
-import { fractionalKnapsack, generateRandomBoxes } from '@/components/algorithms/FractionalKnapsack';
-import { multiStageGraphWithEdges } from '@/components/algorithms/MultiStageGraph';
-import { tsp } from '@/components/algorithms/TSP';
+import { fractionalKnapsack, compareApproaches, parsePackages, APPROACH_NAMES } from '@/components/algorithms/FractionalKnapsack';
+import { multiConstraintKnapsack, multiConstraintValueGap } from '@/components/algorithms/MultiConstraintKnapsack';
+import { zeroOneKnapsack, knapsackValueGap } from '@/components/algorithms/ZeroOneKnapsack';
+import { fleetLoading, parseFleet } from '@/components/algorithms/FleetLoading';
+import { shortestPath } from '@/components/algorithms/ShortestPath';
+import { multiStageGraphWithEdges, buildMultiStageGraph, parseStageSizes } from '@/components/algorithms/MultiStageGraph';
+import { tsp, tspExact, tspAnnealing, tspGenetic, parseDistanceMatrix, buildDistanceMatrix, generateCityPositions, tourDistance } from '@/components/algorithms/TSP';
+import { tspTimeWindows, parseTimeWindows } from '@/components/algorithms/TSPTimeWindows';
+import { parseTsplib, parseTour, tsplibCityPositions } from '@/components/algorithms/TSPLIB';
+import { buildGeoDistanceMatrix, projectPoints, parseGeoPoints, formatGeoPoints, parseGeoJson, toGeoJson } from '@/components/algorithms/Geo';
+import { vehicleRouting, parseDemands, parseCapacities } from '@/components/algorithms/VehicleRouting';
+import { parseCsv, guessColumnMapping, packagesToText, edgesToText, geoLocationsToText, fitLocations, resultToCsv, downloadText } from '@/lib/csv';
+import { loadScenario, scenarioToInputs, inputsToScenario, SCENARIO_VERSION } from '@/lib/scenario';
+import { formatDistance, formatMinutes, ROUTE_COLORS } from '@/lib/display';
+import TruckAnimation from '@/components/animations/TruckAnimation';
+import MultiStageAnimation from '@/components/animations/MultiStageAnimation';
+import GraphAnimation from '@/components/animations/GraphAnimation';
+import KnapsackAnimation from '@/components/animations/KnapsackAnimation';
+import DecisionTables from '@/components/charts/DecisionTables';
+import DPTable from '@/components/charts/DPTable';
+import TimelineChart from '@/components/charts/TimelineChart';
+import ConvergenceChart from '@/components/charts/ConvergenceChart';
+import ParetoChart from '@/components/charts/ParetoChart';
+import ApproachComparisonChart from '@/components/charts/ApproachComparisonChart';
+import MatrixEditor from '@/components/inputs/MatrixEditor';
+import CsvImportPanel from '@/components/inputs/CsvImportPanel';
+
+// Sample inputs the dashboard starts with; a loaded scenario is applied over these
+const DEFAULT_MULTISTAGE_INPUTS = {
+  stages: '4',
+  nodesPerStage: '3',
+  edgeCosts: '0-1:2, 0-2:3, 1-3:4, 2-3:5, 1-4:3, 2-4:5, 3-5:1, 4-5:2',
+  layout: 'uniform',
+  stageSizes: '1,2,2,1',
+  alternatives: '3'
+};
+
+const DEFAULT_TSP_INPUTS = {
+  source: 'matrix',
+  numLocations: '5',
+  distanceMatrix: '0-1:10, 0-2:15, 0-3:20, 1-2:35, 1-3:25, 2-3:30, 0-4:12, 1-4:20, 2-4:25, 3-4:18',
+  solver: 'nearest-neighbor',
+  asymmetric: false,
+  localSearch: false,
+  seed: '42',
+  iterations: '10000',
+  coolingRate: '0.999',
+  generations: '300',
+  populationSize: '50',
+  timeWindows: '0:0-480, 1:60-120:10, 2:0-60:15, 3:90-180:10, 4:30-90:5',
+  speed: '60',
+  geoPoints: '52.52:13.405:Berlin, 48.137:11.575:Munich, 50.11:8.68:Frankfurt, 53.551:9.994:Hamburg, 50.938:6.96:Cologne',
+  distanceUnit: 'km',
+  projection: 'equirectangular'
+};
+
+const DEFAULT_KNAPSACK_INPUTS = {
+  capacity: '50',
+  packageDetails: '10:60:electronics, 20:100:furniture, 15:120:appliances',
+  mode: 'fractional',
+  approach: '3',
+  volumeCapacity: '',
+  palletCapacity: '',
+  fleet: '30:120, 30:120, 20:70'
+};
+
+// Milliseconds the map editor waits after the last edit before re-solving
+const LIVE_SOLVE_DELAY = 250;
+
+// Toast id shared by live map solving errors
+const LIVE_SOLVE_TOAST = 'live-solve';
 
 export default function DashboardPage() {
   const navigate = useNavigate();
@@ -18,35 +86,162 @@ export default function DashboardPage() {
   const [selectedAlgorithm, setSelectedAlgorithm] = useState('multistage');
   
   // Input states for different algorithms
-  const [multistageInputs, setMultistageInputs] = useState({
-    stages: '4',
-    nodesPerStage: '3',
-    edgeCosts: '0-1:2, 0-2:3, 1-3:4, 2-3:5, 1-4:3, 2-4:5, 3-5:1, 4-5:2'
-  });
+  const [multistageInputs, setMultistageInputs] = useState(DEFAULT_MULTISTAGE_INPUTS);
+  
+  const [tspInputs, setTspInputs] = useState(DEFAULT_TSP_INPUTS);
+  
+  // Locations placed on the map editor; index 0 is the warehouse
+  const [mapPoints, setMapPoints] = useState(() => generateCityPositions(5, 600, 300, 42));
+  // Distance units per canvas unit, set when locations are imported with real coordinates
+  const [mapScale, setMapScale] = useState(1);
   
-  const [tspInputs, setTspInputs] = useState({
+  // Loaded TSPLIB benchmark instance and, optionally, its known optimal tour
+  const [tsplib, setTsplib] = useState(null);
+  const tsplibInputRef = useRef(null);
+  const tourInputRef = useRef(null);
+  const geoJsonInputRef = useRef(null);
+  
+  // CSV file being previewed before import: kind, headers, rows and column mapping
+  const [csvImport, setCsvImport] = useState(null);
+  const csvInputRef = useRef(null);
+  const csvKindRef = useRef(null);
+  
+  const scenarioInputRef = useRef(null);
+  
+  const [vrpInputs, setVrpInputs] = useState({
     numLocations: '5',
-    distanceMatrix: '0-1:10, 0-2:15, 0-3:20, 1-2:35, 1-3:25, 2-3:30, 0-4:12, 1-4:20, 2-4:25, 3-4:18'
+    distanceMatrix: '0-1:10, 0-2:15, 0-3:20, 1-2:35, 1-3:25, 2-3:30, 0-4:12, 1-4:20, 2-4:25, 3-4:18',
+    demands: '1:10, 2:15, 3:20, 4:12',
+    capacities: '30, 30'
   });
   
-  const [knapsackInputs, setKnapsackInputs] = useState({
-    capacity: '50',
-    packageDetails: '10:60:electronics, 20:100:furniture, 15:120:appliances'
+  const [shortestPathInputs, setShortestPathInputs] = useState({
+    edgeCosts: '0-1:4, 0-2:1, 2-1:2, 1-3:1, 2-3:5, 3-4:3, 4-0:7, 3-2:2',
+    source: '0',
+    target: '4',
+    method: 'auto'
   });
   
+  const [knapsackInputs, setKnapsackInputs] = useState(DEFAULT_KNAPSACK_INPUTS);
+  
   // Calculation states
   const [isCalculating, setIsCalculating] = useState(false);
   const [result, setResult] = useState(null);
   const [showAnimation, setShowAnimation] = useState(false);
   
   // Animation state
-  const [animationProgress, setAnimationProgress] = useState(0);
   const [currentStep, setCurrentStep] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  
+  // Pareto path picked on the cost vs. time chart (index into result.paretoFront)
+  const [selectedParetoPath, setSelectedParetoPath] = useState(null);
+  
+  // While the trace is replaying the animations show decisions, then the result
+  const traceLength = result?.trace ? result.trace.length : 0;
+  const traceStep = currentStep < traceLength ? currentStep : null;
+  const replayStep = Math.max(0, currentStep - traceLength);
+  
+  // Solver decisions (when traced) are replayed before the route or load itself
+  const totalSteps = result ? traceLength + (
+                     result.type === 'multistage' || result.type === 'shortest-path' ? result.path.length : 
+                     result.type === 'tsp' ? (result.baseTour || result.tour).length + (result.improvementMoves?.length || 0) :
+                     result.type === 'vrp' ? Math.max(0, ...result.routes.map(route => route.tour.length)) :
+                     result.selectedPackages.length) : 0;
+  const animationProgress = totalSteps > 0 ? ((currentStep + 1) / totalSteps) * 100 : 0;
 
   const algorithms = [
     { id: 'multistage', name: 'Multi-Stage Graph', icon: Route, color: 'primary' },
     { id: 'tsp', name: 'TSP Route', icon: Truck, color: 'secondary' },
-    { id: 'knapsack', name: 'Knapsack Loading', icon: Package, color: 'accent' }
+    { id: 'knapsack', name: 'Knapsack Loading', icon: Package, color: 'accent' },
+    { id: 'vrp', name: 'Fleet Routing', icon: Waypoints, color: 'warning' },
+    { id: 'shortest-path', name: 'Shortest Path', icon: Navigation, color: 'primary' }
+  ];
+
+  const shortestPathMethods = [
+    { id: 'auto', name: 'Auto' },
+    { id: 'dijkstra', name: 'Dijkstra' },
+    { id: 'bellman-ford', name: 'Bellman-Ford' }
+  ];
+
+  const stageLayouts = [
+    { id: 'uniform', name: 'Uniform' },
+    { id: 'custom', name: 'Per Stage' },
+    { id: 'auto', name: 'From Edges' }
+  ];
+
+  const playbackSpeeds = [0.25, 0.5, 1, 2, 4];
+
+  const tspSources = [
+    { id: 'matrix', name: 'Distance Matrix' },
+    { id: 'map', name: 'Map Editor' },
+    { id: 'tsplib', name: 'TSPLIB' },
+    { id: 'geo', name: 'Lat/Lon' }
+  ];
+
+  const distanceUnits = [
+    { id: 'km', name: 'Kilometers' },
+    { id: 'mi', name: 'Miles' }
+  ];
+
+  const mapProjections = [
+    { id: 'equirectangular', name: 'Equirectangular' },
+    { id: 'mercator', name: 'Web Mercator' }
+  ];
+
+  const getMultistageOptions = () => ({
+    stageSizes: multistageInputs.layout === 'custom' ? parseStageSizes(multistageInputs.stageSizes) : null,
+    deriveStages: multistageInputs.layout === 'auto',
+    alternatives: Math.max(1, parseInt(multistageInputs.alternatives) || 1)
+  });
+
+  // Validate the multistage graph as it is typed
+  const multistagePreview = useMemo(() => {
+    try {
+      const { diagnostics, n } = buildMultiStageGraph(
+        multistageInputs.stages,
+        multistageInputs.nodesPerStage,
+        multistageInputs.edgeCosts,
+        getMultistageOptions()
+      );
+      return { diagnostics, n };
+    } catch (error) {
+      return { diagnostics: [{ code: 'invalid-layout', severity: 'error', message: error.message }], n: 0 };
+    }
+  }, [multistageInputs]);
+  const multistageDiagnostics = multistagePreview.diagnostics;
+  
+  // Edge diagnostics keyed by cell for the matrix editor, errors taking precedence
+  const multistageCellIssues = {};
+  multistageDiagnostics.filter(d => d.edge).forEach(d => {
+    const key = `${d.edge.from}-${d.edge.to}`;
+    if (!multistageCellIssues[key] || d.severity === 'error') {
+      multistageCellIssues[key] = d;
+    }
+  });
+  
+  // Which text inputs are also shown as a grid
+  const [matrixGrids, setMatrixGrids] = useState({ multistage: false, tsp: false });
+
+  const knapsackModes = [
+    { id: 'fractional', name: 'Fractional' },
+    { id: 'zero-one', name: '0/1 (No Splitting)' },
+    { id: 'fleet', name: 'Fleet (Bin Packing)' }
+  ];
+
+  const knapsackApproaches = [
+    { id: '1', name: APPROACH_NAMES[1] },
+    { id: '2', name: APPROACH_NAMES[2] },
+    { id: '3', name: APPROACH_NAMES[3] },
+    { id: 'compare', name: 'Compare All' }
+  ];
+
+  const tspSolvers = [
+    { id: 'nearest-neighbor', name: 'Nearest Neighbor' },
+    { id: 'held-karp', name: 'Held-Karp (Exact)' },
+    { id: 'simulated-annealing', name: 'Simulated Annealing' },
+    { id: 'genetic', name: 'Genetic Algorithm' },
+    { id: 'time-windows', name: 'Time Windows' }
   ];
 
   // ========================================
@@ -58,6 +253,236 @@ export default function DashboardPage() {
   // Fractional Knapsack: @/components/algorithms/FractionalKnapsack
   // TSP: @/components/algorithms/TSP
 
+  // Run the selected TSP solver; positions are null when only distances are known
+  const solveTsp = useCallback((numLocations, cityPositions, distances) => {
+    const seed = parseInt(tspInputs.seed);
+    
+    if (tspInputs.solver === 'held-karp') {
+      return tspExact(numLocations, cityPositions, distances, { seed });
+    } else if (tspInputs.solver === 'simulated-annealing') {
+      return tspAnnealing(numLocations, cityPositions, distances, {
+        seed,
+        iterations: parseInt(tspInputs.iterations),
+        coolingRate: parseFloat(tspInputs.coolingRate)
+      });
+    } else if (tspInputs.solver === 'time-windows') {
+      const { windows, serviceTimes } = parseTimeWindows(tspInputs.timeWindows, numLocations);
+      return tspTimeWindows(numLocations, windows, serviceTimes, tspInputs.speed, cityPositions, distances, { seed });
+    } else if (tspInputs.solver === 'genetic') {
+      return tspGenetic(numLocations, cityPositions, distances, {
+        seed,
+        generations: parseInt(tspInputs.generations),
+        populationSize: parseInt(tspInputs.populationSize)
+      });
+    } else {
+      return tsp(numLocations, cityPositions, distances, { localSearch: tspInputs.localSearch, seed });
+    }
+  }, [tspInputs]);
+
+  // Straight-line distances between map locations, in the units of any imported coordinates
+  const getMapDistances = useCallback(
+    () => buildDistanceMatrix(mapPoints).map(row => row.map(d => d * mapScale)),
+    [mapPoints, mapScale]
+  );
+  
+  // Map editor: ids always follow the array order so index 0 stays the warehouse
+  const updateMapPoints = (update) => {
+    setMapPoints(prev => update(prev).map(({ x, y }, id) => ({ id, x, y })));
+  };
+  
+  const mapEditor = {
+    onAdd: (point) => updateMapPoints(points => [...points, point]),
+    onMove: (idx, point) => updateMapPoints(points => points.map((p, i) => (i === idx ? point : p))),
+    onDelete: (idx) => {
+      if (mapPoints.length <= 2) {
+        toast.warning('Keep at least two locations on the map');
+        return;
+      }
+      updateMapPoints(points => points.filter((_, i) => i !== idx));
+    },
+    onSetWarehouse: (idx) => updateMapPoints(points => [points[idx], ...points.filter((_, i) => i !== idx)])
+  };
+  
+  // Re-solve the map live as locations are placed, moved or removed, or the solver
+  // settings change. Solving waits until edits pause, so a drag solves once rather than
+  // on every pointer move. Errors share one toast that is replaced rather than stacked
+  // and closes once the map solves again
+  useEffect(() => {
+    if (selectedAlgorithm !== 'tsp' || tspInputs.source !== 'map') return;
+    
+    const timeout = setTimeout(() => {
+      try {
+        const liveResult = solveTsp(mapPoints.length, mapPoints, getMapDistances());
+        setResult({ ...liveResult, live: true });
+        setShowAnimation(true);
+        toast.dismiss(LIVE_SOLVE_TOAST);
+      } catch (error) {
+        toast.error(error.message || 'Could not solve the map', { id: LIVE_SOLVE_TOAST });
+      }
+    }, LIVE_SOLVE_DELAY);
+    return () => clearTimeout(timeout);
+  }, [solveTsp, getMapDistances, mapPoints, selectedAlgorithm, tspInputs.source]);
+  
+  // ========================================
+  // CSV IMPORT AND EXPORT
+  // ========================================
+  const openCsvImport = (kind) => {
+    csvKindRef.current = kind;
+    csvInputRef.current.click();
+  };
+  
+  const handleCsvFile = async (event) => {
+    const file = event.target.files[0];
+    // Allow picking the same file again
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const { headers, rows } = parseCsv(await file.text());
+      const kind = csvKindRef.current;
+      setCsvImport({ kind, fileName: file.name, headers, rows, mapping: guessColumnMapping(headers, kind) });
+    } catch (error) {
+      toast.error(error.message || 'Could not read the CSV file');
+    }
+  };
+  
+  const handleCsvConfirm = (records, errors) => {
+    const { kind } = csvImport;
+    
+    if (kind === 'packages') {
+      setKnapsackInputs(prev => ({ ...prev, packageDetails: packagesToText(records) }));
+    } else if (kind === 'edges') {
+      // Imported graphs rarely match the uniform layout, so stages come from the edges
+      setMultistageInputs(prev => ({ ...prev, edgeCosts: edgesToText(records), layout: 'auto' }));
+    } else if (records[0].lat !== undefined) {
+      setTspInputs(prev => ({ ...prev, geoPoints: geoLocationsToText(records), source: 'geo' }));
+    } else {
+      const { points, scale } = fitLocations(records);
+      setMapPoints(points);
+      setMapScale(scale);
+      setTspInputs(prev => ({ ...prev, source: 'map' }));
+    }
+    
+    setCsvImport(null);
+    if (errors.length > 0) {
+      toast.warning(`Imported ${records.length} rows, skipped ${errors.length} with errors`);
+    } else {
+      toast.success(`Imported ${records.length} rows from ${csvImport.fileName}`);
+    }
+  };
+  
+  // TSPLIB files are loaded as is; a new instance drops the optimal tour of the previous one
+  const handleTsplibFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const instance = parseTsplib(await file.text());
+      setTsplib({ instance, optimal: null });
+      toast.success(`Loaded ${instance.name} (${instance.dimension} locations)`);
+    } catch (error) {
+      toast.error(error.message || 'Could not read the TSPLIB file');
+    }
+  };
+  
+  const handleTourFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const { name, tour } = parseTour(await file.text(), tsplib.instance.dimension);
+      setTsplib(prev => ({ ...prev, optimal: { name, tour, length: tourDistance(tour, prev.instance.distances) } }));
+    } catch (error) {
+      toast.error(error.message || 'Could not read the tour file');
+    }
+  };
+  
+  const handleGeoJsonFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    try {
+      const points = parseGeoJson(await file.text());
+      setTspInputs(prev => ({ ...prev, geoPoints: formatGeoPoints(points) }));
+      toast.success(`Imported ${points.length} locations from ${file.name}`);
+    } catch (error) {
+      toast.error(error.message || 'Could not read the GeoJSON file');
+    }
+  };
+  
+  const handleGeoJsonExport = () => {
+    const geoJson = toGeoJson(result.geoPoints, result.tour, parseFloat(result.distance), result.distanceUnit);
+    downloadText('tour.geojson', JSON.stringify(geoJson, null, 2), 'application/geo+json');
+  };
+  
+  // Scenario files hold the multistage, TSP and knapsack inputs together
+  const handleScenarioFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    
+    let loaded;
+    try {
+      loaded = loadScenario(await file.text());
+    } catch (error) {
+      const issues = error.issues || [{ path: file.name, message: error.message }];
+      const lines = issues.slice(0, 4).map(issue => `${issue.path}: ${issue.message}`);
+      if (issues.length > 4) lines.push(`...and ${issues.length - 4} more`);
+      toast.error('The scenario is invalid', {
+        description: <div className="whitespace-pre-line">{lines.join('\n')}</div>
+      });
+      return;
+    }
+    
+    const { scenario, fromVersion } = loaded;
+    const inputs = scenarioToInputs(scenario);
+    // Start from the defaults so nothing from the previous inputs leaks into the scenario
+    if (inputs.multistage) setMultistageInputs({ ...DEFAULT_MULTISTAGE_INPUTS, ...inputs.multistage });
+    if (inputs.tsp) setTspInputs({ ...DEFAULT_TSP_INPUTS, ...inputs.tsp });
+    if (inputs.knapsack) setKnapsackInputs({ ...DEFAULT_KNAPSACK_INPUTS, ...inputs.knapsack });
+    if (inputs.mapPoints) {
+      setMapPoints(inputs.mapPoints);
+      setMapScale(inputs.mapScale);
+    }
+    
+    setSelectedAlgorithm(inputs.selected);
+    handleReset();
+    toast.success(`Loaded ${scenario.name || file.name}`, {
+      description: fromVersion < SCENARIO_VERSION ? `Migrated from scenario version ${fromVersion}` : undefined
+    });
+  };
+  
+  const handleScenarioSave = () => {
+    try {
+      const scenario = inputsToScenario({
+        selected: selectedAlgorithm,
+        multistage: multistageInputs,
+        tsp: tspInputs,
+        knapsack: knapsackInputs,
+        mapPoints,
+        mapScale
+      });
+      downloadText('scenario.json', JSON.stringify(scenario, null, 2), 'application/json');
+    } catch (error) {
+      const issues = error.issues || [{ path: selectedAlgorithm, message: error.message }];
+      toast.error('Could not save the scenario', {
+        description: <div className="whitespace-pre-line">{issues.map(issue => `${issue.path}: ${issue.message}`).join('\n')}</div>
+      });
+    }
+  };
+  
+  const handleCsvExport = () => {
+    try {
+      const { filename, csv } = resultToCsv(result);
+      downloadText(filename, csv);
+    } catch (error) {
+      toast.error(error.message || 'Could not export the result');
+    }
+  };
+
   // ========================================
   // CALCULATION HANDLER
   // ========================================
@@ -65,7 +490,7 @@ export default function DashboardPage() {
     setIsCalculating(true);
     setShowAnimation(false);
     setResult(null);
-    setAnimationProgress(0);
+    setIsPlaying(false);
     setCurrentStep(0);
     
     setTimeout(() => {
@@ -84,8 +509,19 @@ export default function DashboardPage() {
           calculatedResult = multiStageGraphWithEdges(
             multistageInputs.stages, 
             multistageInputs.nodesPerStage,
-            edgeCosts
+            edgeCosts,
+            getMultistageOptions()
           );
+          
+          // Errors would leave the cost at Infinity; they are listed under the input
+          const firstError = calculatedResult.diagnostics.find(d => d.severity === 'error');
+          if (firstError) {
+            throw new Error(firstError.message);
+          }
+          
+          if (!calculatedResult.costCheck.agree) {
+            toast.warning(calculatedResult.costCheck.message);
+          }
         } catch (error) {
           toast.error(error.message || 'Invalid edge costs format');
           setIsCalculating(false);
@@ -93,8 +529,56 @@ export default function DashboardPage() {
         }
       } else if (selectedAlgorithm === 'tsp') {
         try {
-          const distanceMatrixString = tspInputs.distanceMatrix.trim();
-          const numLocations = parseInt(tspInputs.numLocations);
+          if (tspInputs.source === 'map') {
+            calculatedResult = solveTsp(mapPoints.length, mapPoints, getMapDistances());
+          } else if (tspInputs.source === 'geo') {
+            // Great-circle distances; the projection only affects the drawing
+            const points = parseGeoPoints(tspInputs.geoPoints);
+            calculatedResult = solveTsp(
+              points.length,
+              projectPoints(points, tspInputs.projection),
+              buildGeoDistanceMatrix(points, tspInputs.distanceUnit)
+            );
+            calculatedResult.geoPoints = points;
+            calculatedResult.distanceUnit = tspInputs.distanceUnit;
+          } else if (tspInputs.source === 'tsplib') {
+            if (!tsplib) {
+              toast.error('Please load a TSPLIB .tsp file');
+              setIsCalculating(false);
+              return;
+            }
+            
+            const { instance, optimal } = tsplib;
+            const positions = instance.coordinates ? tsplibCityPositions(instance.coordinates, instance.edgeWeightType) : null;
+            calculatedResult = solveTsp(instance.dimension, positions, instance.distances);
+            
+            if (optimal) {
+              calculatedResult.knownOptimum = optimal.length;
+              calculatedResult.knownOptimumGap = (((parseFloat(calculatedResult.distance) - optimal.length) / optimal.length) * 100).toFixed(2);
+            }
+          } else {
+            const distanceMatrixString = tspInputs.distanceMatrix.trim();
+            const numLocations = parseInt(tspInputs.numLocations);
+            
+            if (!distanceMatrixString) {
+              toast.error('Please enter distance matrix');
+              setIsCalculating(false);
+              return;
+            }
+            
+            // Parse distance matrix from string format
+            const distances = parseDistanceMatrix(distanceMatrixString, numLocations, tspInputs.asymmetric);
+            calculatedResult = solveTsp(numLocations, null, distances);
+          }
+        } catch (error) {
+          toast.error(error.message || 'Invalid distance matrix format');
+          setIsCalculating(false);
+          return;
+        }
+      } else if (selectedAlgorithm === 'vrp') {
+        try {
+          const distanceMatrixString = vrpInputs.distanceMatrix.trim();
+          const numLocations = parseInt(vrpInputs.numLocations);
           
           if (!distanceMatrixString) {
             toast.error('Please enter distance matrix');
@@ -102,33 +586,33 @@ export default function DashboardPage() {
             return;
           }
           
-          // Parse distance matrix from string format
-          const distances = Array(numLocations).fill(null).map(() => Array(numLocations).fill(Infinity));
+          const distances = parseDistanceMatrix(distanceMatrixString, numLocations);
+          const demands = parseDemands(vrpInputs.demands, numLocations);
+          const capacities = parseCapacities(vrpInputs.capacities);
           
-          // Set diagonal to 0
-          for (let i = 0; i < numLocations; i++) {
-            distances[i][i] = 0;
+          calculatedResult = vehicleRouting(numLocations, demands, capacities, null, distances);
+        } catch (error) {
+          toast.error(error.message || 'Invalid fleet routing input');
+          setIsCalculating(false);
+          return;
+        }
+      } else if (selectedAlgorithm === 'shortest-path') {
+        try {
+          const edgeCosts = shortestPathInputs.edgeCosts.trim();
+          if (!edgeCosts) {
+            toast.error('Please enter edge costs');
+            setIsCalculating(false);
+            return;
           }
           
-          // Parse edges
-          const edges = distanceMatrixString.split(',');
-          edges.forEach(edge => {
-            const parts = edge.trim().split(/[-:]/);
-            if (parts.length === 3) {
-              const from = parseInt(parts[0]);
-              const to = parseInt(parts[1]);
-              const dist = parseInt(parts[2]);
-              
-              if (!isNaN(from) && !isNaN(to) && !isNaN(dist)) {
-                distances[from][to] = dist;
-                distances[to][from] = dist; // Symmetric
-              }
-            }
-          });
-          
-          calculatedResult = tsp(numLocations, null, distances);
+          calculatedResult = shortestPath(
+            edgeCosts,
+            shortestPathInputs.source,
+            shortestPathInputs.target,
+            shortestPathInputs.method
+          );
         } catch (error) {
-          toast.error(error.message || 'Invalid distance matrix format');
+          toast.error(error.message || 'Invalid road graph');
           setIsCalculating(false);
           return;
         }
@@ -142,42 +626,66 @@ export default function DashboardPage() {
             return;
           }
 
-          const packages = packageString.split(',').map((pkg, index) => {
-            const parts = pkg.trim().split(':');
-            if (parts.length !== 3) {
-              throw new Error('Invalid format. Use weight:value:name');
+          const packages = parsePackages(packageString);
+
+          if (knapsackInputs.mode === 'fleet') {
+            // Every package goes on some truck; the bays replay the loading order
+            calculatedResult = fleetLoading(packages, parseFleet(knapsackInputs.fleet));
+            calculatedResult.selectedPackages = calculatedResult.placements.map(({ box, vehicle }) => ({
+              id: box.index,
+              weight: box.weight,
+              value: box.profit,
+              name: box.name,
+              fraction: 1,
+              takenWeight: box.weight,
+              takenValue: box.profit,
+              vehicle
+            }));
+            calculatedResult.allPackages = packages;
+            
+            if (calculatedResult.unassigned.length > 0) {
+              toast.warning(`${calculatedResult.unassigned.length} packages did not fit on any truck`);
+            }
+          } else {
+            const capacity = parseInt(knapsackInputs.capacity);
+            if (isNaN(capacity) || capacity <= 0) {
+              throw new Error('Truck capacity must be a positive number');
             }
-            const weight = parseFloat(parts[0]);
-            const profit = parseFloat(parts[1]);
-            const name = parts[2].trim();
+            const volumeCapacity = knapsackInputs.volumeCapacity.trim() ? parseFloat(knapsackInputs.volumeCapacity) : null;
+            const palletCapacity = knapsackInputs.palletCapacity.trim() ? parseFloat(knapsackInputs.palletCapacity) : null;
             
-            if (isNaN(weight) || isNaN(profit)) {
-              throw new Error('Weight and value must be numbers');
+            if (volumeCapacity !== null || palletCapacity !== null) {
+              // Extra vehicle limits switch to the multi-constraint loader
+              const limits = { weight: capacity, volume: volumeCapacity, pallets: palletCapacity };
+              calculatedResult = multiConstraintKnapsack(packages, limits, knapsackInputs.mode);
+              calculatedResult.valueGap = multiConstraintValueGap(packages, limits);
+            } else if (knapsackInputs.mode === 'zero-one') {
+              calculatedResult = zeroOneKnapsack(packages, capacity);
+            } else if (knapsackInputs.approach === 'compare') {
+              // Animate the ratio-based load and chart all three side by side
+              const comparison = compareApproaches(packages, capacity);
+              calculatedResult = { ...comparison[2], comparison };
+            } else {
+              calculatedResult = fractionalKnapsack(packages, parseInt(knapsackInputs.approach), capacity, []);
+            }
+            if (!calculatedResult.valueGap) {
+              calculatedResult.valueGap = knapsackValueGap(packages, capacity);
             }
             
-            return {
-              index,
-              weight,
-              profit,
-              name,
-              ratio: profit / weight
-            };
-          });
-
-          calculatedResult = fractionalKnapsack(packages, 3, parseInt(knapsackInputs.capacity));
-          
-          // Map to expected format for animation with names
-          calculatedResult.selectedPackages = calculatedResult.selectedBoxes.map(box => ({
-            id: box.index,
-            weight: box.weight,
-            value: box.profit,
-            name: box.name,
-            fraction: box.fraction,
-            takenWeight: box.takenWeight,
-            takenValue: box.takenProfit
-          }));
-          calculatedResult.totalValue = calculatedResult.totalProfit;
-          calculatedResult.allPackages = packages;
+            // Map to expected format for animation with names
+            calculatedResult.selectedPackages = calculatedResult.selectedBoxes.map(box => ({
+              id: box.index,
+              weight: box.weight,
+              value: box.profit,
+              name: box.name,
+              fraction: box.fraction,
+              takenWeight: box.takenWeight,
+              takenValue: box.takenProfit,
+              takenVolume: box.takenVolume
+            }));
+            calculatedResult.totalValue = calculatedResult.totalProfit;
+            calculatedResult.allPackages = packages;
+          }
         } catch (error) {
           toast.error(error.message || 'Invalid package details format');
           setIsCalculating(false);
@@ -191,6 +699,7 @@ export default function DashboardPage() {
         ...calculatedResult,
         computationTime: (endTime - startTime).toFixed(2)
       });
+      setSelectedParetoPath(null);
       
       setIsCalculating(false);
       setShowAnimation(true);
@@ -200,38 +709,78 @@ export default function DashboardPage() {
 
   const handleReset = () => {
     setResult(null);
+    setSelectedParetoPath(null);
     setShowAnimation(false);
-    setAnimationProgress(0);
+    setIsPlaying(false);
     setCurrentStep(0);
+    setCsvImport(null);
+  };
+  
+  // Jump to a step, pausing playback
+  const handleSeek = (step) => {
+    setIsPlaying(false);
+    setCurrentStep(Math.min(Math.max(step, 0), totalSteps - 1));
+  };
+  
+  const handlePlayPause = () => {
+    if (!isPlaying && currentStep >= totalSteps - 1) {
+      // Playing again from the last step starts over
+      setCurrentStep(0);
+    }
+    setIsPlaying(!isPlaying);
   };
 
-  // Animation with step-by-step progression
+  // Every new result plays from the first step; live map edits show the finished tour
   useEffect(() => {
     if (showAnimation && result) {
-      const steps = result.type === 'multistage' ? result.path.length : 
-                    result.type === 'tsp' ? result.tour.length :
-                    result.selectedPackages.length;
-      
-      setCurrentStep(0);
-      setAnimationProgress(0);
-      
-      const interval = setInterval(() => {
-        setCurrentStep(prev => {
-          const next = prev + 1;
-          const progress = ((next + 1) / steps) * 100;
-          setAnimationProgress(progress);
-          
-          if (next >= steps - 1) {
-            clearInterval(interval);
-            return steps - 1;
-          }
-          return next;
-        });
-      }, 1000); // 1 second per step
-      
-      return () => clearInterval(interval);
+      setCurrentStep(result.live ? totalSteps - 1 : 0);
+      setIsPlaying(!result.live);
     }
   }, [showAnimation, result]);
+  
+  // Step-by-step progression, one second per step at 1x
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (currentStep >= totalSteps - 1) {
+      setIsPlaying(false);
+      return;
+    }
+    
+    const timeout = setTimeout(() => setCurrentStep(currentStep + 1), 1000 / playbackSpeed);
+    return () => clearTimeout(timeout);
+  }, [isPlaying, playbackSpeed, currentStep, totalSteps]);
+  
+  // Keyboard shortcuts: space plays/pauses, arrows step, Home/End jump
+  useEffect(() => {
+    if (!showAnimation || totalSteps === 0) return;
+    
+    const handleKeyDown = (event) => {
+      const tag = event.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || event.target.isContentEditable) return;
+      
+      if (event.key === ' ') {
+        // A focused button already handles space itself
+        if (tag === 'BUTTON') return;
+        event.preventDefault();
+        handlePlayPause();
+      } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        handleSeek(currentStep + 1);
+      } else if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        handleSeek(currentStep - 1);
+      } else if (event.key === 'Home') {
+        event.preventDefault();
+        handleSeek(0);
+      } else if (event.key === 'End') {
+        event.preventDefault();
+        handleSeek(totalSteps - 1);
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-background via-[hsl(var(--muted))] to-background">
@@ -258,6 +807,17 @@ export default function DashboardPage() {
                 </div>
               </div>
             </div>
+            <div className="flex items-center gap-2">
+              <input ref={scenarioInputRef} type="file" accept=".json" className="hidden" onChange={handleScenarioFile} />
+              <Button variant="outline" size="sm" className="gap-2" onClick={() => scenarioInputRef.current.click()}>
+                <Upload className="w-4 h-4" />
+                Load Scenario
+              </Button>
+              <Button variant="outline" size="sm" className="gap-2" onClick={handleScenarioSave}>
+                <Download className="w-4 h-4" />
+                Save Scenario
+              </Button>
+            </div>
           </div>
         </div>
       </header>
@@ -270,7 +830,7 @@ export default function DashboardPage() {
           className="mb-8"
         >
           <h2 className="text-2xl font-bold mb-4">Choose Algorithm</h2>
-          <div className="grid md:grid-cols-3 gap-4">
+          <div className="grid md:grid-cols-3 lg:grid-cols-5 gap-4">
             {algorithms.map((algo) => (
               <motion.button
                 key={algo.id}
@@ -296,6 +856,8 @@ export default function DashboardPage() {
                   {algo.id === 'multistage' && 'Optimal path through stages'}
                   {algo.id === 'tsp' && 'Shortest tour visiting all cities'}
                   {algo.id === 'knapsack' && 'Maximize value within capacity'}
+                  {algo.id === 'vrp' && 'Capacity-limited routes for a fleet'}
+                  {algo.id === 'shortest-path' && 'Cheapest route on any road graph'}
                 </p>
               </motion.button>
             ))}
@@ -323,42 +885,127 @@ export default function DashboardPage() {
                     className="space-y-4"
                   >
                     <div className="space-y-2">
-                      <Label htmlFor="stages">Number of Stages</Label>
-                      <Input
-                        id="stages"
-                        type="number"
-                        min="2"
-                        max="10"
-                        value={multistageInputs.stages}
-                        onChange={(e) => setMultistageInputs(prev => ({ ...prev, stages: e.target.value }))}
-                        placeholder="Enter number of stages"
-                      />
-                      <p className="text-xs text-muted-foreground">Sequential delivery stages (minimum 2)</p>
-                    </div>
-                    <div className="space-y-2">
-                      <Label htmlFor="nodesPerStage">Nodes per Stage</Label>
-                      <Input
-                        id="nodesPerStage"
-                        type="number"
-                        min="2"
-                        max="8"
-                        value={multistageInputs.nodesPerStage}
-                        onChange={(e) => setMultistageInputs(prev => ({ ...prev, nodesPerStage: e.target.value }))}
-                        placeholder="Enter nodes per stage"
-                      />
-                      <p className="text-xs text-muted-foreground">Distribution centers at each stage</p>
+                      <Label>Stage Layout</Label>
+                      <div className="grid grid-cols-3 gap-2">
+                        {stageLayouts.map((layout) => (
+                          <Button
+                            key={layout.id}
+                            type="button"
+                            variant={multistageInputs.layout === layout.id ? 'default' : 'outline'}
+                            onClick={() => setMultistageInputs(prev => ({ ...prev, layout: layout.id }))}
+                          >
+                            {layout.name}
+                          </Button>
+                        ))}
+                      </div>
                     </div>
+                    {multistageInputs.layout === 'uniform' && (
+                      <>
+                        <div className="space-y-2">
+                          <Label htmlFor="stages">Number of Stages</Label>
+                          <Input
+                            id="stages"
+                            type="number"
+                            min="2"
+                            max="10"
+                            value={multistageInputs.stages}
+                            onChange={(e) => setMultistageInputs(prev => ({ ...prev, stages: e.target.value }))}
+                            placeholder="Enter number of stages"
+                          />
+                          <p className="text-xs text-muted-foreground">Sequential delivery stages (minimum 2)</p>
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor="nodesPerStage">Nodes per Stage</Label>
+                          <Input
+                            id="nodesPerStage"
+                            type="number"
+                            min="2"
+                            max="8"
+                            value={multistageInputs.nodesPerStage}
+                            onChange={(e) => setMultistageInputs(prev => ({ ...prev, nodesPerStage: e.target.value }))}
+                            placeholder="Enter nodes per stage"
+                          />
+                          <p className="text-xs text-muted-foreground">Distribution centers at each stage</p>
+                        </div>
+                      </>
+                    )}
+                    {multistageInputs.layout === 'custom' && (
+                      <div className="space-y-2">
+                        <Label htmlFor="stageSizes">Nodes per Stage</Label>
+                        <Input
+                          id="stageSizes"
+                          type="text"
+                          value={multistageInputs.stageSizes}
+                          onChange={(e) => setMultistageInputs(prev => ({ ...prev, stageSizes: e.target.value }))}
+                          placeholder="1,3,2,4,1"
+                          className="font-mono text-sm"
+                        />
+                        <p className="text-xs text-muted-foreground">Vertices in each stage, source and destination included (comma-separated)</p>
+                      </div>
+                    )}
+                    {multistageInputs.layout === 'auto' && (
+                      <p className="text-xs text-muted-foreground">Stages are derived from the edges: each vertex sits one stage after its furthest predecessor</p>
+                    )}
                     <div className="space-y-2">
-                      <Label htmlFor="edgeCosts">Edge Costs</Label>
+                      <div className="flex items-center justify-between">
+                        <Label htmlFor="edgeCosts">Edge Costs</Label>
+                        <div className="flex gap-1">
+                          <Button type="button" variant="ghost" size="sm" className="gap-1" onClick={() => openCsvImport('edges')}>
+                            <Upload className="w-3 h-3" />
+                            Import CSV
+                          </Button>
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setMatrixGrids(prev => ({ ...prev, multistage: !prev.multistage }))}
+                          >
+                            {matrixGrids.multistage ? 'Hide Grid' : 'Edit as Grid'}
+                          </Button>
+                        </div>
+                      </div>
                       <Input
                         id="edgeCosts"
                         type="text"
                         value={multistageInputs.edgeCosts}
                         onChange={(e) => setMultistageInputs(prev => ({ ...prev, edgeCosts: e.target.value }))}
                         placeholder="0-1:2, 0-2:3, 1-3:4, 2-3:5"
-                        className="font-mono text-sm"
+                        className={`font-mono text-sm ${multistageDiagnostics.some(d => d.severity === 'error') ? 'border-destructive' : ''}`}
                       />
-                      <p className="text-xs text-muted-foreground">Format: source-destination:cost (comma-separated)</p>
+                      <p className="text-xs text-muted-foreground">Format: source-destination:cost or cost/time for cost vs. time routing (comma-separated)</p>
+                      {matrixGrids.multistage && (
+                        <MatrixEditor
+                          size={multistagePreview.n}
+                          value={multistageInputs.edgeCosts}
+                          onChange={(edgeCosts) => setMultistageInputs(prev => ({ ...prev, edgeCosts }))}
+                          issues={multistageCellIssues}
+                        />
+                      )}
+                      {multistageDiagnostics.length > 0 && (
+                        <ul className="space-y-0.5 max-h-28 overflow-y-auto">
+                          {multistageDiagnostics.map((diagnostic, idx) => (
+                            <li
+                              key={`diagnostic-${idx}`}
+                              className={`text-xs ${diagnostic.severity === 'error' ? 'text-destructive' : 'text-[hsl(var(--warning))]'}`}
+                            >
+                              {diagnostic.severity === 'error' ? '✕' : '⚠'} {diagnostic.message}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="alternatives">Alternative Routes</Label>
+                      <Input
+                        id="alternatives"
+                        type="number"
+                        min="1"
+                        max="10"
+                        value={multistageInputs.alternatives}
+                        onChange={(e) => setMultistageInputs(prev => ({ ...prev, alternatives: e.target.value }))}
+                        placeholder="3"
+                      />
+                      <p className="text-xs text-muted-foreground">Backup routes ranked by cost (best route included)</p>
                     </div>
                   </motion.div>
                 )}
@@ -373,57 +1020,507 @@ export default function DashboardPage() {
                     className="space-y-4"
                   >
                     <div className="space-y-2">
-                      <Label htmlFor="numLocations">Number of Locations</Label>
+                      <div className="flex items-center justify-between">
+                        <Label>Locations</Label>
+                        <Button type="button" variant="ghost" size="sm" className="gap-1" onClick={() => openCsvImport('locations')}>
+                          <Upload className="w-3 h-3" />
+                          Import CSV
+                        </Button>
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        {tspSources.map((source) => (
+                          <Button
+                            key={source.id}
+                            type="button"
+                            variant={tspInputs.source === source.id ? 'default' : 'outline'}
+                            onClick={() => setTspInputs(prev => ({ ...prev, source: source.id }))}
+                          >
+                            {source.name}
+                          </Button>
+                        ))}
+                      </div>
+                    </div>
+                    {tspInputs.source === 'map' ? (
+                      <div className="p-3 bg-muted/50 rounded-lg text-xs text-muted-foreground space-y-1">
+                        <div className="font-medium text-foreground">{mapPoints.length} locations on the map</div>
+                        <div>Click the canvas to add a location, drag to move it and right-click to delete it.</div>
+                        <div>Double-click a location to make it the warehouse 🏠. Distances are straight-line and the route re-solves as you edit.</div>
+                      </div>
+                    ) : tspInputs.source === 'geo' ? (
+                      <>
+                        <div className="space-y-2">
+                          <div className="flex items-center justify-between">
+                            <Label htmlFor="geoPoints">Stops (lat:lon:name)</Label>
+                            <Button type="button" variant="ghost" size="sm" className="gap-1" onClick={() => geoJsonInputRef.current.click()}>
+                              <Upload className="w-3 h-3" />
+                              Import GeoJSON
+                            </Button>
+                          </div>
+                          <input ref={geoJsonInputRef} type="file" accept=".geojson,.json" className="hidden" onChange={handleGeoJsonFile} />
+                          <Input
+                            id="geoPoints"
+                            type="text"
+                            value={tspInputs.geoPoints}
+                            onChange={(e) => setTspInputs(prev => ({ ...prev, geoPoints: e.target.value }))}
+                            placeholder="52.52:13.405:Berlin, 48.137:11.575:Munich"
+                            className="font-mono text-sm"
+                          />
+                          <p className="text-xs text-muted-foreground">Latitude and longitude in degrees, warehouse first; distances are great-circle (haversine)</p>
+                        </div>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div className="space-y-2">
+                            <Label>Units</Label>
+                            <div className="grid grid-cols-2 gap-1">
+                              {distanceUnits.map((unit) => (
+                                <Button
+                                  key={unit.id}
+                                  type="button"
+                                  size="sm"
+                                  variant={tspInputs.distanceUnit === unit.id ? 'default' : 'outline'}
+                                  onClick={() => setTspInputs(prev => ({ ...prev, distanceUnit: unit.id }))}
+                                >
+                                  {unit.name}
+                                </Button>
+                              ))}
+                            </div>
+                          </div>
+                          <div className="space-y-2">
+                            <Label>Projection</Label>
+                            <div className="grid grid-cols-2 gap-1">
+                              {mapProjections.map((projection) => (
+                                <Button
+                                  key={projection.id}
+                                  type="button"
+                                  size="sm"
+                                  variant={tspInputs.projection === projection.id ? 'default' : 'outline'}
+                                  onClick={() => setTspInputs(prev => ({ ...prev, projection: projection.id }))}
+                                  className="px-1"
+                                >
+                                  {projection.name}
+                                </Button>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                      </>
+                    ) : tspInputs.source === 'tsplib' ? (
+                      <div className="space-y-2">
+                        <input ref={tsplibInputRef} type="file" accept=".tsp,.atsp,.txt" className="hidden" onChange={handleTsplibFile} />
+                        <input ref={tourInputRef} type="file" accept=".tour,.txt" className="hidden" onChange={handleTourFile} />
+                        <div className="grid grid-cols-2 gap-2">
+                          <Button type="button" variant="outline" className="gap-2" onClick={() => tsplibInputRef.current.click()}>
+                            <Upload className="w-4 h-4" />
+                            Load .tsp
+                          </Button>
+                          <Button type="button" variant="outline" className="gap-2" disabled={!tsplib} onClick={() => tourInputRef.current.click()}>
+                            <Upload className="w-4 h-4" />
+                            Load .opt.tour
+                          </Button>
+                        </div>
+                        {tsplib ? (
+                          <div className="p-3 bg-muted/50 rounded-lg text-xs text-muted-foreground space-y-1">
+                            <div className="font-medium text-foreground">
+                              {tsplib.instance.name} · {tsplib.instance.dimension} locations · {tsplib.instance.edgeWeightType}
+                            </div>
+                            {tsplib.instance.comment && <div>{tsplib.instance.comment}</div>}
+                            <div>
+                              {tsplib.optimal
+                                ? `Known optimum ${tsplib.optimal.length} (${tsplib.optimal.name})`
+                                : 'Load the .opt.tour file to compare with the known optimum'}
+                            </div>
+                          </div>
+                        ) : (
+                          <p className="text-xs text-muted-foreground">
+                            Node coordinates (EUC_2D, GEO, ATT) or explicit weights (FULL_MATRIX, UPPER_ROW, LOWER_DIAG_ROW)
+                          </p>
+                        )}
+                      </div>
+                    ) : (
+                      <>
+                        <div className="space-y-2">
+                          <Label htmlFor="numLocations">Number of Locations</Label>
+                          <Input
+                            id="numLocations"
+                            type="number"
+                            min="3"
+                            max="15"
+                            value={tspInputs.numLocations}
+                            onChange={(e) => setTspInputs(prev => ({ ...prev, numLocations: e.target.value }))}
+                            placeholder="Enter number of locations"
+                          />
+                          <p className="text-xs text-muted-foreground">Delivery destinations including warehouse</p>
+                        </div>
+                        <div className="space-y-2">
+                          <div className="flex items-center justify-between">
+                            <Label htmlFor="distanceMatrix">Distance Matrix</Label>
+                            <Button
+                              type="button"
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => setMatrixGrids(prev => ({ ...prev, tsp: !prev.tsp }))}
+                            >
+                              {matrixGrids.tsp ? 'Hide Grid' : 'Edit as Grid'}
+                            </Button>
+                          </div>
+                          <Input
+                            id="distanceMatrix"
+                            type="text"
+                            value={tspInputs.distanceMatrix}
+                            onChange={(e) => setTspInputs(prev => ({ ...prev, distanceMatrix: e.target.value }))}
+                            placeholder="0-1:10, 0-2:15, 0-3:20, 1-2:35, 1-3:25, 2-3:30"
+                            className="font-mono text-sm"
+                          />
+                          <p className="text-xs text-muted-foreground">Format: location1-location2:distance (comma-separated)</p>
+                          {matrixGrids.tsp && (
+                            <MatrixEditor
+                              size={parseInt(tspInputs.numLocations) || 0}
+                              value={tspInputs.distanceMatrix}
+                              onChange={(distanceMatrix) => setTspInputs(prev => ({ ...prev, distanceMatrix }))}
+                              symmetric={!tspInputs.asymmetric}
+                              requireAll
+                            />
+                          )}
+                          <div className="flex items-center gap-2 pt-1">
+                            <input
+                              id="asymmetric"
+                              type="checkbox"
+                              checked={tspInputs.asymmetric}
+                              onChange={(e) => setTspInputs(prev => ({ ...prev, asymmetric: e.target.checked }))}
+                              className="h-4 w-4 accent-[hsl(var(--primary))]"
+                            />
+                            <Label htmlFor="asymmetric">One-way distances</Label>
+                          </div>
+                          <p className="text-xs text-muted-foreground">
+                            {tspInputs.asymmetric
+                              ? 'a-b:d applies only from a to b; list b-a separately'
+                              : 'a-b:d applies in both directions'}
+                          </p>
+                        </div>
+                      </>
+                    )}
+                    <div className="space-y-2">
+                      <Label>Solver</Label>
+                      <div className="grid grid-cols-2 gap-2">
+                        {tspSolvers.map((solver) => (
+                          <Button
+                            key={solver.id}
+                            type="button"
+                            variant={tspInputs.solver === solver.id ? 'default' : 'outline'}
+                            onClick={() => setTspInputs(prev => ({ ...prev, solver: solver.id }))}
+                          >
+                            {solver.name}
+                          </Button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-muted-foreground">Held-Karp finds the optimal tour (up to 15 locations)</p>
+                    </div>
+                    {tspInputs.solver === 'nearest-neighbor' && (
+                      <div className="space-y-2">
+                        <div className="flex items-center gap-2">
+                          <input
+                            id="localSearch"
+                            type="checkbox"
+                            checked={tspInputs.localSearch}
+                            onChange={(e) => setTspInputs(prev => ({ ...prev, localSearch: e.target.checked }))}
+                            className="h-4 w-4 accent-[hsl(var(--primary))]"
+                          />
+                          <Label htmlFor="localSearch">Improve with 2-opt and Or-opt</Label>
+                        </div>
+                        <p className="text-xs text-muted-foreground">Removes crossings and relocates stops; each move is replayed after the base tour</p>
+                      </div>
+                    )}
+                    {tspInputs.solver === 'time-windows' && (
+                      <>
+                        <div className="space-y-2">
+                          <Label htmlFor="timeWindows">Time Windows</Label>
+                          <Input
+                            id="timeWindows"
+                            type="text"
+                            value={tspInputs.timeWindows}
+                            onChange={(e) => setTspInputs(prev => ({ ...prev, timeWindows: e.target.value }))}
+                            placeholder="0:0-480, 1:60-120:10, 2:0-60:15"
+                            className="font-mono text-sm"
+                          />
+                          <p className="text-xs text-muted-foreground">
+                            Format: location:earliest-latest:service in minutes (location 0 sets the shift start)
+                          </p>
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor="speed">Travel Speed (km/h)</Label>
+                          <Input
+                            id="speed"
+                            type="number"
+                            min="1"
+                            max="200"
+                            value={tspInputs.speed}
+                            onChange={(e) => setTspInputs(prev => ({ ...prev, speed: e.target.value }))}
+                          />
+                        </div>
+                      </>
+                    )}
+                    {(tspInputs.solver === 'simulated-annealing' || tspInputs.solver === 'genetic') && (
+                      <div className="grid grid-cols-3 gap-3">
+                        <div className="space-y-2">
+                          <Label htmlFor="seed">Seed</Label>
+                          <Input
+                            id="seed"
+                            type="number"
+                            value={tspInputs.seed}
+                            onChange={(e) => setTspInputs(prev => ({ ...prev, seed: e.target.value }))}
+                          />
+                        </div>
+                        {tspInputs.solver === 'simulated-annealing' ? (
+                          <>
+                            <div className="space-y-2">
+                              <Label htmlFor="iterations">Iterations</Label>
+                              <Input
+                                id="iterations"
+                                type="number"
+                                min="100"
+                                max="100000"
+                                value={tspInputs.iterations}
+                                onChange={(e) => setTspInputs(prev => ({ ...prev, iterations: e.target.value }))}
+                              />
+                            </div>
+                            <div className="space-y-2">
+                              <Label htmlFor="coolingRate">Cooling Rate</Label>
+                              <Input
+                                id="coolingRate"
+                                type="number"
+                                step="0.001"
+                                min="0.9"
+                                max="0.9999"
+                                value={tspInputs.coolingRate}
+                                onChange={(e) => setTspInputs(prev => ({ ...prev, coolingRate: e.target.value }))}
+                              />
+                            </div>
+                          </>
+                        ) : (
+                          <>
+                            <div className="space-y-2">
+                              <Label htmlFor="generations">Generations</Label>
+                              <Input
+                                id="generations"
+                                type="number"
+                                min="10"
+                                max="5000"
+                                value={tspInputs.generations}
+                                onChange={(e) => setTspInputs(prev => ({ ...prev, generations: e.target.value }))}
+                              />
+                            </div>
+                            <div className="space-y-2">
+                              <Label htmlFor="populationSize">Population</Label>
+                              <Input
+                                id="populationSize"
+                                type="number"
+                                min="4"
+                                max="500"
+                                value={tspInputs.populationSize}
+                                onChange={(e) => setTspInputs(prev => ({ ...prev, populationSize: e.target.value }))}
+                              />
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    )}
+                  </motion.div>
+                )}
+
+                {/* Fleet Routing Inputs */}
+                {selectedAlgorithm === 'vrp' && (
+                  <motion.div
+                    key="vrp"
+                    initial={{ opacity: 0, x: -20 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: 20 }}
+                    className="space-y-4"
+                  >
+                    <div className="space-y-2">
+                      <Label htmlFor="vrpNumLocations">Number of Locations</Label>
                       <Input
-                        id="numLocations"
+                        id="vrpNumLocations"
                         type="number"
                         min="3"
-                        max="15"
-                        value={tspInputs.numLocations}
-                        onChange={(e) => setTspInputs(prev => ({ ...prev, numLocations: e.target.value }))}
+                        max="30"
+                        value={vrpInputs.numLocations}
+                        onChange={(e) => setVrpInputs(prev => ({ ...prev, numLocations: e.target.value }))}
                         placeholder="Enter number of locations"
                       />
-                      <p className="text-xs text-muted-foreground">Delivery destinations including warehouse</p>
+                      <p className="text-xs text-muted-foreground">Location 0 is the depot</p>
                     </div>
                     <div className="space-y-2">
-                      <Label htmlFor="distanceMatrix">Distance Matrix</Label>
+                      <Label htmlFor="vrpDistanceMatrix">Distance Matrix</Label>
                       <Input
-                        id="distanceMatrix"
+                        id="vrpDistanceMatrix"
                         type="text"
-                        value={tspInputs.distanceMatrix}
-                        onChange={(e) => setTspInputs(prev => ({ ...prev, distanceMatrix: e.target.value }))}
+                        value={vrpInputs.distanceMatrix}
+                        onChange={(e) => setVrpInputs(prev => ({ ...prev, distanceMatrix: e.target.value }))}
                         placeholder="0-1:10, 0-2:15, 0-3:20, 1-2:35, 1-3:25, 2-3:30"
                         className="font-mono text-sm"
                       />
                       <p className="text-xs text-muted-foreground">Format: location1-location2:distance (comma-separated)</p>
                     </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="demands">Demands</Label>
+                      <Input
+                        id="demands"
+                        type="text"
+                        value={vrpInputs.demands}
+                        onChange={(e) => setVrpInputs(prev => ({ ...prev, demands: e.target.value }))}
+                        placeholder="1:10, 2:15, 3:20, 4:12"
+                        className="font-mono text-sm"
+                      />
+                      <p className="text-xs text-muted-foreground">Format: location:demand (comma-separated)</p>
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="capacities">Truck Capacities</Label>
+                      <Input
+                        id="capacities"
+                        type="text"
+                        value={vrpInputs.capacities}
+                        onChange={(e) => setVrpInputs(prev => ({ ...prev, capacities: e.target.value }))}
+                        placeholder="30, 30"
+                        className="font-mono text-sm"
+                      />
+                      <p className="text-xs text-muted-foreground">One capacity per truck (comma-separated)</p>
+                    </div>
                   </motion.div>
                 )}
 
-                {/* Knapsack Inputs */}
-                {selectedAlgorithm === 'knapsack' && (
+                {/* Shortest Path Inputs */}
+                {selectedAlgorithm === 'shortest-path' && (
                   <motion.div
-                    key="knapsack"
+                    key="shortest-path"
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
                     exit={{ opacity: 0, x: 20 }}
                     className="space-y-4"
                   >
                     <div className="space-y-2">
-                      <Label htmlFor="capacity">Vehicle Capacity (kg)</Label>
+                      <Label htmlFor="roadEdges">Road Edges</Label>
                       <Input
-                        id="capacity"
-                        type="number"
-                        min="10"
-                        max="500"
-                        value={knapsackInputs.capacity}
-                        onChange={(e) => setKnapsackInputs(prev => ({ ...prev, capacity: e.target.value }))}
-                        placeholder="Enter vehicle capacity"
+                        id="roadEdges"
+                        type="text"
+                        value={shortestPathInputs.edgeCosts}
+                        onChange={(e) => setShortestPathInputs(prev => ({ ...prev, edgeCosts: e.target.value }))}
+                        placeholder="0-1:4, 0-2:1, 2-1:2, 1-3:1"
+                        className="font-mono text-sm"
                       />
-                      <p className="text-xs text-muted-foreground">Maximum weight the vehicle can carry</p>
+                      <p className="text-xs text-muted-foreground">Format: from-to:cost, one-way (comma-separated, costs may be negative)</p>
+                    </div>
+                    <div className="grid grid-cols-2 gap-3">
+                      <div className="space-y-2">
+                        <Label htmlFor="pathSource">From</Label>
+                        <Input
+                          id="pathSource"
+                          type="number"
+                          min="0"
+                          value={shortestPathInputs.source}
+                          onChange={(e) => setShortestPathInputs(prev => ({ ...prev, source: e.target.value }))}
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="pathTarget">To</Label>
+                        <Input
+                          id="pathTarget"
+                          type="number"
+                          min="0"
+                          value={shortestPathInputs.target}
+                          onChange={(e) => setShortestPathInputs(prev => ({ ...prev, target: e.target.value }))}
+                        />
+                      </div>
                     </div>
                     <div className="space-y-2">
-                      <Label htmlFor="packageDetails">Package Details</Label>
+                      <Label>Algorithm</Label>
+                      <div className="grid grid-cols-3 gap-2">
+                        {shortestPathMethods.map((method) => (
+                          <Button
+                            key={method.id}
+                            type="button"
+                            variant={shortestPathInputs.method === method.id ? 'default' : 'outline'}
+                            onClick={() => setShortestPathInputs(prev => ({ ...prev, method: method.id }))}
+                          >
+                            {method.name}
+                          </Button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-muted-foreground">Auto uses Dijkstra unless some cost is negative</p>
+                    </div>
+                  </motion.div>
+                )}
+
+                {/* Knapsack Inputs */}
+                {selectedAlgorithm === 'knapsack' && (
+                  <motion.div
+                    key="knapsack"
+                    initial={{ opacity: 0, x: -20 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: 20 }}
+                    className="space-y-4"
+                  >
+                    {knapsackInputs.mode === 'fleet' ? (
+                      <div className="space-y-2">
+                        <Label htmlFor="fleet">Fleet</Label>
+                        <Input
+                          id="fleet"
+                          type="text"
+                          value={knapsackInputs.fleet}
+                          onChange={(e) => setKnapsackInputs(prev => ({ ...prev, fleet: e.target.value }))}
+                          placeholder="30:120, 30:120, 20:70"
+                          className="font-mono text-sm"
+                        />
+                        <p className="text-xs text-muted-foreground">Format: capacity[:cost] per truck (comma-separated)</p>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="space-y-2">
+                          <Label htmlFor="capacity">Vehicle Capacity (kg)</Label>
+                          <Input
+                            id="capacity"
+                            type="number"
+                            min="10"
+                            max="500"
+                            value={knapsackInputs.capacity}
+                            onChange={(e) => setKnapsackInputs(prev => ({ ...prev, capacity: e.target.value }))}
+                            placeholder="Enter vehicle capacity"
+                          />
+                          <p className="text-xs text-muted-foreground">Maximum weight the vehicle can carry</p>
+                        </div>
+                        <div className="grid grid-cols-2 gap-3">
+                          <div className="space-y-2">
+                            <Label htmlFor="volumeCapacity">Volume Limit (m³)</Label>
+                            <Input
+                              id="volumeCapacity"
+                              type="number"
+                              min="0"
+                              step="0.1"
+                              value={knapsackInputs.volumeCapacity}
+                              onChange={(e) => setKnapsackInputs(prev => ({ ...prev, volumeCapacity: e.target.value }))}
+                              placeholder="Optional"
+                            />
+                          </div>
+                          <div className="space-y-2">
+                            <Label htmlFor="palletCapacity">Pallet Limit</Label>
+                            <Input
+                              id="palletCapacity"
+                              type="number"
+                              min="0"
+                              value={knapsackInputs.palletCapacity}
+                              onChange={(e) => setKnapsackInputs(prev => ({ ...prev, palletCapacity: e.target.value }))}
+                              placeholder="Optional"
+                            />
+                          </div>
+                        </div>
+                      </>
+                    )}
+                    <div className="space-y-2">
+                      <div className="flex items-center justify-between">
+                        <Label htmlFor="packageDetails">Package Details</Label>
+                        <Button type="button" variant="ghost" size="sm" className="gap-1" onClick={() => openCsvImport('packages')}>
+                          <Upload className="w-3 h-3" />
+                          Import CSV
+                        </Button>
+                      </div>
                       <Input
                         id="packageDetails"
                         type="text"
@@ -432,11 +1529,66 @@ export default function DashboardPage() {
                         placeholder="10:60:electronics, 20:100:furniture, 15:120:appliances"
                         className="font-mono text-sm"
                       />
-                      <p className="text-xs text-muted-foreground">Format: weight:value:name (comma-separated)</p>
+                      <p className="text-xs text-muted-foreground">Format: weight:value:name[:volume[:pallets]] (comma-separated)</p>
+                    </div>
+                    <div className="space-y-2">
+                      <Label>Loading Mode</Label>
+                      <div className="grid grid-cols-3 gap-2">
+                        {knapsackModes.map((mode) => (
+                          <Button
+                            key={mode.id}
+                            type="button"
+                            variant={knapsackInputs.mode === mode.id ? 'default' : 'outline'}
+                            onClick={() => setKnapsackInputs(prev => ({ ...prev, mode: mode.id }))}
+                          >
+                            {mode.name}
+                          </Button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        {knapsackInputs.mode === 'fleet'
+                          ? 'Fleet loads every package onto the trucks (first-fit and best-fit decreasing)'
+                          : '0/1 loads whole packages only (exact DP or branch and bound)'}
+                      </p>
                     </div>
+                    {knapsackInputs.mode === 'fractional' && !knapsackInputs.volumeCapacity.trim() && !knapsackInputs.palletCapacity.trim() && (
+                      <div className="space-y-2">
+                        <Label>Greedy Approach</Label>
+                        <div className="grid grid-cols-2 gap-2">
+                          {knapsackApproaches.map((approach) => (
+                            <Button
+                              key={approach.id}
+                              type="button"
+                              variant={knapsackInputs.approach === approach.id ? 'default' : 'outline'}
+                              onClick={() => setKnapsackInputs(prev => ({ ...prev, approach: approach.id }))}
+                            >
+                              {approach.name}
+                            </Button>
+                          ))}
+                        </div>
+                        <p className="text-xs text-muted-foreground">Order in which packages are considered for loading</p>
+                      </div>
+                    )}
                   </motion.div>
                 )}
               </AnimatePresence>
+              
+              {/* CSV Import Preview */}
+              <input
+                ref={csvInputRef}
+                type="file"
+                accept=".csv,text/csv,text/plain"
+                className="hidden"
+                onChange={handleCsvFile}
+              />
+              {csvImport && (
+                <CsvImportPanel
+                  csvImport={csvImport}
+                  onMappingChange={(key, index) => setCsvImport(prev => ({ ...prev, mapping: { ...prev.mapping, [key]: index } }))}
+                  onConfirm={handleCsvConfirm}
+                  onCancel={() => setCsvImport(null)}
+                />
+              )}
 
               {/* Action Buttons */}
               <div className="flex gap-3 pt-4">
@@ -471,18 +1623,33 @@ export default function DashboardPage() {
                   animate={{ opacity: 1, y: 0 }}
                   className="space-y-3 pt-4 border-t border-border"
                 >
-                  <h4 className="font-semibold text-sm">Results Summary</h4>
+                  <div className="flex items-center justify-between">
+                    <h4 className="font-semibold text-sm">Results Summary</h4>
+                    <div className="flex gap-1">
+                      {result.geoPoints && (
+                        <Button variant="ghost" size="sm" className="gap-1" onClick={handleGeoJsonExport}>
+                          <Download className="w-3 h-3" />
+                          Export GeoJSON
+                        </Button>
+                      )}
+                      <Button variant="ghost" size="sm" className="gap-1" onClick={handleCsvExport}>
+                        <Download className="w-3 h-3" />
+                        Export CSV
+                      </Button>
+                    </div>
+                  </div>
                   <div className="grid grid-cols-2 gap-3">
                     <div className="p-3 bg-[hsl(var(--accent))]/10 rounded-lg">
                       <div className="flex items-center gap-2 text-[hsl(var(--accent))] mb-1">
                         <TrendingDown className="w-4 h-4" />
                         <span className="text-xs font-medium">
-                          {result.type === 'knapsack' ? 'Total Value' : 'Total Cost'}
+                          {result.type === 'knapsack' ? 'Total Value' : result.type === 'binpacking' ? 'Trucks Used' : 'Total Cost'}
                         </span>
                       </div>
                       <div className="text-2xl font-bold">
                         {result.type === 'knapsack' ? `$${result.totalValue}` : 
-                         result.type === 'tsp' ? `${result.distance} km` :
+                         result.type === 'binpacking' ? `${result.trucksUsed} / ${result.fleetSize}` :
+                         result.type === 'tsp' || result.type === 'vrp' ? formatDistance(result.distance, result.distanceUnit) :
                          `$${result.cost}`}
                       </div>
                     </div>
@@ -496,26 +1663,185 @@ export default function DashboardPage() {
                   </div>
                   <div className="p-3 bg-muted/50 rounded-lg">
                     <div className="text-xs font-medium text-muted-foreground mb-2">
-                      {result.type === 'knapsack' ? 'Selected Packages' : 'Route Sequence'}
+                      {result.type === 'knapsack' ? 'Selected Packages' : result.type === 'binpacking' ? 'Truck Loads' : 'Route Sequence'}
                     </div>
                     <div className="text-sm">
                       {result.type === 'knapsack' && (
                         <div className="space-y-1">
-                          <div className="font-medium">{result.selectedPackages.length} packages loaded</div>
+                          <div className="font-medium">{result.selectedPackages.length} packages loaded ({result.approachName})</div>
+                          {result.valueGap && (
+                            <div className="text-xs text-muted-foreground">
+                              Fractional ${result.valueGap.fractionalValue} vs 0/1 ${result.valueGap.zeroOneValue}: gap ${result.valueGap.gap} ({result.valueGap.gapPercent}%)
+                            </div>
+                          )}
                           <div className="text-xs text-muted-foreground max-h-20 overflow-y-auto">
                             {result.selectedPackages.map((pkg, idx) => (
                               <div key={idx}>
-                                • {pkg.name} ({pkg.takenWeight.toFixed(1)}kg, ${pkg.takenValue.toFixed(0)})
+                                • {pkg.name} ({pkg.takenWeight.toFixed(1)}kg{pkg.takenVolume ? `, ${pkg.takenVolume.toFixed(1)}m³` : ''}, ${pkg.takenValue.toFixed(0)})
                                 {pkg.fraction < 1 && ` - ${(pkg.fraction * 100).toFixed(0)}%`}
                               </div>
                             ))}
                           </div>
                         </div>
                       )}
-                      {result.type === 'tsp' && `${result.tour.length} locations visited`}
-                      {result.type === 'multistage' && `${result.path.length} nodes in path`}
+                      {result.type === 'tsp' && (
+                        <div className="space-y-1">
+                          <div className="font-medium">{result.tour.length} locations visited</div>
+                          <div className="text-xs text-muted-foreground">
+                            {result.methodName}: {result.geoPoints
+                              ? result.tour.map(stop => result.geoPoints[stop].name).join(' → ')
+                              : result.tour.join(' → ')}
+                          </div>
+                          {result.improvementMoves && (
+                            <div className="text-xs text-muted-foreground">
+                              Local search: {result.improvementMoves.length} moves saved {formatDistance(result.distanceSaved, result.distanceUnit)} (base tour {formatDistance(result.baseDistance, result.distanceUnit)})
+                            </div>
+                          )}
+                          {result.schedule && (
+                            <div className={`text-xs ${result.violations > 0 ? 'text-destructive' : 'text-muted-foreground'}`}>
+                              {result.violations > 0
+                                ? `${result.violations} time windows violated (${result.totalLateness} min late in total)`
+                                : 'All time windows met'}
+                              {` · ${result.totalWait} min waiting · back at ${formatMinutes(result.endTime)}`}
+                            </div>
+                          )}
+                          {result.knownOptimum !== undefined && (
+                            <div className="text-xs text-muted-foreground">
+                              Known optimum: {result.knownOptimum} ({result.knownOptimumGap}% above optimal)
+                            </div>
+                          )}
+                          {result.method === 'held-karp' && (
+                            <div className="text-xs text-muted-foreground">
+                              {result.optimalityGap !== null
+                                ? `Nearest neighbor: ${formatDistance(result.heuristicDistance, result.distanceUnit)} (${result.optimalityGap}% above optimal)`
+                                : 'Nearest neighbor: no feasible tour (hit a missing distance)'}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                      {result.type === 'vrp' && (
+                        <div className="space-y-1">
+                          <div className="font-medium">
+                            {result.vehiclesUsed} of {result.fleetSize} trucks used · {result.totalDemand} units delivered
+                          </div>
+                          <div className="text-xs text-muted-foreground max-h-24 overflow-y-auto">
+                            {result.routes.map((route, r) => (
+                              <div key={route.vehicle} className="flex items-center gap-2">
+                                <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: ROUTE_COLORS[r % ROUTE_COLORS.length] }} />
+                                Truck {route.vehicle}: {route.tour.join(' → ')} ({route.load}/{route.capacity}, {route.utilization}%, {route.distance})
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      {result.type === 'binpacking' && (
+                        <div className="space-y-1">
+                          <div className="font-medium">
+                            {result.selectedPackages.length} packages on {result.trucksUsed} trucks ({result.strategyName}) · {result.averageFillRate}% full
+                          </div>
+                          <div className="text-xs text-muted-foreground">
+                            {result.strategies.map(s => `${s.strategyName}: ${s.trucksUsed} trucks${s.totalCost > 0 ? `, $${s.totalCost}` : ''}`).join(' · ')}
+                          </div>
+                          {result.unassigned.length > 0 && (
+                            <div className="text-xs text-destructive">
+                              Not loaded: {result.unassigned.map(box => `${box.name} (${box.weight}kg)`).join(', ')}
+                            </div>
+                          )}
+                          <div className="text-xs text-muted-foreground max-h-24 overflow-y-auto">
+                            {result.trucks.map(truck => (
+                              <div key={truck.vehicle}>
+                                • Truck {truck.vehicle}: {truck.load.toFixed(1)}/{truck.capacity}kg ({truck.fillRate}%){truck.cost > 0 && `, $${truck.cost}`} - {truck.packages.map(box => box.name).join(', ')}
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      {result.type === 'shortest-path' && (
+                        <div className="space-y-1">
+                          <div className="font-medium">{result.methodName}: {result.path.join(' → ')}</div>
+                          <div className="text-xs text-muted-foreground">
+                            Cost from {result.source}: {result.distances.map((d, v) => `${v}: ${isFinite(d) ? d : '∞'}`).join(' · ')}
+                          </div>
+                        </div>
+                      )}
+                      {result.type === 'multistage' && `${result.path.length} nodes in path · stages ${result.stageSizes.join('-')}`}
                     </div>
                   </div>
+                  {result.paretoFront && (
+                    <div className="p-3 bg-muted/50 rounded-lg">
+                      <div className="text-xs font-medium text-muted-foreground mb-2">
+                        Cost vs. Time ({result.paretoFront.length} Pareto-optimal routes, click one to highlight it)
+                      </div>
+                      <ParetoChart
+                        front={result.paretoFront}
+                        selected={selectedParetoPath}
+                        onSelect={setSelectedParetoPath}
+                      />
+                    </div>
+                  )}
+                  {result.type === 'multistage' && result.alternatives.length > 1 && (
+                    <div className="p-3 bg-muted/50 rounded-lg">
+                      <div className="text-xs font-medium text-muted-foreground mb-2">Alternative Routes</div>
+                      <div className="text-xs text-muted-foreground space-y-0.5">
+                        {result.alternatives.map(alt => (
+                          <div key={`alt-${alt.rank}`} className="font-mono">
+                            #{alt.rank} {alt.path.join(' → ')} · ${alt.cost}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {result.type === 'multistage' && (
+                    <div className="p-3 bg-muted/50 rounded-lg space-y-2">
+                      <div className="text-xs font-medium text-muted-foreground">Decision Tables</div>
+                      {!result.costCheck.agree && (
+                        <div className="text-xs text-destructive">{result.costCheck.message}</div>
+                      )}
+                      <DecisionTables
+                        bcost={result.bcostArray}
+                        backwardDecisions={result.decisionArray}
+                        cost={result.forward.costArray}
+                        forwardDecisions={result.forward.decisionArray}
+                      />
+                    </div>
+                  )}
+                  {result.dimensions && (
+                    <div className="p-3 bg-muted/50 rounded-lg space-y-2">
+                      <div className="text-xs font-medium text-muted-foreground">Utilization</div>
+                      {result.dimensions.map(dim => (
+                        <div key={dim.key}>
+                          <div className="flex justify-between text-xs mb-1">
+                            <span>{dim.label}</span>
+                            <span className="font-mono">
+                              {dim.used.toFixed(1)} / {dim.capacity} {dim.unit} ({dim.utilization}%)
+                            </span>
+                          </div>
+                          <div className="h-2 bg-muted rounded-full overflow-hidden">
+                            <div
+                              className={`h-full ${parseFloat(dim.utilization) >= 99.9 ? 'bg-[hsl(var(--warning))]' : 'bg-[hsl(var(--accent))]'}`}
+                              style={{ width: `${Math.min(100, parseFloat(dim.utilization))}%` }}
+                            />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {result.comparison && (
+                    <div className="p-3 bg-muted/50 rounded-lg">
+                      <div className="text-xs font-medium text-muted-foreground mb-2">
+                        Approach Comparison
+                      </div>
+                      <ApproachComparisonChart comparison={result.comparison} />
+                    </div>
+                  )}
+                  {result.history && (
+                    <div className="p-3 bg-muted/50 rounded-lg">
+                      <div className="text-xs font-medium text-muted-foreground mb-2">
+                        Convergence (seed {result.seed})
+                      </div>
+                      <ConvergenceChart history={result.history} />
+                    </div>
+                  )}
                 </motion.div>
               )}
             </CardContent>
@@ -537,7 +1863,20 @@ export default function DashboardPage() {
                     {/* Render based on algorithm type */}
                     {result.type === 'tsp' && (
                       <TruckAnimation 
-                        tour={result.tour}
+                        tour={result.baseTour || result.tour}
+                        cityPositions={result.cityPositions}
+                        currentStep={replayStep}
+                        moves={result.improvementMoves}
+                        trace={result.trace}
+                        traceStep={traceStep}
+                        editor={tspInputs.source === 'map' ? mapEditor : null}
+                        unit={result.distanceUnit}
+                      />
+                    )}
+                    
+                    {result.type === 'vrp' && (
+                      <TruckAnimation 
+                        routes={result.routes}
                         cityPositions={result.cityPositions}
                         currentStep={currentStep}
                       />
@@ -546,11 +1885,26 @@ export default function DashboardPage() {
                     {result.type === 'multistage' && (
                       <MultiStageAnimation 
                         path={result.path}
+                        alternatives={result.alternatives}
+                        highlightedPath={selectedParetoPath !== null ? result.paretoFront[selectedParetoPath].path : null}
+                        onRouteSwitch={() => setSelectedParetoPath(null)}
+                        timeMatrix={result.timeMatrix}
                         stages={result.stages}
                         nodesPerStage={result.nodesPerStage}
                         totalVertices={result.totalVertices}
                         stageVertices={result.stageVertices}
                         costMatrix={result.costMatrix}
+                        currentStep={replayStep}
+                        trace={result.trace}
+                        traceStep={traceStep}
+                      />
+                    )}
+                    
+                    {result.type === 'shortest-path' && (
+                      <GraphAnimation
+                        positions={result.positions}
+                        edges={result.edges}
+                        path={result.path}
                         currentStep={currentStep}
                       />
                     )}
@@ -558,24 +1912,81 @@ export default function DashboardPage() {
                     {result.type === 'knapsack' && (
                       <KnapsackAnimation 
                         packages={result.selectedPackages}
+                        currentStep={replayStep}
+                        trace={result.trace}
+                        traceStep={traceStep}
+                        allPackages={result.allPackages}
+                      />
+                    )}
+                    
+                    {result.type === 'binpacking' && (
+                      <KnapsackAnimation 
+                        packages={result.selectedPackages}
+                        bays={result.trucks}
                         currentStep={currentStep}
                       />
                     )}
                   </div>
 
-                  {/* Progress Bar */}
-                  <div>
-                    <div className="flex justify-between text-sm mb-2">
-                      <span className="text-muted-foreground">Progress</span>
+                  {result.schedule && (
+                    <TimelineChart schedule={result.schedule} currentStep={currentStep} />
+                  )}
+                  
+                  {result.type === 'multistage' && result.trace && (
+                    <DPTable
+                      trace={result.trace}
+                      traceStep={traceStep}
+                      costMatrix={result.costMatrix}
+                      stageVertices={result.stageVertices}
+                    />
+                  )}
+
+                  {/* Playback Bar */}
+                  <div className="space-y-3">
+                    <div className="flex justify-between text-sm">
+                      <span className="text-muted-foreground">Step {currentStep + 1} of {totalSteps}</span>
                       <span className="font-medium">{Math.round(animationProgress)}%</span>
                     </div>
-                    <div className="h-2 bg-muted rounded-full overflow-hidden">
-                      <motion.div
-                        className="h-full bg-[hsl(var(--primary))]"
-                        initial={{ width: 0 }}
-                        animate={{ width: `${animationProgress}%` }}
-                        transition={{ duration: 0.3 }}
-                      />
+                    <input
+                      type="range"
+                      min={0}
+                      max={Math.max(totalSteps - 1, 0)}
+                      value={currentStep}
+                      onChange={(e) => handleSeek(parseInt(e.target.value))}
+                      className="w-full accent-[hsl(var(--primary))] cursor-pointer"
+                      aria-label="Animation step"
+                    />
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="flex gap-1">
+                        <Button variant="outline" size="icon" onClick={() => handleSeek(0)} title="First step (Home)">
+                          <SkipBack className="w-4 h-4" />
+                        </Button>
+                        <Button variant="outline" size="icon" onClick={() => handleSeek(currentStep - 1)} disabled={currentStep === 0} title="Step back (←)">
+                          <StepBack className="w-4 h-4" />
+                        </Button>
+                        <Button size="icon" onClick={handlePlayPause} title={isPlaying ? 'Pause (Space)' : 'Play (Space)'}>
+                          {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                        </Button>
+                        <Button variant="outline" size="icon" onClick={() => handleSeek(currentStep + 1)} disabled={currentStep >= totalSteps - 1} title="Step forward (→)">
+                          <StepForward className="w-4 h-4" />
+                        </Button>
+                        <Button variant="outline" size="icon" onClick={() => handleSeek(totalSteps - 1)} title="Last step (End)">
+                          <SkipForward className="w-4 h-4" />
+                        </Button>
+                      </div>
+                      <div className="flex gap-1">
+                        {playbackSpeeds.map((speed) => (
+                          <Button
+                            key={speed}
+                            variant={playbackSpeed === speed ? 'default' : 'outline'}
+                            size="sm"
+                            onClick={() => setPlaybackSpeed(speed)}
+                            className="px-2 text-xs"
+                          >
+                            {speed}x
+                          </Button>
+                        ))}
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -595,530 +2006,3 @@ export default function DashboardPage() {
     </div>
   );
 }
-
-// ========================================
-// ANIMATION COMPONENTS
-// ========================================
-
-// TSP Bike Delivery Animation Component
-function TruckAnimation({ tour, cityPositions, currentStep }) {
-  const currentCity = tour[currentStep];
-  const pos = cityPositions[currentCity];
-  
-  return (
-    <div className="relative h-full w-full bg-gradient-to-br from-blue-50 via-green-50 to-yellow-50 rounded-2xl shadow-lg pb-24">
-      <svg width="100%" height="calc(100% - 96px)" viewBox="0 0 600 300" preserveAspectRatio="xMidYMid meet" className="overflow-visible">
-        <defs>
-          {/* Gradient for visited path */}
-          <linearGradient id="pathGradient" x1="0%" y1="0%" x2="100%" y2="0%">
-            <stop offset="0%" style={{ stopColor: '#10b981', stopOpacity: 1 }} />
-            <stop offset="100%" style={{ stopColor: '#3b82f6', stopOpacity: 1 }} />
-          </linearGradient>
-          
-          {/* Drop shadow filter */}
-          <filter id="dropShadow">
-            <feGaussianBlur in="SourceAlpha" stdDeviation="3"/>
-            <feOffset dx="0" dy="2" result="offsetblur"/>
-            <feComponentTransfer>
-              <feFuncA type="linear" slope="0.3"/>
-            </feComponentTransfer>
-            <feMerge>
-              <feMergeNode/>
-              <feMergeNode in="SourceGraphic"/>
-            </feMerge>
-          </filter>
-        </defs>
-
-        {/* Draw all paths (unvisited) */}
-        {tour.slice(0, -1).map((cityIdx, i) => {
-          const from = cityPositions[cityIdx];
-          const to = cityPositions[tour[i + 1]];
-          const isVisited = i < currentStep;
-          
-          if (!isVisited) {
-            return (
-              <line
-                key={`path-${i}`}
-                x1={from.x}
-                y1={from.y}
-                x2={to.x}
-                y2={to.y}
-                stroke="#cbd5e1"
-                strokeWidth="2"
-                strokeDasharray="8,4"
-                opacity="0.4"
-              />
-            );
-          }
-          return null;
-        })}
-
-        {/* Draw visited paths with animation */}
-        {tour.slice(0, -1).map((cityIdx, i) => {
-          const from = cityPositions[cityIdx];
-          const to = cityPositions[tour[i + 1]];
-          const isVisited = i < currentStep;
-          
-          if (isVisited) {
-            return (
-              <motion.line
-                key={`visited-${i}`}
-                x1={from.x}
-                y1={from.y}
-                x2={to.x}
-                y2={to.y}
-                stroke="url(#pathGradient)"
-                strokeWidth="4"
-                strokeLinecap="round"
-                initial={{ pathLength: 0, opacity: 0 }}
-                animate={{ pathLength: 1, opacity: 1 }}
-                transition={{ duration: 0.5, ease: 'easeInOut' }}
-                filter="url(#dropShadow)"
-              />
-            );
-          }
-          return null;
-        })}
-        
-        {/* Draw delivery locations */}
-        {cityPositions.map((pos, idx) => {
-          const isVisited = tour.slice(0, currentStep + 1).includes(idx);
-          const isStart = idx === 0;
-          const isCurrent = idx === currentCity;
-          
-          return (
-            <g key={`city-${idx}`}>
-              {/* Outer glow for current location */}
-              {isCurrent && (
-                <motion.circle
-                  cx={pos.x}
-                  cy={pos.y}
-                  r="25"
-                  fill="#3b82f6"
-                  opacity="0.3"
-                  animate={{ scale: [1, 1.3, 1] }}
-                  transition={{ duration: 1.5, repeat: Infinity, ease: 'easeInOut' }}
-                />
-              )}
-              
-              {/* Location marker */}
-              <circle
-                cx={pos.x}
-                cy={pos.y}
-                r={isStart ? 20 : 16}
-                fill={isVisited ? (isStart ? '#f59e0b' : '#10b981') : '#e5e7eb'}
-                stroke={isVisited ? (isStart ? '#d97706' : '#059669') : '#9ca3af'}
-                strokeWidth="3"
-                filter="url(#dropShadow)"
-              />
-              
-              {/* Location icon */}
-              {isStart ? (
-                <text
-                  x={pos.x}
-                  y={pos.y + 7}
-                  textAnchor="middle"
-                  fontSize="18"
-                  fill="white"
-                >
-                  🏠
-                </text>
-              ) : (
-                <>
-                  <text
-                    x={pos.x}
-                    y={pos.y + 5}
-                    textAnchor="middle"
-                    fill="white"
-                    fontSize="14"
-                    fontWeight="700"
-                  >
-                    {idx}
-                  </text>
-                  {isVisited && !isCurrent && (
-                    <text
-                      x={pos.x}
-                      y={pos.y - 25}
-                      textAnchor="middle"
-                      fontSize="16"
-                    >
-                      ✓
-                    </text>
-                  )}
-                </>
-              )}
-            </g>
-          );
-        })}
-        
-        {/* Animated Delivery Bike */}
-        <motion.g
-          animate={{ 
-            x: pos.x, 
-            y: pos.y 
-          }}
-          transition={{ 
-            duration: 0.8, 
-            ease: 'easeInOut'
-          }}
-        >
-          {/* Bike shadow */}
-          <ellipse 
-            cx="0" 
-            cy="15" 
-            rx="20" 
-            ry="5" 
-            fill="rgba(0,0,0,0.2)"
-            opacity="0.5"
-          />
-          
-          {/* Delivery box on bike */}
-          <rect
-            x="-8"
-            y="-25"
-            width="16"
-            height="14"
-            fill="#fb923c"
-            stroke="#ea580c"
-            strokeWidth="2"
-            rx="2"
-          />
-          
-          {/* Bike emoji with bounce */}
-          <motion.text 
-            x="0" 
-            y="10" 
-            textAnchor="middle" 
-            fontSize="35"
-            animate={{ y: [10, 7, 10] }}
-            transition={{ duration: 0.6, repeat: Infinity, ease: 'easeInOut' }}
-            style={{ filter: 'drop-shadow(0 4px 8px rgba(0,0,0,0.3))' }}
-          >
-            🚴
-          </motion.text>
-          
-          {/* Speed lines for motion effect */}
-          <motion.line
-            x1="-25"
-            y1="0"
-            x2="-35"
-            y2="0"
-            stroke="#3b82f6"
-            strokeWidth="2"
-            strokeLinecap="round"
-            opacity="0.6"
-            animate={{ x1: [-25, -30], x2: [-35, -40] }}
-            transition={{ duration: 0.3, repeat: Infinity }}
-          />
-          <motion.line
-            x1="-25"
-            y1="-5"
-            x2="-32"
-            y2="-5"
-            stroke="#3b82f6"
-            strokeWidth="2"
-            strokeLinecap="round"
-            opacity="0.4"
-            animate={{ x1: [-25, -28], x2: [-32, -36] }}
-            transition={{ duration: 0.3, repeat: Infinity, delay: 0.1 }}
-          />
-        </motion.g>
-      </svg>
-      
-      {/* Delivery Status Info */}
-      <div className="absolute bottom-4 left-4 right-4 bg-white/95 backdrop-blur-sm rounded-xl shadow-lg border-2 border-blue-200 p-4">
-        <div className="flex items-center justify-between">
-          <div className="flex items-center gap-3">
-            <div className="w-10 h-10 bg-gradient-to-br from-blue-500 to-green-500 rounded-full flex items-center justify-center text-white font-bold text-lg">
-              {currentStep + 1}
-            </div>
-            <div>
-              <div className="text-sm font-semibold text-gray-700">
-                {currentStep === 0 ? '🏠 Starting from Warehouse' : currentStep === tour.length - 1 ? '🏠 Returning to Warehouse' : `📍 Delivering to Location ${currentCity}`}
-              </div>
-              <div className="text-xs text-gray-500">
-                Step {currentStep + 1} of {tour.length}
-              </div>
-            </div>
-          </div>
-          <div className="text-right">
-            <div className="text-xs text-gray-500">Progress</div>
-            <div className="text-lg font-bold text-blue-600">
-              {Math.round((currentStep / (tour.length - 1)) * 100)}%
-            </div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-}
-
-// Multi-Stage Graph Visualization with Animated Truck
-function MultiStageAnimation({ path, stages, totalVertices, stageVertices, costMatrix, currentStep }) {
-  if (!path || !stageVertices || !costMatrix) {
-    return (
-      <div className="flex items-center justify-center h-full">
-        <p className="text-muted-foreground">Loading graph...</p>
-      </div>
-    );
-  }
-
-  const width = 1100;
-  const height = 450;
-  const padding = 100;
-  const stageWidth = stages > 1 ? (width - 2 * padding) / (stages - 1) : 0;
-
-  const nodePositions = {};
-
-  stageVertices.forEach((stageNodes, stageIndex) => {
-    const nodesInStage = stageNodes.length;
-    const verticalSpacing = nodesInStage > 1 ? (height - 2 * padding) / (nodesInStage + 1) : height / 2;
-
-    stageNodes.forEach((nodeId, nodeIndex) => {
-      nodePositions[nodeId] = {
-        x: padding + stageIndex * stageWidth,
-        y: nodesInStage > 1 ? padding + (nodeIndex + 1) * verticalSpacing : height / 2,
-      };
-    });
-  });
-
-  const edges = [];
-  for (let i = 0; i < totalVertices; i++) {
-    for (let j = 0; j < totalVertices; j++) {
-      if (costMatrix[i][j] !== Infinity && costMatrix[i][j] > 0) {
-        edges.push({ from: i, to: j, cost: costMatrix[i][j] });
-      }
-    }
-  }
-
-  const isEdgeInPath = (from, to) => {
-    for (let i = 0; i < path.length - 1; i++) {
-      if (path[i] === from && path[i + 1] === to) return { inPath: true, index: i };
-    }
-    return { inPath: false, index: -1 };
-  };
-
-  // Get current truck position
-  const currentNodeId = currentStep < path.length ? path[currentStep] : path[path.length - 1];
-  const currentPos = nodePositions[currentNodeId] || { x: padding, y: height / 2 };
-
-  return (
-    <div className="relative h-full w-full overflow-hidden bg-gradient-to-br from-slate-50 to-slate-100 rounded-2xl shadow-md p-4">
-      <svg width="100%" height="100%" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="xMidYMid meet">
-
-        {/* Stage separators + labels */}
-        {stageVertices.map((_, stageIndex) => {
-          const x = padding + stageIndex * stageWidth;
-          return (
-            <g key={`stage-${stageIndex}`}>
-              <line
-                x1={x}
-                y1={60}
-                x2={x}
-                y2={height - 40}
-                stroke="rgba(148,163,184,0.15)"
-                strokeWidth="2"
-                strokeDasharray="4 4"
-              />
-              <text
-                x={x}
-                y={40}
-                textAnchor="middle"
-                fill="#475569"
-                fontSize="14"
-                fontWeight="600"
-              >
-                Stage {stageIndex}
-              </text>
-            </g>
-          );
-        })}
-
-        {/* Edges */}
-        {edges.map((edge, idx) => {
-          const fromPos = nodePositions[edge.from];
-          const toPos = nodePositions[edge.to];
-          if (!fromPos || !toPos) return null;
-
-          const pathInfo = isEdgeInPath(edge.from, edge.to);
-          const isInPath = pathInfo.inPath;
-          const isVisited = isInPath && pathInfo.index < currentStep;
-          const midX = (fromPos.x + toPos.x) / 2;
-          const midY = (fromPos.y + toPos.y) / 2;
-
-          return (
-            <g key={`edge-${idx}`}>
-              <line
-                x1={fromPos.x}
-                y1={fromPos.y}
-                x2={toPos.x}
-                y2={toPos.y}
-                stroke={isVisited ? "#22c55e" : isInPath ? "#3b82f6" : "#cbd5e1"}
-                strokeWidth={isVisited ? 5 : isInPath ? 4 : 2}
-                opacity={isVisited ? 1 : isInPath ? 0.95 : 0.5}
-                strokeLinecap="round"
-              />
-              <text
-                x={midX}
-                y={midY - 6}
-                textAnchor="middle"
-                fill={isVisited ? "#16a34a" : isInPath ? "#1e40af" : "#64748b"}
-                fontSize="12"
-                fontWeight={isInPath ? "700" : "500"}
-                style={{ paintOrder: "stroke", stroke: "white", strokeWidth: 3 }}
-              >
-                {edge.cost}
-              </text>
-            </g>
-          );
-        })}
-
-        {/* Nodes */}
-        {Object.entries(nodePositions).map(([nodeId, pos]) => {
-          const id = parseInt(nodeId);
-          const isInPath = path.includes(id);
-          const isSource = id === 0;
-          const isDestination = id === totalVertices - 1;
-
-          let fillColor = "#e2e8f0";
-          let strokeColor = "#94a3b8";
-          let radius = 22;
-
-          if (isSource || isDestination) {
-            fillColor = "#10b981";
-            strokeColor = "#059669";
-            radius = 28;
-          } else if (isInPath) {
-            fillColor = "#3b82f6";
-            strokeColor = "#2563eb";
-            radius = 25;
-          }
-
-          const isVisited = isInPath && path.indexOf(id) <= currentStep;
-
-          return (
-            <g key={`node-${nodeId}`}>
-              <circle
-                cx={pos.x}
-                cy={pos.y}
-                r={radius}
-                fill={fillColor}
-                stroke={strokeColor}
-                strokeWidth="3"
-                filter={isInPath ? "drop-shadow(0px 2px 6px rgba(59,130,246,0.4))" : ""}
-                opacity={isVisited ? 1 : isInPath ? 0.7 : 1}
-              />
-              <text
-                x={pos.x}
-                y={pos.y + 5}
-                textAnchor="middle"
-                fill="white"
-                fontSize="16"
-                fontWeight="700"
-              >
-                {id + 1}
-              </text>
-            </g>
-          );
-        })}
-
-        {/* Animated Truck */}
-        <motion.g
-          animate={{ 
-            x: currentPos.x, 
-            y: currentPos.y 
-          }}
-          transition={{ 
-            duration: 0.8, 
-            ease: 'easeInOut'
-          }}
-        >
-          {/* Glow effect */}
-          <circle 
-            cx="0" 
-            cy="0" 
-            r="35" 
-            fill="#3b82f6" 
-            opacity="0.2"
-          />
-          <circle 
-            cx="0" 
-            cy="0" 
-            r="25" 
-            fill="#3b82f6" 
-            opacity="0.3"
-          />
-          {/* Truck emoji */}
-          <text 
-            x="0" 
-            y="10" 
-            textAnchor="middle" 
-            fontSize="40"
-            style={{ filter: 'drop-shadow(0 4px 8px rgba(0,0,0,0.3))' }}
-          >
-            🚚
-          </text>
-        </motion.g>
-      </svg>
-
-      {/* Animation Info */}
-      <div className="absolute top-4 right-4 bg-white/90 backdrop-blur-sm px-4 py-2 rounded-lg shadow-lg border border-slate-200">
-        <div className="text-xs font-medium text-slate-600">
-          Node {currentNodeId + 1} of {totalVertices} | Step {currentStep + 1}/{path.length}
-        </div>
-      </div>
-    </div>
-  );
-}
-
-// Knapsack Animation Component
-function KnapsackAnimation({ packages, currentStep }) {
-  const loadedPackages = packages.slice(0, currentStep + 1);
-  
-  return (
-    <div className="p-6 h-full flex flex-col justify-center">
-      <div className="text-center mb-6">
-        <div className="text-6xl mb-4">🚚</div>
-        <p className="text-sm text-muted-foreground">Loading packages...</p>
-      </div>
-      
-      <div className="grid grid-cols-3 gap-3 max-h-[320px] overflow-y-auto">
-        {loadedPackages.map((pkg, index) => (
-          <motion.div
-            key={pkg.id}
-            initial={{ opacity: 0, scale: 0.5, y: -50 }}
-            animate={{ opacity: 1, scale: 1, y: 0 }}
-            transition={{ 
-              duration: 0.5, 
-              delay: index * 0.1,
-              type: 'spring',
-              stiffness: 300
-            }}
-            className={`p-3 rounded-lg border-2 ${
-              pkg.fraction === 1
-                ? 'bg-[hsl(var(--accent))]/20 border-[hsl(var(--accent))]'
-                : 'bg-[hsl(var(--warning))]/20 border-[hsl(var(--warning))]'
-            }`}
-          >
-            <div className="text-2xl mb-1">📦</div>
-            <div className="text-xs font-semibold truncate" title={pkg.name}>
-              {pkg.name || `Package ${pkg.id}`}
-            </div>
-            <div className="text-xs text-muted-foreground mt-1">
-              {pkg.takenWeight.toFixed(1)}kg
-            </div>
-            <div className="text-xs font-medium text-green-600">
-              ${pkg.takenValue ? pkg.takenValue.toFixed(0) : pkg.value}
-            </div>
-            {pkg.fraction < 1 && (
-              <div className="text-xs font-medium text-[hsl(var(--warning))] mt-1">
-                {(pkg.fraction * 100).toFixed(0)}%
-              </div>
-            )}
-          </motion.div>
-        ))}
-      </div>
-    </div>
-  );
-}
-